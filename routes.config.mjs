@@ -3,22 +3,35 @@ import mimeTypes from 'mime-types-lite';
 
 import APP_CONSTANTS from './src/constants/constants.js';
 import HTTP_METHODS from './src/constants/httpMethods.js';
+import AUTH_ACCESS from './src/constants/authAccess.js';
+import ADMIN_ROLES from './src/constants/adminRoles.js';
 
 import createDocument from './src/service/createDocument.js';
+import createDocuments from './src/service/createDocuments.js';
 import createDummyDocuments from './src/service/createDummyDocuments.js';
 import getDocumentsList from './src/service/getDocumentsList.js';
 import getADocument from './src/service/getADocument.js';
 import updateADocument from './src/service/updateADocument.js';
+import updateDocuments from './src/service/updateDocuments.js';
+import replaceADocument from './src/service/replaceADocument.js';
 import deleteADocument from './src/service/deleteADocument.js';
 import deleteDocumentList from './src/service/deleteDocumentList.js';
 import deleteAllDocuments from './src/service/deleteAllDocuments.js';
 
+// Admin accounts can only be managed by admins
+const adminsOnlyAccess = {
+    access: AUTH_ACCESS.ROLES,
+    roles: [ADMIN_ROLES.ADMIN],
+};
+
 const routesConfig = {
     users: {
         schema: {
             name: {
                 type: String,
                 required: [true, 'Name is required'],
+                // Matches in the name rank above matches in the bio
+                searchable: { weight: 10 },
                 match: [
                     /^[A-Za-z\s]{3,50}$/,
                     'Name must be between 3 and 50 characters and contain only letters and spaces',
@@ -32,6 +45,7 @@ const routesConfig = {
             email: {
                 type: String,
                 required: [true, 'Email is required'],
+                searchable: { weight: 5 },
                 unique: true,
                 match: [APP_CONSTANTS.emailRegex, 'Invalid email format'],
             },
@@ -54,6 +68,7 @@ const routesConfig = {
             },
             bio: {
                 type: String,
+                searchable: true,
                 maxlength: [500, 'Bio cannot exceed 500 characters'],
                 match: [
                     /^[A-Za-z0-9\s.,!?'-]{10,500}$/,
@@ -80,11 +95,60 @@ const routesConfig = {
                 default: true,
             },
         },
+        // Deleted users go to the trash and can be purged 30 days later
+        softDelete: { retentionDays: 30 },
+        // Every change to a user is recorded in the audit trail
+        audit: true,
+        // Single-user reads return an ETag; updates and deletes honour If-Match
+        etag: true,
+        // Reporting exports stream from `/api/users/export`
+        export: true,
+        // CSV / NDJSON files can be imported into `/api/users/import`
+        import: true,
+        // Dashboards read counts and averages from `/api/users/stats`
+        stats: {
+            groupBy: ['isActive', 'age'],
+        },
         routes: [
             {
                 paths: ['/', '/create', '/new'],
                 method: HTTP_METHODS.POST,
                 handler: createDocument,
+                rules: {
+                    request: {
+                        // Legacy integrations send users as XML, YAML or form data
+                        contentType: [
+                            contentTypes.JSON,
+                            contentTypes.XML_APP,
+                            contentTypes.YAML,
+                            contentTypes.FORM_URLENCODED,
+                        ],
+                        upload: {
+                            avatar: {
+                                multiple: false,
+                                maxFiles: 1,
+                                minSize: 100, // in KB
+                                maxSize: 500, // in KB
+                                allowedTypes: [mimeTypes.JPG, mimeTypes.PNG],
+                                documentField: 'avatarUrl',
+                            },
+                        },
+                    },
+                },
+            },
+            {
+                paths: ['/bulk', '/create/bulk', '/bulk-create'],
+                method: HTTP_METHODS.POST,
+                handler: createDocuments,
+                rules: {
+                    request: {
+                        contentType: contentTypes.JSON,
+                        bulk: {
+                            maxItems: 1000,
+                            atomic: false, // `?atomic=true` rejects the whole batch if one item fails
+                        },
+                    },
+                },
             },
             {
                 paths: [
@@ -104,28 +168,48 @@ const routesConfig = {
                 rules: {
                     request: {
                         contentType: contentTypes.JSON,
-                        upload: {
-                            avatar: {
-                                multiple: true,
-                                maxFiles: 10,
-                                minSize: 100, // in KB
-                                maxSize: 500, // in KB
-                                allowedTypes: [mimeTypes.JPG, mimeTypes.PNG],
-                            },
-                        },
                     },
                 },
             },
             {
-                paths: ['/', '/all', '/list', '/read', '/show', '/view'],
+                paths: [
+                    '/',
+                    '/all',
+                    '/list',
+                    '/read',
+                    '/show',
+                    '/view',
+                    '/search',
+                ],
                 method: HTTP_METHODS.GET,
                 handler: getDocumentsList,
+                rules: {
+                    response: {
+                        // `?facets=isActive` counts users per value next to the list
+                        facets: ['isActive'],
+                    },
+                },
             },
             {
                 paths: ['/:id', '/read/:id', '/show/:id', '/view/:id'],
                 method: HTTP_METHODS.GET,
                 handler: getADocument,
             },
+            {
+                // Listed before `/:id` so `/bulk` is not taken for an ID
+                paths: ['/bulk', '/update/bulk', '/bulk-update'],
+                method: HTTP_METHODS.PATCH,
+                handler: updateDocuments,
+                rules: {
+                    request: {
+                        contentType: contentTypes.JSON,
+                        bulk: {
+                            maxItems: 1000,
+                            atomic: false,
+                        },
+                    },
+                },
+            },
             {
                 paths: ['/:id', '/edit/:id', '/update/:id'],
                 method: HTTP_METHODS.PATCH,
@@ -140,6 +224,7 @@ const routesConfig = {
                                 minSize: 100, // in KB
                                 maxSize: 500, // in KB
                                 allowedTypes: [mimeTypes.JPG, mimeTypes.PNG],
+                                documentField: 'avatarUrl',
                             },
                         },
                     },
@@ -157,6 +242,16 @@ const routesConfig = {
                     },
                 },
             },
+            {
+                paths: ['/:id', '/replace/:id'],
+                method: HTTP_METHODS.PUT,
+                handler: replaceADocument,
+                rules: {
+                    request: {
+                        contentType: contentTypes.JSON,
+                    },
+                },
+            },
             {
                 paths: [
                     '/delete/all',
@@ -216,6 +311,7 @@ const routesConfig = {
                 method: HTTP_METHODS.POST,
                 handler: createDocument,
                 rules: {
+                    auth: adminsOnlyAccess,
                     request: {
                         contentType: contentTypes.JSON,
                     },
@@ -226,6 +322,7 @@ const routesConfig = {
                 method: HTTP_METHODS.GET,
                 handler: getDocumentsList,
                 rules: {
+                    auth: adminsOnlyAccess,
                     request: {},
                     response: {
                         contentType: contentTypes.JSON,
@@ -244,6 +341,9 @@ const routesConfig = {
                 paths: ['/:id'],
                 method: HTTP_METHODS.GET,
                 handler: getADocument,
+                rules: {
+                    auth: adminsOnlyAccess,
+                },
                 responsePipeline: [
                     { $match: {} },
                     {
@@ -261,6 +361,7 @@ const routesConfig = {
                 method: HTTP_METHODS.PATCH,
                 handler: updateADocument,
                 rules: {
+                    auth: adminsOnlyAccess,
                     request: {
                         contentType: contentTypes.JSON,
                     },
@@ -275,6 +376,9 @@ const routesConfig = {
                 ],
                 method: HTTP_METHODS.DELETE,
                 handler: deleteAllDocuments,
+                rules: {
+                    auth: adminsOnlyAccess,
+                },
             },
             {
                 paths: [
@@ -286,11 +390,17 @@ const routesConfig = {
                 ],
                 method: HTTP_METHODS.DELETE,
                 handler: deleteDocumentList,
+                rules: {
+                    auth: adminsOnlyAccess,
+                },
             },
             {
                 paths: ['/:id'],
                 method: HTTP_METHODS.DELETE,
                 handler: deleteADocument,
+                rules: {
+                    auth: adminsOnlyAccess,
+                },
             },
         ],
     },
@@ -8,6 +8,7 @@ import swaggerUi from 'swagger-ui-express';
 
 import configuration from './configuration/configuration.js';
 import logger from './lib/logger.js';
+import fileStorage from './lib/fileStorage.js';
 import sharedResponseTypes from './utils/responseTypes.js';
 
 import helmetConfiguration from './configuration/helmet.js';
@@ -22,6 +23,7 @@ import morganConfiguration from './configuration/morgan.js';
 import sanitizeRequestConfiguration from './configuration/sanitizeRequest.js';
 import swaggerConfiguration from './configuration/swagger.js';
 
+import authRoutes from './routes/AuthRoutes.js';
 import cspRoutes from './routes/CspRoutes.js';
 import hppRoutes from './routes/HppRoutes.js';
 import cspViolationReport from './service/cspViolationReport.js';
@@ -29,6 +31,8 @@ import cspViolationReport from './service/cspViolationReport.js';
 import initializeRoutes from './modules/routeInitializer.js';
 import asyncHandler from './utils/asyncHandler.js';
 import availableRoutes from './service/availableRoutes.js';
+import searchAllEntities from './service/searchAllEntities.js';
+import authenticateOptional from './middlewares/authenticateOptional.js';
 
 const app = express();
 
@@ -96,6 +100,24 @@ app.use(express.json({ limit: '20mb' }));
 app.use(express.urlencoded({ limit: '20mb', extended: true }));
 logger.debug('Body parsing configured.');
 
+// Serve files stored by the local disk upload backend.
+// As downloads only, so an uploaded file can never run as a page of this origin.
+if (configuration.upload.storageDriver === 'local') {
+    app.use(
+        fileStorage.LOCAL_PUBLIC_PATH,
+        express.static(configuration.upload.localDirectory, {
+            setHeaders: (res) =>
+                res.set({
+                    'Content-Disposition': 'attachment',
+                    'X-Content-Type-Options': 'nosniff',
+                }),
+        })
+    );
+    logger.debug(
+        `Serving uploaded files from ${fileStorage.LOCAL_PUBLIC_PATH}.`
+    );
+}
+
 // Sanitize request data
 if (configuration.features.sanitizeRequest) {
     logger.debug('Enabling request sanitization...');
@@ -118,11 +140,25 @@ const swaggerDocs = swaggerJsdoc(swaggerConfiguration);
 app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 logger.debug('Swagger API documentation available at /api/docs');
 
+// ✅ Attach Authentication Routes
+logger.debug('Adding authentication routes...');
+app.use('/api/auth', authRoutes);
+logger.debug('Authentication routes added.');
+
 // ✅ Dynamically create models, validators, and routes
 logger.debug('Initializing dynamic route creation...');
 initializeRoutes(app);
 logger.debug('Dynamic route creation completed.');
 
+// ✅ Search across every entity with searchable fields (needs the entity models)
+logger.debug('Adding global search route...');
+app.get(
+    '/api/search',
+    asyncHandler(authenticateOptional),
+    asyncHandler(searchAllEntities)
+);
+logger.debug('Global search route added.');
+
 // ✅ Attach CSP Violation Routes
 logger.debug('Adding violation reporting routes...');
 app.use('/api/report/csp-violation', cspRoutes);
@@ -44,8 +44,9 @@ const measureCompressionSize = (req, res, next) => {
     const chunks = [];
 
     // Override write function to store response data
+    // Streamed responses (e.g. exports) are only counted, never buffered
     res.write = function (chunk, ...args) {
-        chunks.push(chunk);
+        if (!res.locals.isStreamed) chunks.push(chunk);
         originalSize += chunk.length;
         originalWrite.apply(res, [chunk, ...args]);
     };
@@ -58,7 +59,9 @@ const measureCompressionSize = (req, res, next) => {
         }
 
         // Simulate compression (since actual compression is handled internally)
-        compressedSize = Buffer.concat(chunks).length;
+        compressedSize = res.locals.isStreamed
+            ? originalSize
+            : Buffer.concat(chunks).length;
 
         // Log size difference
         const reductionPercentage =
@@ -543,6 +543,10 @@ const envSchema = z.object({
         required_error: 'GOOGLE_DRIVE_FOLDER_ID is required.',
     }),
 
+    // File Upload Storage
+    UPLOAD_STORAGE_DRIVER: z.string().optional().default('local'),
+    UPLOAD_LOCAL_DIRECTORY: z.string().optional().default('uploads'),
+
     // Sentry Service
     SENTRY_ORGANIZATION_SLUG: z.string({
         // More descriptive name, SLUG is common in Sentry
@@ -800,6 +804,11 @@ const configuration = {
         scope: envVars.GOOGLE_DRIVE_SCOPE,
         folderId: envVars.GOOGLE_DRIVE_FOLDER_ID, // More common term
     },
+    upload: {
+        // Grouping file upload storage settings
+        storageDriver: envVars.UPLOAD_STORAGE_DRIVER,
+        localDirectory: envVars.UPLOAD_LOCAL_DIRECTORY,
+    },
     sentryService: {
         // Grouping Sentry service settings
         organizationSlug: envVars.SENTRY_ORGANIZATION_SLUG, // More descriptive
@@ -30,6 +30,7 @@ const corsConfiguration = {
     optionsSuccessStatus: httpStatus.OK, // For legacy browser support
     methods: configuration.cors.allowedMethods,
     allowedHeaders: configuration.cors.allowedHeaders,
+    exposedHeaders: ['ETag'], // Lets clients read the ETag for If-Match / If-None-Match
     credentials: true, // This allows the server to send cookies
     preflightContinue: true, // Let middleware handle OPTIONS requests too
     maxAge: 24 * 60 * 60, // 24 hours
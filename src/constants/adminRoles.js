@@ -0,0 +1,7 @@
+const adminRoles = Object.freeze({
+    ADMIN: 'admin',
+    EDITOR: 'editor',
+    VIEWER: 'viewer',
+});
+
+export default adminRoles;
@@ -0,0 +1,9 @@
+const auditActions = Object.freeze({
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete',
+    RESTORE: 'restore',
+    PURGE: 'purge',
+});
+
+export default auditActions;
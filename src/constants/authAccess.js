@@ -0,0 +1,8 @@
+const authAccess = Object.freeze({
+    PUBLIC: 'public',
+    AUTHENTICATED: 'authenticated',
+    ROLES: 'roles',
+    OWNER: 'owner',
+});
+
+export default authAccess;
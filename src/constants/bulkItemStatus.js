@@ -0,0 +1,7 @@
+const bulkItemStatus = Object.freeze({
+    CREATED: 'created',
+    UPDATED: 'updated',
+    FAILED: 'failed',
+});
+
+export default bulkItemStatus;
@@ -0,0 +1,7 @@
+const exportFormats = Object.freeze({
+    CSV: 'csv',
+    NDJSON: 'ndjson',
+    JSON: 'json',
+});
+
+export default exportFormats;
@@ -0,0 +1,15 @@
+const filterOperators = Object.freeze({
+    EQ: 'eq',
+    NE: 'ne',
+    GT: 'gt',
+    GTE: 'gte',
+    LT: 'lt',
+    LTE: 'lte',
+    IN: 'in',
+    NIN: 'nin',
+    REGEX: 'regex',
+    EXISTS: 'exists',
+    BETWEEN: 'between',
+});
+
+export default filterOperators;
@@ -0,0 +1,8 @@
+const onDeleteActions = Object.freeze({
+    RESTRICT: 'restrict',
+    CASCADE: 'cascade',
+    SET_NULL: 'setNull',
+    PULL: 'pull',
+});
+
+export default onDeleteActions;
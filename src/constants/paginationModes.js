@@ -0,0 +1,6 @@
+const paginationModes = Object.freeze({
+    OFFSET: 'offset',
+    CURSOR: 'cursor',
+});
+
+export default paginationModes;
@@ -0,0 +1,8 @@
+const schemaRuleTypes = Object.freeze({
+    REQUIRED_IF: 'requiredIf',
+    COMPARE: 'compare',
+    EXACTLY_ONE_OF: 'exactlyOneOf',
+    MUTUALLY_EXCLUSIVE: 'mutuallyExclusive',
+});
+
+export default schemaRuleTypes;
@@ -0,0 +1,8 @@
+const statsIntervals = Object.freeze({
+    HOUR: 'hour',
+    DAY: 'day',
+    WEEK: 'week',
+    MONTH: 'month',
+});
+
+export default statsIntervals;
@@ -0,0 +1,9 @@
+const statsMetrics = Object.freeze({
+    COUNT: 'count',
+    SUM: 'sum',
+    AVG: 'avg',
+    MIN: 'min',
+    MAX: 'max',
+});
+
+export default statsMetrics;
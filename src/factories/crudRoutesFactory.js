@@ -1,12 +1,36 @@
 import express from 'express';
+import contentTypes from 'content-types-lite';
+import { z } from 'zod';
 
 import toSentenceCase from '../utils/toSentenceCase.js';
 import validateContentType from '../middlewares/validateContentType.js';
 import validateInput from '../middlewares/validateInput.js';
+import validateQuery from '../middlewares/validateQuery.js';
+import validateSchemaRules from '../middlewares/validateSchemaRules.js';
 import asyncHandler from '../utils/asyncHandler.js';
 import validateRequestBody from '../middlewares/validateRequestBody.js';
+import authenticate from '../middlewares/authenticate.js';
+import authorize from '../middlewares/authorize.js';
+import parseFileUpload from '../middlewares/parseFileUpload.js';
+import storeFileUpload from '../middlewares/storeFileUpload.js';
+import checkPreconditions from '../middlewares/checkPreconditions.js';
+import scopeToParent from '../middlewares/scopeToParent.js';
+import readImportFile from '../middlewares/readImportFile.js';
+import parseRequestBody from '../middlewares/parseRequestBody.js';
+import sanitizeRequestConfiguration from '../configuration/sanitizeRequest.js';
+import configuration from '../configuration/configuration.js';
+import fileStorage from '../lib/fileStorage.js';
+import fileTypes from '../lib/fileTypes.js';
+import softDelete from '../lib/softDelete.js';
+import entityRelations from '../lib/entityRelations.js';
+import etag from '../lib/etag.js';
+import bodyParsers from '../lib/bodyParsers.js';
 
 import HTTP_METHODS from '../constants/httpMethods.js';
+import AUTH_ACCESS from '../constants/authAccess.js';
+import defaultRoutesRules from '../rules/defaultRoutesRules.js';
+
+import { CriticalError } from '../lib/customErrors.js';
 
 // ✅ Determine the appropriate sub-schema based on HTTP method.
 // For example: POST -> create, PUT/PATCH -> update, GET -> read, DELETE -> delete.
@@ -33,7 +57,118 @@ const getValidationSchema = (method, zodSchema) => {
     return validationSchema;
 };
 
-const crudRoutesFactory = (modelName, model, zodSchema, routes) => {
+// ✅ The object shape behind a sub-schema. Schemas with `schemaRules` wrap the object in
+// one or more refinements, whose `shape` must be read from the inner object.
+const getSchemaShape = (schema) =>
+    schema instanceof z.ZodEffects
+        ? getSchemaShape(schema.innerType())
+        : schema.shape || {};
+
+const authenticatedAuthRules = { access: AUTH_ACCESS.AUTHENTICATED };
+
+// Single-document handlers that honour ETag preconditions when the entity enables `etag`
+const conditionalRequestHandlers = [
+    'getADocument',
+    'updateADocument',
+    'replaceADocument',
+    'deleteADocument',
+];
+
+// Handlers that take an array body (or file rows) and validate each item themselves
+const bulkHandlers = ['createDocuments', 'updateDocuments', 'importDocuments'];
+
+// Handlers that read a CSV / NDJSON file instead of a JSON body
+const importHandlers = ['importDocuments'];
+
+// ✅ Resolve the route's `rules.auth`, falling back to the default rules for the method.
+// Routes without any auth rule require authentication rather than being left open.
+const getAuthRules = (modelName, model, method, path, rules) => {
+    const defaultAuthRules = defaultRoutesRules.routes.find(
+        (defaultRoute) => defaultRoute.method === method
+    )?.rules?.auth;
+    const authRules = rules?.auth || defaultAuthRules || authenticatedAuthRules;
+    const route = `[${method}] /api/${modelName}${path}`;
+
+    if (!Object.values(AUTH_ACCESS).includes(authRules.access)) {
+        throw new CriticalError(
+            `Invalid auth access "${authRules.access}" for ${route}. Expected one of: ${Object.values(AUTH_ACCESS).join(', ')}`
+        );
+    }
+
+    if (
+        authRules.access === AUTH_ACCESS.ROLES &&
+        !(Array.isArray(authRules.roles) && authRules.roles.length > 0)
+    ) {
+        throw new CriticalError(
+            `Auth access "${AUTH_ACCESS.ROLES}" requires a non-empty "roles" list for ${route}`
+        );
+    }
+
+    if (
+        authRules.access === AUTH_ACCESS.OWNER &&
+        !model.schema.paths[authRules.ownerField]
+    ) {
+        throw new CriticalError(
+            `Auth access "${AUTH_ACCESS.OWNER}" requires an "ownerField" that exists in the ${modelName} schema for ${route}`
+        );
+    }
+
+    return authRules;
+};
+
+// ✅ Normalize the route's `rules.request.upload` block, or return null when the route takes no files.
+// Each upload field writes into `documentField` (defaults to `<field>Url`, e.g. avatar -> avatarUrl).
+const getUploadRules = (modelName, model, rules) => {
+    const upload = rules?.request?.upload;
+    if (!upload || Object.keys(upload).length === 0) return null;
+
+    return Object.fromEntries(
+        Object.entries(upload).map(([field, rule]) => {
+            const documentField = rule.documentField || `${field}Url`;
+
+            if (!model.schema.paths[documentField]) {
+                throw new CriticalError(
+                    `Upload field "${field}" of ${modelName} maps to "${documentField}", which does not exist in the schema`
+                );
+            }
+
+            if (!rule.maxSize) {
+                throw new CriticalError(
+                    `Upload field "${field}" of ${modelName} requires a "maxSize" (in KB)`
+                );
+            }
+
+            // Types are checked against the file content, so only known signatures can be allowed
+            const unsupportedTypes = (rule.allowedTypes || []).filter(
+                (type) => !fileTypes.isSupported(type)
+            );
+            if (unsupportedTypes.length) {
+                throw new CriticalError(
+                    `Upload field "${field}" of ${modelName} allows ${unsupportedTypes.join(', ')}, whose content cannot be verified. Supported types: ${fileTypes.supportedTypes.join(', ')}`
+                );
+            }
+
+            // Fail at startup rather than on the first upload
+            fileStorage.getStorage(rule.storage);
+
+            return [
+                field,
+                {
+                    minSize: 0,
+                    allowedTypes: [],
+                    ...rule,
+                    multiple: Boolean(rule.multiple),
+                    maxFiles: rule.multiple ? rule.maxFiles || 1 : 1,
+                    documentField,
+                },
+            ];
+        })
+    );
+};
+
+// ✅ Each route carries its own `zodSchema`, built from its handler.
+// `entityOptions` holds entity-level settings (e.g. `softDelete`) and is passed to every handler.
+const crudRoutesFactory = (modelName, model, routes, entityOptions = {}) => {
     const router = express.Router();
     const modelNameInSentenceCase = toSentenceCase(modelName);
 
@@ -41,30 +176,119 @@ const crudRoutesFactory = (modelName, model, zodSchema, routes) => {
         .filter(([, field]) => field.options.unique)
         .map(([key]) => key);
 
-    const referenceFields = Object.entries(model.schema.paths)
-        .filter(
-            ([, field]) => field.instance === 'ObjectId' && field.options.ref
-        )
-        .map(([key]) => key);
+    const referenceFields = entityRelations.getReferenceFields(model);
 
-    const getPopulatedDocument = async (documentId) =>
-        model.findById(documentId).populate(referenceFields);
+    // Optionally narrowed by the `fields`/`exclude`/`populate` query parameters
+    const getPopulatedDocument = async (
+        documentId,
+        { projection = {}, populate = null } = {}
+    ) =>
+        model
+            .findOne({
+                _id: documentId,
+                ...softDelete.activeFilter(entityOptions),
+            })
+            .select(projection)
+            .populate(populate ?? referenceFields);
 
     const methodsThatRequireBody = ['POST', 'PUT', 'PATCH'];
 
     routes.forEach(
-        ({ paths, method, handler, dataValidation = true, rules }) => {
+        ({
+            paths,
+            method,
+            handler,
+            zodSchema,
+            dataValidation = true,
+            rules,
+            relation,
+        }) => {
             paths.forEach((path) => {
                 const middleware = [];
 
-                // ✅ Content-Type Validation
+                // ✅ Authentication & Authorization (from `rules.auth`)
+                const authRules = getAuthRules(
+                    modelName,
+                    model,
+                    method,
+                    path,
+                    rules
+                );
+                if (authRules.access !== AUTH_ACCESS.PUBLIC) {
+                    middleware.push(asyncHandler(authenticate));
+                    middleware.push(
+                        asyncHandler((req, res, next) =>
+                            authorize(req, res, next, authRules, model)
+                        )
+                    );
+                }
+
+                const uploadRules = methodsThatRequireBody.includes(method)
+                    ? getUploadRules(modelName, model, rules)
+                    : null;
+
+                // ✅ Content-Type Validation (a single type or a list; upload routes also accept multipart/form-data)
                 if (rules?.request?.contentType) {
+                    const expectedContentTypes = uploadRules
+                        ? [
+                              ...[].concat(rules.request.contentType),
+                              contentTypes.MULTIPART_FORM_DATA,
+                          ]
+                        : rules.request.contentType;
+
                     middleware.push((req, res, next) =>
                         validateContentType(
                             req,
                             res,
                             next,
-                            rules.request.contentType
+                            expectedContentTypes
+                        )
+                    );
+                }
+
+                // ✅ Multipart Parsing & File Validation (from `rules.request.upload`)
+                if (uploadRules) {
+                    middleware.push((req, res, next) =>
+                        parseFileUpload(req, res, next, uploadRules, model)
+                    );
+
+                    // Multipart fields are parsed after the app-level sanitizer has run
+                    if (configuration.features.sanitizeRequest) {
+                        middleware.push(sanitizeRequestConfiguration);
+                    }
+                }
+
+                // ✅ YAML / XML / Form Body Parsing (from the declared `rules.request.contentType`)
+                if (
+                    methodsThatRequireBody.includes(method) &&
+                    bodyParsers.isNeeded(rules?.request?.contentType)
+                ) {
+                    middleware.push((req, res, next) =>
+                        parseRequestBody(req, res, next, model)
+                    );
+
+                    // Bodies read here were not there when the app-level sanitizer ran
+                    if (configuration.features.sanitizeRequest) {
+                        middleware.push(sanitizeRequestConfiguration);
+                    }
+                }
+
+                // ✅ Import File Parsing (rows are sanitized like any other body)
+                if (importHandlers.includes(handler.name)) {
+                    middleware.push((req, res, next) =>
+                        readImportFile(req, res, next, entityOptions.import)
+                    );
+
+                    if (configuration.features.sanitizeRequest) {
+                        middleware.push(sanitizeRequestConfiguration);
+                    }
+                }
+
+                // ✅ Relation Scope: the parent in `:parentId` must exist and fills in the child's reference
+                if (relation) {
+                    middleware.push(
+                        asyncHandler((req, res, next) =>
+                            scopeToParent(req, res, next, relation)
                         )
                     );
                 }
@@ -81,12 +305,89 @@ const crudRoutesFactory = (modelName, model, zodSchema, routes) => {
                 const validationSchema = getValidationSchema(method, zodSchema);
                 const hasValidation =
                     validationSchema &&
-                    Object.keys(validationSchema._def.shape).length > 0;
+                    Object.keys(getSchemaShape(validationSchema)).length > 0;
 
                 // ✅ Data Validation: Only add the validation middleware if there's something to validate.
-                if (dataValidation && hasValidation) {
+                // Bulk handlers get the item schema instead and report failures per item.
+                if (bulkHandlers.includes(handler.name)) {
+                    middleware.push((req, res, next) => {
+                        req.itemSchema = validationSchema;
+                        req.mergedItemSchema = zodSchema.merged;
+                        next();
+                    });
+                } else if (dataValidation && hasValidation) {
+                    // The `:parentId` of a relation route is not a field of the body
+                    middleware.push((req, res, next) =>
+                        relation
+                            ? validateInput(
+                                  req,
+                                  res,
+                                  next,
+                                  validationSchema,
+                                  req.body
+                              )
+                            : validateInput(req, res, next, validationSchema)
+                    );
+                }
+
+                // ✅ Query String Validation (list, export and lookup routes)
+                if (dataValidation && zodSchema.query) {
                     middleware.push((req, res, next) =>
-                        validateInput(req, res, next, validationSchema, rules)
+                        validateQuery(req, res, next, zodSchema.query)
+                    );
+                }
+
+                // ✅ Cross-field Validation of partial updates (from the entity's `schemaRules`)
+                if (
+                    dataValidation &&
+                    zodSchema.merged &&
+                    handler.name === 'updateADocument'
+                ) {
+                    middleware.push(
+                        asyncHandler((req, res, next) =>
+                            validateSchemaRules(
+                                req,
+                                res,
+                                next,
+                                model,
+                                zodSchema.merged,
+                                entityOptions
+                            )
+                        )
+                    );
+                }
+
+                // ✅ Conditional Requests (If-Match / If-None-Match against the document's ETag)
+                if (
+                    etag.isEnabled(entityOptions) &&
+                    conditionalRequestHandlers.includes(handler.name)
+                ) {
+                    middleware.push(
+                        asyncHandler((req, res, next) =>
+                            checkPreconditions(
+                                req,
+                                res,
+                                next,
+                                model,
+                                entityOptions
+                            )
+                        )
+                    );
+                }
+
+                // ✅ File Storage (only once the request has passed validation)
+                if (uploadRules) {
+                    middleware.push(
+                        asyncHandler((req, res, next) =>
+                            storeFileUpload(
+                                req,
+                                res,
+                                next,
+                                uploadRules,
+                                model,
+                                modelName
+                            )
+                        )
                     );
                 }
 
@@ -101,7 +402,8 @@ const crudRoutesFactory = (modelName, model, zodSchema, routes) => {
                             modelNameInSentenceCase,
                             getPopulatedDocument,
                             referenceFields,
-                            rules
+                            rules,
+                            entityOptions
                         )
                     )
                 );
@@ -1,10 +1,16 @@
 import mongoose, { model, Schema } from 'mongoose';
 
-function mongooseModelFactory(modelName, schemaDefinition) {
+import textSearch from '../lib/textSearch.js';
+
+function mongooseModelFactory(modelName, schemaDefinition, plugins = []) {
     const schema = new Schema(schemaDefinition, {
         timestamps: true,
         versionKey: false,
     });
+    // Fields marked `searchable` share the entity's text index
+    textSearch.createIndex(schema);
+    // Entity-level features (e.g. the version counter of `etag`)
+    plugins.forEach((plugin) => schema.plugin(plugin));
     return mongoose.models[modelName] || model(modelName, schema);
 }
 
@@ -2,90 +2,434 @@ import { z } from 'zod';
 import mongoose from 'mongoose';
 
 import schema from '../lib/schema.js';
+import schemaRules from '../lib/schemaRules.js';
+import querySchema from '../lib/querySchema.js';
 
 import { CriticalError } from '../lib/customErrors.js';
 
-const { isValidObjectId, idSchema, idsSchema } = schema;
+const { isValidObjectId, idSchema } = schema;
+const { messages } = mongoose.Error;
 
-const zodSchemaFactory = (name, schemaDefinition, handler) => {
+// Fill a Mongoose message template (`Path \`{PATH}\` is required.`) or call a message function
+const formatMessage = (message, props) =>
+    typeof message === 'function'
+        ? message(props)
+        : String(message).replace(/\{([A-Z]+)\}/g, (token, key) =>
+              key.toLowerCase() in props
+                  ? String(props[key.toLowerCase()])
+                  : token
+          );
+
+// Validation options come as `value` or `[value, message]`
+const readOption = (option) =>
+    Array.isArray(option)
+        ? { value: option[0], message: option[1] }
+        : { value: option };
+
+const isPlainObject = (value) =>
+    value !== null &&
+    typeof value === 'object' &&
+    Object.getPrototypeOf(value) === Object.prototype;
+
+// `{ type: String, ... }` declares a path; any other plain object is a nested object
+// (a nested field called `type` is written as `type: { type: String }`)
+const isPathOptions = (definition) =>
+    isPlainObject(definition) &&
+    definition.type !== undefined &&
+    !(isPlainObject(definition.type) && definition.type.type === undefined);
+
+const getTypeName = (type) => {
+    if (type === undefined) return 'Mixed';
+    if (typeof type === 'string') return type;
+    if (type instanceof mongoose.Schema) return 'Embedded';
+    if (Array.isArray(type)) return 'Array';
+    if (isPlainObject(type)) return 'Nested';
+
+    const typeName = type.schemaName || type.name;
+    return typeName === 'Object' ? 'Mixed' : typeName;
+};
+
+const isRequired = (options) =>
+    Array.isArray(options.required)
+        ? Boolean(options.required[0])
+        : options.required === true;
+
+// Missing values report the field's `required` message, wrong types the Mongoose cast error
+const typeErrorMap = (path, typeName, options) => (issue, ctx) => {
+    if (
+        issue.code === z.ZodIssueCode.invalid_type &&
+        ['undefined', 'null'].includes(issue.received)
+    ) {
+        const message = Array.isArray(options.required)
+            ? options.required[1]
+            : undefined;
+        return {
+            message: formatMessage(message || messages.general.required, {
+                path,
+            }),
+        };
+    }
+    if (issue.code === z.ZodIssueCode.invalid_type) {
+        return {
+            message: `Cast to ${typeName} failed for value ${JSON.stringify(ctx.data)} (type ${typeof ctx.data}) at path "${path}"`,
+        };
+    }
+
+    return { message: ctx.defaultError };
+};
+
+// Custom validators: a function, `{ validator, message }`, `[validator, message]` or a list of them
+const getValidators = (validate) => {
+    if (!validate) return [];
+    if (typeof validate === 'function') return [{ validator: validate }];
+    if (Array.isArray(validate)) {
+        return typeof validate[0] === 'function' &&
+            typeof validate[1] === 'string'
+            ? [{ validator: validate[0], message: validate[1] }]
+            : validate.flatMap(getValidators);
+    }
+
+    return [validate];
+};
+
+// The option checks of a path, each `{ isValid, message }`, in the order Mongoose runs them
+const getChecks = (typeName, options, path) => {
+    const checks = [];
+    const addCheck = (option, defaultMessage, isValid, props = () => ({})) => {
+        const { value, message } = readOption(option);
+        checks.push({
+            isValid: (input) => isValid(input, value),
+            message: (input) =>
+                formatMessage(message || defaultMessage, {
+                    path,
+                    value: input instanceof Date ? input.toISOString() : input,
+                    length: input?.length,
+                    ...props(value),
+                }),
+        });
+    };
+
+    if (options.enum && ['String', 'Number'].includes(typeName)) {
+        const { values, message } = Array.isArray(options.enum)
+            ? { values: options.enum }
+            : options.enum;
+        addCheck([values, message], messages[typeName].enum, (input, allowed) =>
+            allowed.includes(input)
+        );
+    }
+
+    if (typeName === 'String') {
+        const minlength = options.minlength ?? options.minLength;
+        const maxlength = options.maxlength ?? options.maxLength;
+        if (options.match) {
+            addCheck(options.match, messages.String.match, (input, regex) => {
+                regex.lastIndex = 0;
+                return input === '' || regex.test(input);
+            });
+        }
+        if (minlength !== undefined) {
+            addCheck(
+                minlength,
+                messages.String.minlength,
+                (input, length) => input.length >= length,
+                (length) => ({ minlength: length })
+            );
+        }
+        if (maxlength !== undefined) {
+            addCheck(
+                maxlength,
+                messages.String.maxlength,
+                (input, length) => input.length <= length,
+                (length) => ({ maxlength: length })
+            );
+        }
+    }
+
+    if (['Number', 'Date'].includes(typeName)) {
+        if (options.min !== undefined) {
+            addCheck(
+                options.min,
+                messages[typeName].min,
+                (input, min) =>
+                    input >= (typeName === 'Date' ? new Date(min) : min),
+                (min) => ({ min })
+            );
+        }
+        if (options.max !== undefined) {
+            addCheck(
+                options.max,
+                messages[typeName].max,
+                (input, max) =>
+                    input <= (typeName === 'Date' ? new Date(max) : max),
+                (max) => ({ max })
+            );
+        }
+    }
+
+    // Validators that need the document (`this`) or run asynchronously are left to Mongoose
+    getValidators(options.validate).forEach(({ validator, message }) =>
+        addCheck(
+            [validator, message],
+            messages.general.default,
+            (input, fn) => {
+                try {
+                    const result = fn(input);
+                    return result instanceof Promise || result !== false;
+                } catch {
+                    return true;
+                }
+            }
+        )
+    );
+
+    return checks;
+};
+
+// Like Mongoose, only the first failing check of a path is reported
+const withChecks = (zodSchema, checks) =>
+    checks.length
+        ? zodSchema.superRefine((input, ctx) => {
+              const failed = checks.find(({ isValid }) => !isValid(input));
+              if (failed) {
+                  ctx.addIssue({
+                      code: z.ZodIssueCode.custom,
+                      message: failed.message(input),
+                  });
+              }
+          })
+        : zodSchema;
+
+// Required paths must be present; others may be left out or set to null. Defaults fill in
+// missing values, except at the top level of partial updates.
+const finalize = ({ zodSchema, required, defaultValue }, useDefault = true) => {
+    if (required) return zodSchema;
+
+    const optionalSchema = zodSchema.optional().nullable();
+    return useDefault && defaultValue !== undefined
+        ? optionalSchema.default(defaultValue)
+        : optionalSchema;
+};
+
+const toZodObject = (definition, path, modelName) =>
+    z
+        .object(
+            Object.fromEntries(
+                Object.entries(definition).map(([key, child]) => [
+                    key,
+                    finalize(
+                        toZodPath(
+                            child,
+                            path ? `${path}.${key}` : key,
+                            modelName
+                        )
+                    ),
+                ])
+            )
+        )
+        .strict();
+
+/**
+ * Maps a Mongoose path definition onto a Zod schema with the same rules: types
+ * (Dates may be ISO strings), `required`, `default`, `enum`, `match`, length and range
+ * limits, `trim` / `lowercase` / `uppercase`, custom validators, nested objects,
+ * sub-schemas, Maps and arrays of any of these. Error messages follow Mongoose,
+ * including the `{PATH}` / `{VALUE}` templates of custom messages.
+ *
+ * @returns {{ zodSchema: z.ZodTypeAny, required: boolean, defaultValue: any }}
+ */
+const toZodPath = (definition, path, modelName) => {
+    const options = isPathOptions(definition)
+        ? definition
+        : { type: definition };
+    const typeName = getTypeName(options.type);
+    const errorMap = typeErrorMap(path, typeName, options);
+    let zodSchema;
+
+    switch (typeName) {
+        case 'String':
+            zodSchema = z.string({ errorMap });
+            if (options.trim) zodSchema = zodSchema.trim();
+            if (options.lowercase) zodSchema = zodSchema.toLowerCase();
+            if (options.uppercase) zodSchema = zodSchema.toUpperCase();
+            break;
+        case 'Number':
+            zodSchema = z.number({ errorMap });
+            break;
+        case 'Boolean':
+            zodSchema = z.boolean({ errorMap });
+            break;
+        case 'Date':
+            // JSON has no dates: ISO strings and timestamps are read as Dates
+            zodSchema = z.preprocess((input) => {
+                if (typeof input !== 'string' && typeof input !== 'number') {
+                    return input;
+                }
+                const date = new Date(input);
+                return isNaN(date.getTime()) ? input : date;
+            }, z.date({ errorMap }));
+            break;
+        case 'ObjectId':
+            zodSchema = z.string({ errorMap }).refine(isValidObjectId, {
+                message: `${path} of ${modelName} must be a valid MongoDB ObjectId`,
+            });
+            break;
+        case 'Array': {
+            const [itemDefinition] = options.type;
+            zodSchema = z.array(
+                itemDefinition === undefined
+                    ? z.any()
+                    : finalize(toZodPath(itemDefinition, path, modelName)),
+                { errorMap }
+            );
+            break;
+        }
+        case 'Embedded':
+            zodSchema = toZodObject(options.type.obj, path, modelName);
+            break;
+        case 'Nested':
+            // Nested objects always exist in Mongoose, so their required fields are checked
+            // even when the object is left out
+            return {
+                zodSchema: z.preprocess(
+                    (input) => input ?? {},
+                    toZodObject(options.type, path, modelName)
+                ),
+                required: true,
+            };
+        case 'Map':
+            zodSchema = z.record(
+                options.of === undefined
+                    ? z.any()
+                    : finalize(toZodPath(options.of, path, modelName)),
+                { errorMap }
+            );
+            break;
+        default:
+            zodSchema = z.any();
+    }
+
+    return {
+        zodSchema: withChecks(zodSchema, getChecks(typeName, options, path)),
+        required: isRequired(options),
+        // Mongoose arrays default to empty
+        defaultValue:
+            options.default ?? (typeName === 'Array' ? () => [] : undefined),
+    };
+};
+
+// Handlers whose body (or items) are documents to write
+const writeHandlers = [
+    'createDocument',
+    'createDocuments',
+    'updateADocument',
+    'updateDocuments',
+    'replaceADocument',
+    'importDocuments',
+];
+
+const zodSchemaFactory = (
+    name,
+    schemaDefinition,
+    handler,
+    entitySchemaRules = {},
+    model = null,
+    rules = {}
+) => {
     const createSchema = {};
     const readSchema = {};
     const updateSchema = {};
     const deleteSchema = {};
+    // List and lookup routes also get a strict schema for their query string
+    let query = null;
+
+    const checkSchemaRules = schemaRules.compile(
+        entitySchemaRules,
+        schemaDefinition,
+        name
+    );
+    const isWriteHandler = writeHandlers.includes(handler.name);
+    // A full replacement (PUT) must satisfy the create rules, for the document in `:id`.
+    const isReplacement = handler.name === 'replaceADocument';
+    const isPartialUpdate = ['updateADocument', 'updateDocuments'].includes(
+        handler.name
+    );
+
+    if (isWriteHandler) {
+        // Bulk and import handlers validate each item with these schemas; bulk update items carry their `id`.
+        if (
+            ['updateADocument', 'replaceADocument', 'updateDocuments'].includes(
+                handler.name
+            )
+        ) {
+            updateSchema.id = idSchema;
+        }
 
-    if (['createDocument', 'updateADocument'].includes(handler.name)) {
         for (const [key, value] of Object.entries(schemaDefinition)) {
-            let schema;
-
-            // Define common data type mappings
-            const typeMap = {
-                [String]: z.string(),
-                [Number]: z.number(),
-                [Boolean]: z.boolean(),
-                [Date]: z.date(),
-                [mongoose.Schema.Types.ObjectId]: z
-                    .string()
-                    .refine(isValidObjectId, {
-                        message: `${key} of ${name} must be a valid MongoDB ObjectId`,
-                    }),
-            };
+            const zodPath = toZodPath(value, key, name);
 
-            // Assign base schema type
-            schema = typeMap[value.type] || z.any();
-
-            // Apply additional validations
-            if (value.match)
-                schema = schema.regex(value.match[0], {
-                    message: value.match[1],
-                });
-            if (value.minlength)
-                schema = schema.min(value.minlength[0], {
-                    message: value.minlength[1],
-                });
-            if (value.maxlength)
-                schema = schema.max(value.maxlength[0], {
-                    message: value.maxlength[1],
-                });
-            if (value.min)
-                schema = schema.min(value.min[0], { message: value.min[1] });
-            if (value.max)
-                schema = schema.max(value.max[0], { message: value.max[1] });
-
-            // Handle arrays separately
-            if (Array.isArray(value.type)) {
-                schema = z.array(z.string()).nonempty({
-                    message: `${key} of ${name} must be a non-empty array`,
-                });
+            // Updates may leave out any field and never fill in defaults
+            createSchema[key] = finalize(zodPath);
+            if (isReplacement) {
+                updateSchema[key] = createSchema[key];
+            } else {
+                updateSchema[key] = zodPath.required
+                    ? zodPath.zodSchema.optional()
+                    : finalize(zodPath, false);
             }
-
-            // Assign schemas based on method
-            createSchema[key] = value.required?.[0]
-                ? schema
-                : schema.optional();
-            updateSchema[key] = schema.optional();
         }
     } else if (handler.name === 'createDummyDocuments') {
         readSchema.count = z.number();
     } else if (handler.name === 'getADocument') {
         readSchema.id = idSchema;
-    } else if (handler.name === 'getDocumentsList') {
-        readSchema.ids = idsSchema;
-    } else if (handler.name === 'deleteADocument') {
+        query = querySchema.createLookupSchema();
+    } else if (
+        ['getDocumentsList', 'getTrashedDocumentsList'].includes(handler.name)
+    ) {
+        query = querySchema.createListSchema(model, rules);
+    } else if (handler.name === 'exportDocuments') {
+        query = querySchema.createExportSchema(model, rules);
+    } else if (handler.name === 'getDocumentStats') {
+        // Filters come from the query string and are handled by the handler.
+        // An empty object schema will be returned.
+    } else if (handler.name === 'getDocumentHistory') {
+        readSchema.id = idSchema;
+    } else if (['deleteADocument', 'purgeADocument'].includes(handler.name)) {
         deleteSchema.id = idSchema;
-    } else if (handler.name === 'deleteDocumentList') {
-        deleteSchema.ids = idsSchema;
-    } else if (handler.name === 'deleteAllDocuments') {
-        // No additional schema required for deleteAllDocuments.
+    } else if (
+        [
+            'deleteDocumentList',
+            'deleteAllDocuments',
+            'purgeTrashedDocuments',
+            'restoreADocument',
+            'restoreDocumentList',
+            'restoreDocumentVersion',
+        ].includes(handler.name)
+    ) {
+        // IDs (if any) come from the query string or params and are validated by the handler.
         // An empty object schema will be returned.
     } else {
         throw new CriticalError(`Invalid handler: ${handler.name}`);
     }
 
+    // Cross-field rules check create and replacement bodies as a whole. A partial update
+    // only makes sense against the document it produces, which `merged` is run against.
+    const hasSchemaRules = Boolean(checkSchemaRules) && isWriteHandler;
+    const create = z.object(createSchema).strict();
+    const update = z.object(updateSchema).strict();
+
     return {
-        create: z.object(createSchema).strict(),
-        update: z.object(updateSchema).strict(),
+        create: hasSchemaRules ? create.superRefine(checkSchemaRules) : create,
+        update:
+            hasSchemaRules && isReplacement
+                ? update.superRefine(checkSchemaRules)
+                : update,
         read: z.object(readSchema).strict(),
         delete: z.object(deleteSchema).strict(),
+        query,
+        merged:
+            hasSchemaRules && isPartialUpdate
+                ? z.object({}).passthrough().superRefine(checkSchemaRules)
+                : null,
     };
 };
 
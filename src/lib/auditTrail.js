@@ -0,0 +1,122 @@
+import AuditLog from '../models/AuditLog.js';
+import logger from './logger.js';
+
+// Bookkeeping fields that change on every write and say nothing about the edit itself
+const ignoredFields = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const isEnabled = (entityOptions) => Boolean(entityOptions?.audit);
+
+const toPlainObject = (doc) => {
+    if (!doc) return null;
+
+    return typeof doc.toObject === 'function'
+        ? doc.toObject({ depopulate: true })
+        : doc;
+};
+
+// Field-level before/after diff between two document states
+const diff = (before, after) => {
+    const fields = new Set([
+        ...Object.keys(before || {}),
+        ...Object.keys(after || {}),
+    ]);
+
+    return [...fields]
+        .filter((field) => !ignoredFields.includes(field))
+        .filter(
+            (field) =>
+                JSON.stringify(before?.[field]) !==
+                JSON.stringify(after?.[field])
+        )
+        .map((field) => ({
+            field,
+            before: before?.[field] ?? null,
+            after: after?.[field] ?? null,
+        }));
+};
+
+// Attempts at taking the next version of a document before giving up
+const MAX_VERSION_ATTEMPTS = 5;
+
+const getNextVersion = async (entity, documentId) => {
+    const latest = await AuditLog.findOne({ entity, documentId })
+        .sort({ version: -1 })
+        .select('version');
+
+    return (latest?.version || 0) + 1;
+};
+
+// Concurrent writes to a document can read the same latest version. The unique
+// `{ entity, documentId, version }` index lets one of them through and the others
+// (duplicate key error 11000) retry with the version after it.
+const createEntry = async (entry, attempt = 1) => {
+    try {
+        return await AuditLog.create({
+            ...entry,
+            version: await getNextVersion(entry.entity, entry.documentId),
+        });
+    } catch (error) {
+        if (error.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS)
+            throw error;
+
+        return createEntry(entry, attempt + 1);
+    }
+};
+
+// Record a change to one document. `before`/`after` are the document states on
+// either side of the change (null when the document does not exist on that side).
+// Audit failures are logged rather than failing a write that has already happened.
+const record = async (req, entityOptions, action, before, after, meta = {}) => {
+    if (!isEnabled(entityOptions)) return;
+
+    const beforeState = toPlainObject(before);
+    const afterState = toPlainObject(after);
+    const documentId = (afterState || beforeState)?._id;
+    const { entityName } = entityOptions;
+
+    try {
+        await createEntry({
+            entity: entityName,
+            documentId,
+            action,
+            actor: req.user?.id || null,
+            actorEmail: req.user?.email,
+            ip: req.ip,
+            userAgent: req.headers['user-agent'],
+            changes: diff(beforeState, afterState),
+            snapshot: afterState,
+            meta,
+        });
+    } catch (error) {
+        logger.error(
+            `Failed to record ${action} of ${entityName} "${documentId}" in the audit trail: ${error.message}`
+        );
+    }
+};
+
+// Record the same change for several documents. `update` is applied to each
+// document's current state to describe the result; without it the documents are gone.
+const recordMany = async (req, entityOptions, action, docs, update = null) => {
+    if (!isEnabled(entityOptions)) return;
+
+    await Promise.all(
+        docs.map((doc) =>
+            record(
+                req,
+                entityOptions,
+                action,
+                doc,
+                update ? { ...toPlainObject(doc), ...update } : null
+            )
+        )
+    );
+};
+
+const auditTrail = {
+    isEnabled,
+    diff,
+    record,
+    recordMany,
+};
+
+export default auditTrail;
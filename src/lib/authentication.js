@@ -0,0 +1,102 @@
+import { randomUUID } from 'crypto';
+
+import configuration from '../configuration/configuration.js';
+import getCookieValue from '../utils/getCookieValue.js';
+import jwtService from './jwt.js';
+
+const { session: sessionSettings, cookie, jwt } = configuration.auth;
+const adminCookie = cookie.admin;
+
+// Build a new session entry that lives as long as its refresh token
+const createSession = (req) => ({
+    sessionId: randomUUID(),
+    userAgent: req.headers['user-agent'],
+    ip: req.ip,
+    createdAt: new Date(),
+    expiresAt: new Date(
+        Date.now() + jwt.refreshToken.expiryMinutes * 60 * 1000
+    ),
+});
+
+// Drop expired sessions and keep room for one more within maxActiveSessions,
+// evicting the oldest sessions first.
+const pruneSessions = (sessions = []) => {
+    const now = new Date();
+    const activeSessions = sessions
+        .filter((session) => session.expiresAt > now)
+        .sort((a, b) => a.createdAt - b.createdAt);
+    const overflow =
+        activeSessions.length - (sessionSettings.maxActiveSessions - 1);
+
+    return overflow > 0 ? activeSessions.slice(overflow) : activeSessions;
+};
+
+const findActiveSession = (admin, sessionId) =>
+    admin?.sessions?.find(
+        (session) =>
+            session.sessionId === sessionId && session.expiresAt > new Date()
+    );
+
+// Issue an access/refresh token pair bound to the given session
+const issueTokens = (admin, sessionId) => {
+    const payload = { sub: admin._id.toString(), sid: sessionId };
+
+    return {
+        accessToken: jwtService.signAccessToken({
+            ...payload,
+            email: admin.email,
+        }),
+        refreshToken: jwtService.signRefreshToken(payload),
+        accessTokenExpiresInMinutes: jwt.accessToken.expiryMinutes,
+        refreshTokenExpiresInMinutes: jwt.refreshToken.expiryMinutes,
+    };
+};
+
+const setSessionCookie = (res, accessToken) =>
+    res.cookie(adminCookie.name, accessToken, {
+        maxAge: adminCookie.maxAgeSeconds * 1000,
+        secure: adminCookie.secure,
+        httpOnly: adminCookie.httpOnly,
+        sameSite: adminCookie.sameSite,
+    });
+
+const clearSessionCookie = (res) =>
+    res.clearCookie(adminCookie.name, {
+        secure: adminCookie.secure,
+        httpOnly: adminCookie.httpOnly,
+        sameSite: adminCookie.sameSite,
+    });
+
+// Strip credentials and session data before an admin is sent to the client
+const toPublicAdmin = (admin) => ({
+    _id: admin._id,
+    name: admin.name,
+    email: admin.email,
+    role: admin.role,
+    createdAt: admin.createdAt,
+    updatedAt: admin.updatedAt,
+});
+
+// Prefer the `Authorization: Bearer <token>` header, fall back to the session cookie
+const getAccessToken = (req) => {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.slice('Bearer '.length).trim();
+    }
+
+    return getCookieValue(req, adminCookie.name);
+};
+
+const authentication = {
+    cookieName: adminCookie.name,
+    getAccessToken,
+    createSession,
+    pruneSessions,
+    findActiveSession,
+    issueTokens,
+    setSessionCookie,
+    clearSessionCookie,
+    toPublicAdmin,
+};
+
+export default authentication;
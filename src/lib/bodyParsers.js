@@ -0,0 +1,46 @@
+import contentTypes from 'content-types-lite';
+import yaml from 'js-yaml';
+
+import xmlParser from './xmlParser.js';
+
+// Parsers for request bodies the app-level JSON and urlencoded parsers do not read,
+// keyed by content type. Each turns the raw text into an object (or an array for bulk routes).
+const registry = new Map();
+
+const register = (contentType, parse) => {
+    registry.set(contentType, parse);
+};
+
+// JSON_SCHEMA keeps YAML to plain JSON types (no custom tags or implicit dates)
+const parseYaml = (text) => yaml.load(text, { schema: yaml.JSON_SCHEMA });
+
+register(contentTypes.YAML, parseYaml);
+register('application/yaml', parseYaml);
+register('text/yaml', parseYaml);
+register(contentTypes.XML_APP, xmlParser.parse);
+register(contentTypes.XML, xmlParser.parse);
+
+// Parser matching a Content-Type header (which may carry `; charset=...`), or null
+const find = (contentType = '') => {
+    const mediaType = contentType.split(';')[0].trim().toLowerCase();
+
+    return registry.get(mediaType) || null;
+};
+
+// Whether a route declaring these request content types needs body parsing beyond JSON
+const isNeeded = (declaredContentTypes = []) =>
+    []
+        .concat(declaredContentTypes)
+        .some(
+            (contentType) =>
+                registry.has(contentType) ||
+                contentType === contentTypes.FORM_URLENCODED
+        );
+
+const bodyParsers = {
+    register,
+    find,
+    isNeeded,
+};
+
+export default bodyParsers;
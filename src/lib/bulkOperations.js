@@ -0,0 +1,165 @@
+import BULK_ITEM_STATUS from '../constants/bulkItemStatus.js';
+import referenceChecks from './referenceChecks.js';
+
+import getBooleanValue from '../utils/getBooleanValue.js';
+
+const DEFAULT_MAX_ITEMS = 1000;
+
+// Injected by `initialize`: the bulk services are imported by routes.config.mjs, so this
+// module cannot import the MongoDB service (which reads the configuration) itself
+const state = {
+    startSession: null,
+};
+
+// Resolve `rules.request.bulk` ({ maxItems, atomic }); `?atomic=true|false` overrides the route default.
+// In atomic mode a single failing item rejects the whole batch and the writes run in one
+// transaction (see `inTransaction`), so other clients never see part of a batch.
+const getOptions = (req, rules) => {
+    const bulkRules = rules?.request?.bulk || {};
+
+    return {
+        maxItems: bulkRules.maxItems || DEFAULT_MAX_ITEMS,
+        atomic:
+            req.query.atomic !== undefined
+                ? getBooleanValue(req.query.atomic)
+                : Boolean(bulkRules.atomic),
+    };
+};
+
+// Returns why the payload cannot be processed at all, or null
+const checkPayload = (items, options) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        return 'The request body must be a non-empty array of items.';
+    }
+    if (items.length > options.maxItems) {
+        return `At most ${options.maxItems} items can be sent at once, received ${items.length}.`;
+    }
+
+    return null;
+};
+
+const createResults = (items) =>
+    items.map((item, index) => ({ index, status: null, errors: [] }));
+
+const fail = (result, errors) => {
+    result.status = BULK_ITEM_STATUS.FAILED;
+    result.errors.push(...errors);
+};
+
+const isPending = (result) => result.status !== BULK_ITEM_STATUS.FAILED;
+
+const formatZodErrors = (error) =>
+    error.errors.map((e) => ({
+        field: e.path?.length ? e.path.join('.') : 'unknown',
+        message: e.message,
+    }));
+
+const formatMongooseErrors = (error) =>
+    Object.values(error.errors).map((e) => ({
+        field: e.path,
+        message: e.message,
+    }));
+
+// Fail entries whose unique field values repeat an earlier item of the batch or
+// belong to another document in the database. Each entry is { result, values, id? }.
+const checkUniqueFields = async (model, entries, uniqueFields) => {
+    for (const field of uniqueFields) {
+        const firstIndexByValue = new Map();
+
+        entries.forEach(({ result, values }) => {
+            const value = values[field];
+            if (value === undefined || value === null || !isPending(result))
+                return;
+
+            const key = String(value);
+            if (firstIndexByValue.has(key)) {
+                fail(result, [
+                    {
+                        field,
+                        message: `${field} "${value}" is already used by item ${firstIndexByValue.get(key)} of this batch.`,
+                    },
+                ]);
+            } else {
+                firstIndexByValue.set(key, result.index);
+            }
+        });
+
+        if (firstIndexByValue.size === 0) continue;
+
+        const existingDocs = await model
+            .find({ [field]: { $in: [...firstIndexByValue.keys()] } })
+            .select(field);
+        const ownerIdByValue = new Map(
+            existingDocs.map((doc) => [String(doc[field]), String(doc._id)])
+        );
+
+        entries.forEach(({ result, values, id }) => {
+            const ownerId = ownerIdByValue.get(String(values[field]));
+            if (isPending(result) && ownerId && ownerId !== String(id)) {
+                fail(result, [
+                    {
+                        field,
+                        message: `${field} "${values[field]}" already exists.`,
+                    },
+                ]);
+            }
+        });
+    }
+};
+
+// Fail pending entries that refer to documents which do not exist (or do not match the field's `refFilter`)
+const checkReferences = async (model, entries) => {
+    const pendingEntries = entries.filter(({ result }) => isPending(result));
+    const referenceErrors = await referenceChecks.findInvalid(
+        model,
+        pendingEntries.map(({ values }) => values)
+    );
+
+    pendingEntries.forEach(({ result }, index) => {
+        if (referenceErrors[index].length) fail(result, referenceErrors[index]);
+    });
+};
+
+// Run `write(session)` in a transaction; nothing it wrote is kept when it throws.
+// Transactions need MongoDB to run as a replica set.
+const inTransaction = async (write) => {
+    const session = await state.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await write(session);
+        });
+
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};
+
+const summarize = (results) => {
+    const failed = results.filter((result) => !isPending(result)).length;
+
+    return { succeeded: results.length - failed, failed };
+};
+
+// Registers how to start a MongoDB session for atomic batches
+const initialize = ({ startSession }) => {
+    state.startSession = startSession;
+};
+
+const bulkOperations = {
+    initialize,
+    getOptions,
+    checkPayload,
+    createResults,
+    fail,
+    isPending,
+    formatZodErrors,
+    formatMongooseErrors,
+    checkUniqueFields,
+    checkReferences,
+    inTransaction,
+    summarize,
+};
+
+export default bulkOperations;
@@ -0,0 +1,198 @@
+import mongoose from 'mongoose';
+
+import paginationModes from '../constants/paginationModes.js';
+import getBooleanValue from '../utils/getBooleanValue.js';
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const NEXT = 'next';
+const PREV = 'prev';
+
+// `-createdAt,name` -> { createdAt: -1, name: 1, _id: -1 }. `_id` breaks ties so every
+// document has a unique position, which keyset pagination relies on.
+const parseSort = (sort = '') => {
+    const sortObj = String(sort)
+        .split(',')
+        .map((field) => field.trim())
+        .filter(Boolean)
+        .reduce((acc, field) => {
+            acc[field.replace(/^[-+]/, '')] = field.startsWith('-') ? -1 : 1;
+            return acc;
+        }, {});
+
+    if (!('_id' in sortObj)) {
+        sortObj._id = Object.values(sortObj)[0] ?? 1;
+    }
+
+    return sortObj;
+};
+
+const toSortString = (sortObj) =>
+    Object.entries(sortObj)
+        .map(([field, order]) => (order < 0 ? `-${field}` : field))
+        .join(',');
+
+const reverseSort = (sortObj) =>
+    Object.fromEntries(
+        Object.entries(sortObj).map(([field, order]) => [field, -order])
+    );
+
+/**
+ * Resolves how a list request is paginated.
+ *
+ * Cursor mode is used when the route sets `rules.response.pagination.mode: 'cursor'`
+ * or the client sends a `cursor` parameter (empty for the first page). Totals are
+ * counted by default in offset mode only; `?total=true|false` or
+ * `rules.response.pagination.includeTotal` override that.
+ */
+const getOptions = (query, rules) => {
+    const { mode = paginationModes.OFFSET, includeTotal } =
+        rules?.response?.pagination || {};
+    const isCursor =
+        query.cursor !== undefined || mode === paginationModes.CURSOR;
+
+    return {
+        mode: isCursor ? paginationModes.CURSOR : paginationModes.OFFSET,
+        includeTotal:
+            query.total !== undefined
+                ? getBooleanValue(query.total)
+                : (includeTotal ?? !isCursor),
+    };
+};
+
+// Read a (possibly nested) value from a Mongoose document or a plain aggregation result.
+// Populated references are read as the IDs that were stored.
+const getValue = (doc, path) => {
+    const value =
+        typeof doc?.get === 'function'
+            ? (doc.populated(path) ?? doc.get(path))
+            : path.split('.').reduce((acc, key) => acc?.[key], doc);
+
+    return value === undefined ? null : value;
+};
+
+// Opaque token holding the sort it was issued for and the position of a boundary document
+const encode = (doc, sortObj, direction) =>
+    Buffer.from(
+        EJSON.stringify({
+            s: toSortString(sortObj),
+            d: direction,
+            v: Object.keys(sortObj).map((field) => getValue(doc, field)),
+        })
+    ).toString('base64url');
+
+// Returns `{ direction, values }`, or null when the cursor is malformed or was issued for another sort
+const decode = (cursor, sortObj) => {
+    try {
+        const { s, d, v } = EJSON.parse(
+            Buffer.from(String(cursor), 'base64url').toString('utf8')
+        );
+        const fields = Object.keys(sortObj);
+
+        if (
+            s !== toSortString(sortObj) ||
+            ![NEXT, PREV].includes(d) ||
+            !Array.isArray(v) ||
+            v.length !== fields.length
+        ) {
+            return null;
+        }
+
+        return { direction: d, values: v };
+    } catch {
+        return null;
+    }
+};
+
+// Condition for "comes after `value`" on one field. MongoDB sorts nulls first,
+// so they need explicit handling on either side of the comparison.
+const compareField = (field, value, operator) => {
+    if (value === null) {
+        return operator === '$gt' ? { [field]: { $ne: null } } : null;
+    }
+
+    return operator === '$gt'
+        ? { [field]: { $gt: value } }
+        : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+/**
+ * Builds the `$match` condition selecting the documents after (or, for `prev`,
+ * before) the cursor position: `(a > x) OR (a = x AND b > y) OR ...`.
+ */
+const buildFilter = (sortObj, { direction, values }) => {
+    const fields = Object.keys(sortObj);
+
+    const branches = fields
+        .map((field, index) => {
+            const ascending =
+                direction === NEXT ? sortObj[field] > 0 : sortObj[field] < 0;
+            const comparison = compareField(
+                field,
+                values[index],
+                ascending ? '$gt' : '$lt'
+            );
+            if (!comparison) return null;
+
+            const equalities = fields
+                .slice(0, index)
+                .map((previousField, previousIndex) => ({
+                    [previousField]: values[previousIndex],
+                }));
+
+            return { $and: [...equalities, comparison] };
+        })
+        .filter(Boolean);
+
+    return branches.length ? { $or: branches } : { _id: { $exists: false } };
+};
+
+// Sort fields are needed to encode cursors, so they are kept in the projection
+const withSortFields = (projection, sortObj) => {
+    const isInclusion = Object.values(projection).includes(1);
+    const result = { ...projection };
+
+    Object.keys(sortObj).forEach((field) => {
+        if (isInclusion) result[field] = 1;
+        else delete result[field];
+    });
+
+    return result;
+};
+
+/**
+ * Turns the `limit + 1` documents fetched in query order into a page and its cursors.
+ * Documents fetched backwards (`prev`) are put back into the requested order.
+ */
+const paginate = (docs, limit, sortObj, cursor) => {
+    const direction = cursor?.direction ?? NEXT;
+    const hasMore = docs.length > limit;
+    const page = docs.slice(0, limit);
+    if (direction === PREV) page.reverse();
+
+    const first = page[0];
+    const last = page[page.length - 1];
+    const hasPrev = direction === PREV ? hasMore : Boolean(cursor);
+    const hasNext = direction === NEXT ? hasMore : true;
+
+    return {
+        docs: page,
+        hasMore,
+        nextCursor: hasNext && last ? encode(last, sortObj, NEXT) : null,
+        prevCursor: hasPrev && first ? encode(first, sortObj, PREV) : null,
+    };
+};
+
+const cursorPagination = {
+    NEXT,
+    PREV,
+    parseSort,
+    reverseSort,
+    getOptions,
+    decode,
+    buildFilter,
+    withSortFields,
+    paginate,
+};
+
+export default cursorPagination;
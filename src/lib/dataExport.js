@@ -0,0 +1,180 @@
+import contentTypes from 'content-types-lite';
+
+import exportFormats from '../constants/exportFormats.js';
+import queryProjection from './queryProjection.js';
+import softDelete from './softDelete.js';
+
+const formatContentTypes = {
+    [exportFormats.CSV]: contentTypes.CSV,
+    [exportFormats.NDJSON]: contentTypes.NDJSON,
+    [exportFormats.JSON]: contentTypes.JSON,
+};
+
+// Normalize the entity-level `export` option.
+// Accepts `true` or `{ columns, maxDocuments, batchSize }`, returns null when export is off.
+const getOptions = (option) => {
+    if (!option) return null;
+
+    return {
+        columns: option.columns ?? null,
+        maxDocuments: option.maxDocuments ?? null,
+        batchSize: option.batchSize ?? 500,
+    };
+};
+
+// Schema paths worth exporting: everything but the soft delete markers
+const getSchemaColumns = (model) =>
+    Object.keys(model.schema.paths).filter(
+        (path) => path !== '__v' && !(path in softDelete.schemaFields)
+    );
+
+// Populated references become one column per populated field (`author.name`, `author.email`)
+const expandPopulated = (columns, model, populate, prefix = '') =>
+    columns.flatMap((column) => {
+        const spec = populate.find(({ path }) => path === column);
+        const refModel = spec && queryProjection.getRefModel(model, column);
+        if (!refModel) return [`${prefix}${column}`];
+
+        const refColumns = spec.select
+            ? ['_id', ...spec.select.split(' ')]
+            : getSchemaColumns(refModel);
+
+        return expandPopulated(
+            [...new Set(refColumns)],
+            refModel,
+            spec.populate || [],
+            `${prefix}${column}.`
+        );
+    });
+
+// A column is a schema field, or a field of a populated reference (`author.name`)
+const isValidColumn = (model, column, populate) => {
+    if (column === '_id' || queryProjection.isSchemaField(model, column)) {
+        return true;
+    }
+
+    const [root, ...rest] = column.split('.');
+    const spec = populate.find(({ path }) => path === root);
+    const refModel = spec && queryProjection.getRefModel(model, root);
+
+    return Boolean(
+        refModel && isValidColumn(refModel, rest.join('.'), spec.populate || [])
+    );
+};
+
+/**
+ * Resolves the CSV columns of an export.
+ *
+ * Requested columns (`?columns=` or the entity's `export.columns`) are checked against
+ * the schema and the populated references, unless `strict` is off (pipeline routes).
+ * Without them, every schema field in the projection is exported and populated
+ * references are flattened into their fields.
+ *
+ * @returns {{ columns: string[], errors: Array }}
+ */
+const getColumns = (
+    model,
+    { projection, populate, requested, strict = true }
+) => {
+    if (requested?.length) {
+        const invalidColumns = strict
+            ? requested.filter(
+                  (column) => !isValidColumn(model, column, populate)
+              )
+            : [];
+
+        return {
+            columns: requested,
+            errors: invalidColumns.map((column) => ({
+                field: 'columns',
+                message: `Unknown column "${column}". Columns must be schema fields or fields of populated references.`,
+            })),
+        };
+    }
+
+    const isInclusion = Object.values(projection).includes(1);
+    const columns = getSchemaColumns(model).filter((path) =>
+        isInclusion
+            ? path === '_id' || projection[path] === 1
+            : projection[path] !== 0
+    );
+
+    return { columns: expandPopulated(columns, model, populate), errors: [] };
+};
+
+const getValue = (doc, column) =>
+    column.split('.').reduce((value, key) => {
+        if (Array.isArray(value)) return value.map((item) => item?.[key]);
+        return value?.[key];
+    }, doc);
+
+const formatCell = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map(formatCell).join(';');
+    if (typeof value.toHexString === 'function') return value.toHexString();
+    if (typeof value === 'object') {
+        // A reference exported as a single column keeps its ID
+        return value._id ? formatCell(value._id) : JSON.stringify(value);
+    }
+    if (typeof value !== 'string') return String(value);
+
+    // Spreadsheets evaluate cells starting with these characters as formulas
+    return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+};
+
+const escapeCsv = (cell) =>
+    /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+
+const toCsvRow = (cells) => `${cells.map(escapeCsv).join(',')}\r\n`;
+
+/**
+ * Returns the writer for an export format: its content type, file extension and the
+ * text written before the first document, for each document and after the last one.
+ */
+const createWriter = (format, columns = []) => {
+    const contentType = formatContentTypes[format];
+
+    switch (format) {
+        case exportFormats.CSV:
+            return {
+                contentType,
+                extension: 'csv',
+                head: () => toCsvRow(columns),
+                row: (doc) =>
+                    toCsvRow(
+                        columns.map((column) =>
+                            formatCell(getValue(doc, column))
+                        )
+                    ),
+                tail: () => '',
+            };
+        case exportFormats.NDJSON:
+            return {
+                contentType,
+                extension: 'ndjson',
+                head: () => '',
+                row: (doc) => `${JSON.stringify(doc)}\n`,
+                tail: () => '',
+            };
+        default:
+            return {
+                contentType,
+                extension: 'json',
+                head: () => '[',
+                row: (doc, index) =>
+                    `${index > 0 ? ',' : ''}\n${JSON.stringify(doc)}`,
+                tail: () => '\n]\n',
+            };
+    }
+};
+
+const dataExport = {
+    getOptions,
+    getColumns,
+    createWriter,
+    formatCell,
+    toCsvRow,
+};
+
+export default dataExport;
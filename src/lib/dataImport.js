@@ -0,0 +1,267 @@
+import contentTypes from 'content-types-lite';
+
+import exportFormats from '../constants/exportFormats.js';
+import queryProjection from './queryProjection.js';
+
+// Import files come in the line-based export formats
+const importFormats = [exportFormats.CSV, exportFormats.NDJSON];
+
+const formatContentTypes = {
+    [contentTypes.CSV]: exportFormats.CSV,
+    [contentTypes.NDJSON]: exportFormats.NDJSON,
+};
+
+// Normalize the entity-level `import` option.
+// Accepts `true` or `{ maxRows, batchSize, maxSize, columns, upsertBy }`, returns null when import is off.
+const getOptions = (option) => {
+    if (!option) return null;
+
+    return {
+        maxRows: option.maxRows ?? 10000,
+        batchSize: option.batchSize ?? 500,
+        maxSize: option.maxSize ?? 10 * 1024, // KB
+        columns: option.columns ?? {},
+        upsertBy: option.upsertBy ?? null,
+    };
+};
+
+// `?format=` wins, then the file extension, then the request or file content type
+const detectFormat = (format, fileName, contentType = '') => {
+    if (format) return importFormats.includes(format) ? format : null;
+
+    const extension = fileName?.split('.').pop().toLowerCase();
+    if (extension === 'csv') return exportFormats.CSV;
+    if (['ndjson', 'jsonl'].includes(extension)) return exportFormats.NDJSON;
+
+    const [, detected] =
+        Object.entries(formatContentTypes).find(([type]) =>
+            contentType.includes(type)
+        ) || [];
+
+    return detected || null;
+};
+
+// RFC 4180 records with the line each one starts on. Quoted cells may contain
+// commas, doubled quotes and line breaks.
+const readCsvRecords = (text) => {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endCell = () => {
+        record.push(cell);
+        cell = '';
+    };
+    const endRecord = () => {
+        endCell();
+        // Blank lines are skipped
+        if (record.length > 1 || record[0] !== '') {
+            records.push({ line: recordLine, cells: record });
+        }
+        record = [];
+        recordLine = line;
+    };
+
+    for (let i = 0; i < text.length; i += 1) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i += 1;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line += 1;
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === ',') {
+            endCell();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i += 1;
+            line += 1;
+            endRecord();
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || record.length > 0) endRecord();
+
+    return { records, unterminated: inQuotes };
+};
+
+const parseCsv = (text) => {
+    const { records, unterminated } = readCsvRecords(text);
+    if (unterminated) {
+        return { error: 'The CSV file ends inside a quoted cell.' };
+    }
+    if (records.length === 0) {
+        return { error: 'The CSV file has no header row.' };
+    }
+
+    const [{ cells: header }, ...dataRecords] = records;
+    const columns = header.map((column) => column.trim());
+
+    return {
+        columns,
+        rows: dataRecords.map(({ line, cells }) => ({
+            line,
+            values: Object.fromEntries(
+                columns.map((column, index) => [column, cells[index] ?? ''])
+            ),
+            errors:
+                cells.length === columns.length
+                    ? []
+                    : [
+                          {
+                              field: 'row',
+                              message: `Expected ${columns.length} cells, found ${cells.length}.`,
+                          },
+                      ],
+        })),
+    };
+};
+
+const parseNdjson = (text) => {
+    const rows = [];
+    const columns = new Set();
+
+    text.split(/\r?\n/).forEach((content, index) => {
+        if (content.trim() === '') return;
+
+        const row = { line: index + 1, values: {}, errors: [] };
+        try {
+            const values = JSON.parse(content);
+            if (
+                !values ||
+                typeof values !== 'object' ||
+                Array.isArray(values)
+            ) {
+                throw new Error('Each line must be a JSON object.');
+            }
+            row.values = values;
+            Object.keys(values).forEach((column) => columns.add(column));
+        } catch (error) {
+            row.errors.push({ field: 'row', message: error.message });
+        }
+        rows.push(row);
+    });
+
+    return { columns: [...columns], rows };
+};
+
+/**
+ * Parses an import file into rows of `{ line, values, errors }`.
+ * Returns `{ error }` when the file as a whole cannot be read.
+ */
+const parse = (text, format) => {
+    // Spreadsheet applications often prepend a byte order mark
+    const content = String(text ?? '').replace(/^\uFEFF/, '');
+
+    return format === exportFormats.CSV
+        ? parseCsv(content)
+        : parseNdjson(content);
+};
+
+/**
+ * Maps file columns to schema fields: explicit `mapping` entries (`{ 'Full Name': 'name' }`)
+ * first, then exact and case-insensitive matches. Unmatched columns are ignored.
+ */
+const mapColumns = (columns, model, mapping = {}) => {
+    const schemaFields = Object.keys(model.schema.paths).filter(
+        (path) => !['_id', 'createdAt', 'updatedAt'].includes(path)
+    );
+    const fieldByColumn = {};
+    const ignoredColumns = [];
+
+    columns.forEach((column) => {
+        const field =
+            mapping[column] ||
+            schemaFields.find((path) => path === column) ||
+            schemaFields.find(
+                (path) => path.toLowerCase() === column.toLowerCase()
+            );
+
+        if (field && queryProjection.isSchemaField(model, field)) {
+            fieldByColumn[column] = field;
+        } else {
+            ignoredColumns.push(column);
+        }
+    });
+
+    return { fieldByColumn, ignoredColumns };
+};
+
+// Cells arrive as strings; convert them to the type of their schema path.
+// Values that cannot be converted are kept so validation reports them.
+const coerceCell = (value, schemaPath) => {
+    if (typeof value !== 'string') return value;
+
+    switch (schemaPath?.instance) {
+        case 'Number': {
+            const number = Number(value);
+            return value.trim() !== '' && !isNaN(number) ? number : value;
+        }
+        case 'Boolean': {
+            const normalized = value.trim().toLowerCase();
+            if (['true', '1', 'yes'].includes(normalized)) return true;
+            if (['false', '0', 'no'].includes(normalized)) return false;
+            return value;
+        }
+        case 'Date': {
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? value : date;
+        }
+        case 'Array':
+            // Exports join array items with `;`
+            return value
+                .split(';')
+                .map((item) => item.trim())
+                .filter(Boolean)
+                .map((item) => coerceCell(item, schemaPath.caster));
+        default:
+            return value;
+    }
+};
+
+const setPath = (target, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((acc, key) => {
+        acc[key] = acc[key] ?? {};
+        return acc[key];
+    }, target);
+
+    parent[last] = value;
+};
+
+// Build a document from a row: mapped columns only, empty cells left out, types coerced
+const toRecord = (values, fieldByColumn, model) => {
+    const record = {};
+
+    Object.entries(fieldByColumn).forEach(([column, field]) => {
+        const value = values[column];
+        if (value === undefined || value === null || value === '') return;
+
+        setPath(record, field, coerceCell(value, model.schema.path(field)));
+    });
+
+    return record;
+};
+
+const dataImport = {
+    formats: importFormats,
+    getOptions,
+    detectFormat,
+    parse,
+    mapColumns,
+    toRecord,
+};
+
+export default dataImport;
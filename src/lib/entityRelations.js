@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+import configuration from '../configuration/configuration.js';
+import softDelete from './softDelete.js';
+
+const getRefName = (ref) => (typeof ref === 'string' ? ref : ref?.modelName);
+
+// Single references of the model. Soft delete markers point at admin accounts and are left out.
+const getReferenceFields = (model) =>
+    Object.entries(model.schema.paths)
+        .filter(
+            ([key, field]) =>
+                field.instance === 'ObjectId' &&
+                field.options.ref &&
+                !(key in softDelete.schemaFields)
+        )
+        .map(([key]) => key);
+
+/**
+ * The reverse relations between the entities in `configuration.routes`, as
+ * `{ parent, child, field, path }`: `author` of posts pointing at users becomes
+ * `/:parentId/posts`, routed under `/api/users`. A child referring to the same
+ * parent through several fields gets a path per field, e.g. `/:parentId/posts/editor`.
+ */
+const getRelations = () => {
+    const references = Object.keys(configuration.routes)
+        .filter((child) => mongoose.models[child])
+        .flatMap((child) => {
+            const model = mongoose.models[child];
+
+            return getReferenceFields(model).map((field) => ({
+                parent: getRefName(model.schema.path(field).options.ref),
+                child,
+                field,
+            }));
+        })
+        .filter(({ parent }) => parent in configuration.routes);
+
+    return references.map((reference) => {
+        const isAmbiguous =
+            references.filter(
+                ({ parent, child }) =>
+                    parent === reference.parent && child === reference.child
+            ).length > 1;
+
+        return {
+            ...reference,
+            path: isAmbiguous
+                ? `/:parentId/${reference.child}/${reference.field}`
+                : `/:parentId/${reference.child}`,
+        };
+    });
+};
+
+const entityRelations = {
+    getReferenceFields,
+    getRelations,
+};
+
+export default entityRelations;
@@ -0,0 +1,183 @@
+import { createHash } from 'crypto';
+
+// Per-document version counter of entities with `etag` enabled
+const VERSION_KEY = '__v';
+
+const isEnabled = (entityOptions) => Boolean(entityOptions?.etag);
+
+const hash = (value) =>
+    createHash('sha1').update(value).digest('base64url').slice(0, 16);
+
+const getVersion = (doc) => doc?.[VERSION_KEY] ?? 0;
+
+// Updates (single, bulk or upserts) increment the version in the same write
+const incrementVersion = (update) =>
+    !update || Array.isArray(update)
+        ? update
+        : { ...update, $inc: { ...update.$inc, [VERSION_KEY]: 1 } };
+
+// Attempts at replacing a document whose version keeps changing under it
+const MAX_REPLACE_ATTEMPTS = 5;
+
+// Current versions of the documents matching the filters, by ID
+const getVersions = async (model, filters) => {
+    const docs = await model.find({ $or: filters }).select(VERSION_KEY).lean();
+
+    return new Map(docs.map((doc) => [String(doc._id), getVersion(doc)]));
+};
+
+// Filter that only matches the document while it is still at the given version.
+// Documents written before `etag` was enabled have no counter yet, which reads as 0.
+const versionFilter = (doc) => ({
+    [VERSION_KEY]: getVersion(doc) || { $in: [0, null] },
+});
+
+// The version a filter already pins the document to (e.g. from If-Match), if any
+const getPinnedVersion = (filter) => {
+    const pinned = filter?.[VERSION_KEY];
+    if (pinned === undefined) return undefined;
+
+    return typeof pinned === 'number' ? pinned : 0;
+};
+
+/**
+ * Mongoose plugin adding the version counter and incrementing it on every write made
+ * through the generated routes, so two writes never share an ETag however close they are.
+ */
+const versioning = (schema) => {
+    schema.add({ [VERSION_KEY]: { type: Number, default: 0 } });
+
+    schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function () {
+        this.setUpdate(incrementVersion(this.getUpdate()));
+    });
+
+    // Replacements cannot increment. They carry the version they replace plus one and
+    // only match while the document is still at that version, so of two concurrent
+    // replacements one misses (see `replace`) instead of both storing the same version.
+    schema.pre(['replaceOne', 'findOneAndReplace'], async function () {
+        let version = getPinnedVersion(this.getFilter());
+        if (version === undefined) {
+            [version] = (
+                await getVersions(this.model, [this.getFilter()])
+            ).values();
+            if (version !== undefined) {
+                this.where(versionFilter({ [VERSION_KEY]: version }));
+            }
+        }
+
+        this.setUpdate({
+            ...this.getUpdate(),
+            [VERSION_KEY]: version === undefined ? 0 : version + 1,
+        });
+    });
+
+    schema.pre('bulkWrite', async function (next, ops) {
+        const unpinnedFilters = ops
+            .filter(
+                ({ replaceOne }) =>
+                    replaceOne &&
+                    getPinnedVersion(replaceOne.filter) === undefined
+            )
+            .map(({ replaceOne }) => replaceOne.filter);
+        const versions = unpinnedFilters.length
+            ? await getVersions(this, unpinnedFilters)
+            : new Map();
+
+        ops.forEach((op) => {
+            const write = op.updateOne || op.updateMany;
+            if (write) write.update = incrementVersion(write.update);
+            if (!op.replaceOne) return;
+
+            const { filter, replacement } = op.replaceOne;
+            let version = getPinnedVersion(filter);
+            if (version === undefined) {
+                version = versions.get(String(filter._id));
+                if (version !== undefined) {
+                    Object.assign(
+                        filter,
+                        versionFilter({ [VERSION_KEY]: version })
+                    );
+                }
+            }
+            replacement[VERSION_KEY] = version === undefined ? 0 : version + 1;
+        });
+    });
+};
+
+// The representation a response was asked for: field selection, population and Accept
+const getRepresentation = (req) =>
+    JSON.stringify([
+        req?.query?.fields ?? null,
+        req?.query?.exclude ?? null,
+        req?.query?.populate ?? null,
+        req?.headers?.accept ?? null,
+    ]);
+
+/**
+ * Weak ETag of a document as requested: `W/"<version>.<representation>"`. The version
+ * part changes with every write, the representation part with the query and `Accept`.
+ * It is weak because changes to populated references do not change it.
+ */
+const compute = (doc, req) => {
+    if (!doc?._id) return null;
+
+    const version = hash(`${doc._id}:${getVersion(doc)}`);
+
+    return `W/"${version}.${hash(getRepresentation(req))}"`;
+};
+
+const getTags = (headerValue) =>
+    headerValue.split(',').map((tag) => tag.trim().replace(/^W\//, ''));
+
+const getVersionPart = (tag) => tag.replace(/^"|"$/g, '').split('.')[0];
+
+// Whether an If-None-Match header value lists the given ETag (weak comparison)
+const matches = (headerValue, currentETag) => {
+    if (!headerValue || !currentETag) return false;
+
+    const current = currentETag.replace(/^W\//, '');
+    return getTags(headerValue).some((tag) => tag === '*' || tag === current);
+};
+
+// Whether an If-Match header value lists the document's current version, from a tag
+// of any representation. `*` matches any existing document.
+const matchesVersion = (headerValue, doc) => {
+    if (!headerValue || !doc?._id) return false;
+
+    const version = getVersionPart(compute(doc).replace(/^W\//, ''));
+    return getTags(headerValue).some(
+        (tag) => tag === '*' || getVersionPart(tag) === version
+    );
+};
+
+/**
+ * `model.replaceOne` for the generated routes. A replacement of an `etag` entity that
+ * lost the race to another write misses; it is tried again on the new version unless
+ * `filter` pins a version itself (If-Match), in which case the miss is the answer.
+ * A miss on a document that no longer matches `filter` is returned as is.
+ */
+const replace = async (model, filter, replacement, options, attempt = 1) => {
+    const result = await model.replaceOne(filter, replacement, options);
+    if (
+        result.matchedCount ||
+        attempt >= MAX_REPLACE_ATTEMPTS ||
+        !(await model.exists(filter))
+    ) {
+        return result;
+    }
+
+    return replace(model, filter, replacement, options, attempt + 1);
+};
+
+const etag = {
+    VERSION_KEY,
+    isEnabled,
+    versioning,
+    compute,
+    matches,
+    matchesVersion,
+    versionFilter,
+    replace,
+};
+
+export default etag;
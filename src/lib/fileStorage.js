@@ -0,0 +1,71 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+import configuration from '../configuration/configuration.js';
+import fileTypes from './fileTypes.js';
+
+import { CriticalError } from './customErrors.js';
+
+const { localDirectory } = configuration.upload;
+
+// Public path the local disk backend's files are served from (see app.js)
+const LOCAL_PUBLIC_PATH = '/uploads';
+
+// Built-in backend: writes files to `<localDirectory>/<entity>/<field>/`, named after the
+// type read from their content (see uploadValidation)
+const localDiskStorage = {
+    save: async (file, { entity, field }) => {
+        const key = `${entity}/${field}/${randomUUID()}${fileTypes.getExtension(file.mimetype)}`;
+        const filePath = path.join(localDirectory, key);
+
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, file.buffer);
+
+        return {
+            key,
+            url: `${configuration.server.url}${LOCAL_PUBLIC_PATH}/${key}`,
+        };
+    },
+    remove: async (key) =>
+        fs.rm(path.join(localDirectory, key), { force: true }),
+};
+
+const storageBackends = {
+    local: localDiskStorage,
+};
+
+// Register a custom backend. A backend must implement
+// `save(file, { entity, field }) => Promise<{ key, url }>` and `remove(key) => Promise`.
+const registerStorage = (name, backend) => {
+    if (
+        typeof backend?.save !== 'function' ||
+        typeof backend?.remove !== 'function'
+    ) {
+        throw new CriticalError(
+            `Invalid storage backend "${name}": it must implement save() and remove().`
+        );
+    }
+
+    storageBackends[name] = backend;
+};
+
+const getStorage = (name = configuration.upload.storageDriver) => {
+    const backend = storageBackends[name];
+    if (!backend) {
+        throw new CriticalError(
+            `Unknown storage backend "${name}". Registered backends: ${Object.keys(storageBackends).join(', ')}`
+        );
+    }
+
+    return backend;
+};
+
+// Export the file storage registry with register and lookup methods.
+const fileStorage = {
+    LOCAL_PUBLIC_PATH,
+    registerStorage,
+    getStorage,
+};
+
+export default fileStorage;
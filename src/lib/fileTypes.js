@@ -0,0 +1,69 @@
+// Stored type of files whose content matches none of the known signatures
+const UNKNOWN_TYPE = 'application/octet-stream';
+
+const bytes = (text) => [...Buffer.from(text, 'latin1')];
+
+// File types uploads can be restricted to, recognized by their leading bytes.
+// The stored extension comes from here, never from the client's file name.
+const knownTypes = {
+    'image/jpeg': {
+        extension: '.jpg',
+        signatures: [{ bytes: [0xff, 0xd8, 0xff] }],
+    },
+    'image/png': {
+        extension: '.png',
+        signatures: [
+            { bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+        ],
+    },
+    'image/gif': {
+        extension: '.gif',
+        signatures: [{ bytes: bytes('GIF87a') }, { bytes: bytes('GIF89a') }],
+    },
+    'image/webp': {
+        extension: '.webp',
+        signatures: [
+            { bytes: bytes('RIFF') },
+            { offset: 8, bytes: bytes('WEBP') },
+        ],
+        matchAll: true,
+    },
+    'application/pdf': {
+        extension: '.pdf',
+        signatures: [{ bytes: bytes('%PDF-') }],
+    },
+};
+
+const hasBytes = (buffer, { offset = 0, bytes: expected }) =>
+    buffer.length >= offset + expected.length &&
+    expected.every((byte, index) => buffer[offset + index] === byte);
+
+const isSupported = (mimeType) => Object.hasOwn(knownTypes, mimeType);
+
+// The known type a file's content matches, or null
+const detect = (buffer) => {
+    if (!Buffer.isBuffer(buffer)) return null;
+
+    const match = Object.entries(knownTypes).find(
+        ([, { signatures, matchAll }]) =>
+            matchAll
+                ? signatures.every((signature) => hasBytes(buffer, signature))
+                : signatures.some((signature) => hasBytes(buffer, signature))
+    );
+
+    return match?.[0] ?? null;
+};
+
+// Extension of a verified type; files of unknown type are stored without one
+const getExtension = (mimeType) =>
+    isSupported(mimeType) ? knownTypes[mimeType].extension : '';
+
+const fileTypes = {
+    UNKNOWN_TYPE,
+    supportedTypes: Object.keys(knownTypes),
+    isSupported,
+    detect,
+    getExtension,
+};
+
+export default fileTypes;
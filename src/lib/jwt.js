@@ -0,0 +1,30 @@
+import jwt from 'jsonwebtoken';
+
+import configuration from '../configuration/configuration.js';
+
+const { accessToken, refreshToken } = configuration.auth.jwt;
+
+// Sign a payload with the given token settings (secret and expiry in minutes)
+const signToken = (payload, { secret, expiryMinutes }) =>
+    jwt.sign(payload, secret, { expiresIn: `${expiryMinutes}m` });
+
+// Verify a token with the given token settings, throws on invalid or expired tokens
+const verifyToken = (token, { secret }) => jwt.verify(token, secret);
+
+const signAccessToken = (payload) => signToken(payload, accessToken);
+
+const signRefreshToken = (payload) => signToken(payload, refreshToken);
+
+const verifyAccessToken = (token) => verifyToken(token, accessToken);
+
+const verifyRefreshToken = (token) => verifyToken(token, refreshToken);
+
+// Export the JWT service with sign and verify methods for both token types.
+const jwtService = {
+    signAccessToken,
+    signRefreshToken,
+    verifyAccessToken,
+    verifyRefreshToken,
+};
+
+export default jwtService;
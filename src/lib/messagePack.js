@@ -0,0 +1,24 @@
+import {
+    decode as decodeMessagePack,
+    encode as encodeMessagePack,
+} from '@msgpack/msgpack';
+
+// MessagePack (https://github.com/msgpack/msgpack/blob/master/spec.md) through @msgpack/msgpack.
+// Map entries whose value is undefined are left out, as JSON.stringify does.
+
+const encode = (value) => {
+    const bytes = encodeMessagePack(value, { ignoreUndefined: true });
+
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+};
+
+// Throws on truncated or malformed input. The encoder refuses values nested over 100 levels;
+// the decoder walks nested input without recursion.
+const decode = (buffer) => decodeMessagePack(buffer);
+
+const messagePack = {
+    encode,
+    decode,
+};
+
+export default messagePack;
@@ -0,0 +1,92 @@
+import queryProjection from './queryProjection.js';
+
+// Most values returned per facet, most frequent first
+const MAX_FACET_VALUES = 100;
+
+// Split `a,b` (or repeated `key=a&key=b`) query values into a trimmed list
+const toList = (value) =>
+    (Array.isArray(value) ? value : [value])
+        .filter((item) => item !== undefined)
+        .flatMap((item) => String(item).split(','))
+        .map((item) => item.trim())
+        .filter(Boolean);
+
+/**
+ * Reads `facets=status,category` from the query string of a list route.
+ * Fields must be declared in `rules.response.facets` and exist in the schema.
+ *
+ * @returns {{ fields: Array<{ field: string, alias: string }>, errors: Array }}
+ */
+const parse = (facets, model, rules) => {
+    const errors = [];
+    const declaredFacets = rules?.response?.facets || [];
+
+    const fields = [...new Set(toList(facets))]
+        .filter((field) => {
+            let message = null;
+            if (!declaredFacets.includes(field)) {
+                message = `"${field}" is not a facet of this route. Available facets: ${declaredFacets.join(', ') || 'none'}.`;
+            } else if (!model.schema.path(field)) {
+                message = `Unknown field "${field}".`;
+            }
+
+            if (message) errors.push({ field: 'facets', message });
+            return !message;
+        })
+        // `$facet` output names cannot contain dots
+        .map((field, index) => ({ field, alias: `facet${index}` }));
+
+    return { fields, errors };
+};
+
+/**
+ * The `$facet` sub-pipelines counting the distinct values of each field.
+ * Array fields are unwound, so each item is counted once per document.
+ */
+const buildStages = (fields, model) =>
+    Object.fromEntries(
+        fields.map(({ field, alias }) => [
+            alias,
+            [
+                ...(model.schema.path(field).instance === 'Array'
+                    ? [{ $unwind: `$${field}` }]
+                    : []),
+                { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+                { $sort: { count: -1, _id: 1 } },
+                { $limit: MAX_FACET_VALUES },
+                { $project: { _id: 0, value: '$_id', count: 1 } },
+            ],
+        ])
+    );
+
+/**
+ * Turns the `$facet` result into `{ field: [{ value, count }] }`.
+ * Values of reference fields are populated with the referenced document.
+ */
+const toFacets = async (result, fields, model) =>
+    Object.fromEntries(
+        await Promise.all(
+            fields.map(async ({ field, alias }) => {
+                const values = result?.[alias] || [];
+                const refModel = queryProjection.getRefModel(model, field);
+
+                return [
+                    field,
+                    refModel
+                        ? await refModel.populate(values, {
+                              path: 'value',
+                              model: refModel,
+                          })
+                        : values,
+                ];
+            })
+        )
+    );
+
+const queryFacets = {
+    parse,
+    buildStages,
+    toFacets,
+};
+
+export default queryFacets;
@@ -0,0 +1,214 @@
+import { Types } from 'mongoose';
+
+import FILTER_OPERATORS from '../constants/filterOperators.js';
+
+const { EQ, NE, GT, GTE, LT, LTE, IN, NIN, REGEX, EXISTS, BETWEEN } =
+    FILTER_OPERATORS;
+
+const MAX_REGEX_LENGTH = 100;
+
+const rangeOperators = [GT, GTE, LT, LTE, BETWEEN];
+
+// Operators each schema type can be filtered with; other types only support equality and existence
+const operatorsByType = {
+    String: [EQ, NE, IN, NIN, REGEX, EXISTS],
+    Number: [EQ, NE, IN, NIN, EXISTS, ...rangeOperators],
+    Date: [EQ, NE, IN, NIN, EXISTS, ...rangeOperators],
+    Boolean: [EQ, NE, EXISTS],
+    ObjectId: [EQ, NE, IN, NIN, EXISTS],
+};
+const defaultOperators = [EQ, NE, EXISTS];
+
+const mongoOperators = {
+    [EQ]: '$eq',
+    [NE]: '$ne',
+    [GT]: '$gt',
+    [GTE]: '$gte',
+    [LT]: '$lt',
+    [LTE]: '$lte',
+    [IN]: '$in',
+    [NIN]: '$nin',
+};
+
+// Arrays are filtered by the type of their items
+const getFieldType = (schemaPath) =>
+    schemaPath.instance === 'Array'
+        ? schemaPath.$embeddedSchemaType?.instance ||
+          schemaPath.caster?.instance
+        : schemaPath.instance;
+
+const parseBoolean = (value) => {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+
+    throw new Error(`"${value}" is not a boolean (use true or false)`);
+};
+
+// Convert a raw query string value into the field's schema type
+const coerceValue = (type, value) => {
+    if (typeof value !== 'string') {
+        throw new Error('expected a single value');
+    }
+
+    switch (type) {
+        case 'Number': {
+            const number = Number(value);
+            if (value.trim() === '' || isNaN(number)) {
+                throw new Error(`"${value}" is not a number`);
+            }
+            return number;
+        }
+        case 'Boolean':
+            return parseBoolean(value);
+        case 'Date': {
+            const date = new Date(value);
+            if (isNaN(date.getTime())) {
+                throw new Error(`"${value}" is not a valid date`);
+            }
+            return date;
+        }
+        case 'ObjectId':
+            if (!Types.ObjectId.isValid(value)) {
+                throw new Error(`"${value}" is not a valid MongoDB ObjectId`);
+            }
+            return new Types.ObjectId(value);
+        default:
+            return value;
+    }
+};
+
+const coerceList = (type, value) =>
+    (Array.isArray(value) ? value : String(value).split(',')).map((item) =>
+        coerceValue(type, item)
+    );
+
+// Translate one `field[operator]=value` pair into MongoDB conditions
+const buildCondition = (type, operator, value) => {
+    switch (operator) {
+        case IN:
+        case NIN:
+            return { [mongoOperators[operator]]: coerceList(type, value) };
+        case BETWEEN: {
+            const bounds = coerceList(type, value);
+            if (bounds.length !== 2) {
+                throw new Error('expected two comma-separated bounds');
+            }
+            return { $gte: bounds[0], $lte: bounds[1] };
+        }
+        case REGEX:
+            if (typeof value !== 'string' || value.length > MAX_REGEX_LENGTH) {
+                throw new Error(
+                    `expected a pattern of at most ${MAX_REGEX_LENGTH} characters`
+                );
+            }
+            try {
+                new RegExp(value);
+            } catch {
+                throw new Error(`"${value}" is not a valid regular expression`);
+            }
+            return { $regex: value };
+        case EXISTS:
+            return { $exists: parseBoolean(value) };
+        default:
+            return { [mongoOperators[operator]]: coerceValue(type, value) };
+    }
+};
+
+// Fields a route exposes can be filtered on: not hidden with `select: false` and, when the
+// route sets `rules.response.allowedFields`, listed there. `_id` is always returned.
+const isFilterable = (model, field, rules) => {
+    const allowedFields = rules?.response?.allowedFields;
+    if (model.schema.paths[field]?.options?.select === false) return false;
+
+    return field === '_id' || !allowedFields || allowedFields.includes(field);
+};
+
+const getFilterableFields = (model, rules) =>
+    Object.keys(model.schema.paths).filter((field) =>
+        isFilterable(model, field, rules)
+    );
+
+/**
+ * Builds a MongoDB filter from list query parameters, e.g.
+ * `age[gte]=18&name[regex]=^Jo&status[in]=a,b&createdAt[between]=2024-01-01,2024-12-31`.
+ * Plain `field=value` pairs are equality matches (repeated keys become `in`).
+ * Values are coerced from `model.schema.paths`; unknown fields, fields the route does
+ * not expose and operators that do not apply to a field's type are reported in `errors`.
+ *
+ * @param {object} filters - Query parameters that are not reserved (page, limit, sort, ...).
+ * @param {import('mongoose').Model} model - The entity model.
+ * @param {object} [rules] - The route rules (`rules.response.allowedFields`).
+ * @returns {{ filter: object, errors: Array<{ field: string, message: string }> }}
+ */
+const parse = (filters, model, rules) => {
+    const filter = {};
+    const errors = [];
+
+    Object.entries(filters).forEach(([field, rawValue]) => {
+        if (rawValue === '') return;
+
+        // Hidden fields are reported as unknown so their existence cannot be probed
+        const schemaPath = model.schema.paths[field];
+        if (!schemaPath || schemaPath.options?.select === false) {
+            errors.push({ field, message: `Unknown filter field "${field}".` });
+            return;
+        }
+        if (!isFilterable(model, field, rules)) {
+            errors.push({
+                field,
+                message: `Field "${field}" cannot be filtered on this route.`,
+            });
+            return;
+        }
+
+        const type = getFieldType(schemaPath);
+        const allowedOperators = operatorsByType[type] || defaultOperators;
+        let conditions;
+        if (Array.isArray(rawValue)) {
+            conditions = { [IN]: rawValue };
+        } else if (rawValue && typeof rawValue === 'object') {
+            conditions = rawValue;
+        } else {
+            conditions = { [EQ]: rawValue };
+        }
+
+        const fieldFilter = {};
+        Object.entries(conditions).forEach(([operator, value]) => {
+            if (!allowedOperators.includes(operator)) {
+                errors.push({
+                    field,
+                    message: `Operator "${operator}" is not allowed on ${type} field "${field}". Allowed operators: ${allowedOperators.join(', ')}.`,
+                });
+                return;
+            }
+
+            try {
+                Object.assign(
+                    fieldFilter,
+                    buildCondition(type, operator, value)
+                );
+            } catch (error) {
+                errors.push({
+                    field,
+                    message: `Invalid value for "${field}[${operator}]": ${error.message}.`,
+                });
+            }
+        });
+
+        const operators = Object.keys(fieldFilter);
+        if (operators.length === 1 && operators[0] === '$eq') {
+            filter[field] = fieldFilter.$eq;
+        } else if (operators.length > 0) {
+            filter[field] = fieldFilter;
+        }
+    });
+
+    return { filter, errors };
+};
+
+const queryFilter = {
+    getFilterableFields,
+    parse,
+};
+
+export default queryFilter;
@@ -0,0 +1,173 @@
+import mongoose from 'mongoose';
+
+// Split `a,b` (or repeated `key=a&key=b`) query values into a trimmed list
+const toList = (value) =>
+    (Array.isArray(value) ? value : [value])
+        .flatMap((item) => String(item).split(','))
+        .map((item) => item.trim())
+        .filter(Boolean);
+
+const isSchemaField = (model, field) =>
+    ['real', 'nested'].includes(model.schema.pathType(field));
+
+const getRefModel = (model, field) => {
+    const schemaPath = model.schema.path(field);
+    const ref =
+        schemaPath?.options?.ref ||
+        schemaPath?.$embeddedSchemaType?.options?.ref ||
+        schemaPath?.caster?.options?.ref;
+
+    return typeof ref === 'string' ? mongoose.models[ref] : ref;
+};
+
+// Resolve `fields` / `exclude` into a projection, checked against the schema and `allowedFields`
+const parseProjection = (model, { fields, exclude }, allowedFields, errors) => {
+    if (fields !== undefined && exclude !== undefined) {
+        errors.push({
+            field: 'fields',
+            message: 'Use either "fields" or "exclude", not both.',
+        });
+        return {};
+    }
+
+    const param = fields !== undefined ? 'fields' : 'exclude';
+    const requestedFields = toList(fields ?? exclude ?? []);
+    const projection = {};
+
+    requestedFields.forEach((field) => {
+        if (!isSchemaField(model, field) && field !== '_id') {
+            errors.push({ field: param, message: `Unknown field "${field}".` });
+        } else if (allowedFields && !allowedFields.includes(field)) {
+            errors.push({
+                field: param,
+                message: `Field "${field}" cannot be selected on this route. Allowed fields: ${allowedFields.join(', ')}.`,
+            });
+        } else {
+            projection[field] = param === 'fields' ? 1 : 0;
+        }
+    });
+
+    return projection;
+};
+
+// Resolve `populate=a,a.b` or `populate[a]=name,email` into a nested Mongoose populate spec
+const parsePopulate = (model, populate, allowedPaths, errors) => {
+    const selections =
+        populate && typeof populate === 'object' && !Array.isArray(populate)
+            ? Object.fromEntries(
+                  Object.entries(populate).map(([path, select]) => [
+                      path,
+                      toList(select),
+                  ])
+              )
+            : Object.fromEntries(toList(populate).map((path) => [path, []]));
+
+    // Parents are populated before their children (e.g. `author` before `author.company`)
+    const paths = Object.keys(selections).sort(
+        (a, b) => a.split('.').length - b.split('.').length
+    );
+    const specByPath = {};
+    const rootSpecs = [];
+
+    paths.forEach((path) => {
+        if (!allowedPaths.includes(path)) {
+            errors.push({
+                field: 'populate',
+                message: `"${path}" cannot be populated on this route. Allowed paths: ${allowedPaths.join(', ') || 'none'}.`,
+            });
+            return;
+        }
+
+        const segments = path.split('.');
+        const parentPath = segments.slice(0, -1).join('.');
+        const field = segments[segments.length - 1];
+        const parentModel = parentPath ? specByPath[parentPath]?.model : model;
+
+        if (!parentModel) {
+            errors.push({
+                field: 'populate',
+                message: `Populate "${parentPath}" as well to populate "${path}".`,
+            });
+            return;
+        }
+
+        const refModel = getRefModel(parentModel, field);
+        if (!refModel) {
+            errors.push({
+                field: 'populate',
+                message: `"${path}" is not a reference to another entity.`,
+            });
+            return;
+        }
+
+        const select = selections[path];
+        const unknownFields = select.filter(
+            (selectedField) => !isSchemaField(refModel, selectedField)
+        );
+        if (unknownFields.length > 0) {
+            errors.push({
+                field: 'populate',
+                message: `Unknown field(s) of "${path}": ${unknownFields.join(', ')}.`,
+            });
+            return;
+        }
+
+        const spec = { path: field, populate: [] };
+        if (select.length > 0) spec.select = select.join(' ');
+        specByPath[path] = { spec, model: refModel };
+
+        if (parentPath) {
+            const parentSpec = specByPath[parentPath].spec;
+            parentSpec.populate.push(spec);
+            // A parent limited to some fields still needs the populated child
+            if (parentSpec.select) parentSpec.select += ` ${field}`;
+        } else {
+            rootSpecs.push(spec);
+        }
+    });
+
+    return rootSpecs;
+};
+
+/**
+ * Reads `fields`, `exclude` and `populate` from the query string of a read route.
+ *
+ * - `fields=name,email` / `exclude=bio` build a projection (one or the other).
+ * - `populate=author,author.company` populates references; `populate[author]=name,email`
+ *   also limits the populated fields. An empty `populate=` populates nothing.
+ *
+ * Fields must exist in the schema and, when set, in `rules.response.allowedFields`.
+ * Populate paths must be references listed in `rules.response.allowedPopulate`
+ * (defaults to the entity's own reference fields, one level deep).
+ *
+ * @returns {{ projection: object, populate: Array|null, errors: Array }} `populate`
+ * is null when the client did not ask for it, so callers keep their default.
+ */
+const parse = (query, model, referenceFields, rules) => {
+    const errors = [];
+    const allowedFields = rules?.response?.allowedFields;
+    const allowedPopulate = rules?.response?.allowedPopulate || referenceFields;
+
+    const projection = parseProjection(model, query, allowedFields, errors);
+    const populate =
+        query.populate === undefined
+            ? null
+            : parsePopulate(model, query.populate, allowedPopulate, errors);
+
+    // Populated references have to be part of the projection
+    if (populate && Object.values(projection).includes(1)) {
+        populate.forEach(({ path }) => {
+            projection[path] = 1;
+        });
+    }
+
+    return { projection, populate, errors };
+};
+
+const queryProjection = {
+    parse,
+    isSchemaField,
+    getRefModel,
+};
+
+export default queryProjection;
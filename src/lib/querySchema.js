@@ -0,0 +1,178 @@
+import { z } from 'zod';
+
+import exportFormats from '../constants/exportFormats.js';
+import queryFilter from './queryFilter.js';
+
+const DEFAULT_MAX_LIMIT = 100;
+// `rules.response.allowedSort: 'indexed'` only sorts on indexed fields
+const INDEXED = 'indexed';
+
+const textList = (name) =>
+    z.union([z.string(), z.array(z.string())], {
+        errorMap: () => ({
+            message: `"${name}" must be a comma-separated list.`,
+        }),
+    });
+
+const singleText = (name) =>
+    z.string({ message: `"${name}" must be a single value.` });
+
+const booleanFlag = (name) =>
+    z.enum(['true', 'false'], {
+        errorMap: () => ({ message: `"${name}" must be true or false.` }),
+    });
+
+const wholeNumber = (name, min, max = Infinity) =>
+    z.any().transform((value, ctx) => {
+        const number =
+            typeof value === 'string' && value.trim() !== ''
+                ? Number(value)
+                : NaN;
+        if (!Number.isInteger(number) || number < min || number > max) {
+            ctx.addIssue({
+                code: z.ZodIssueCode.custom,
+                message:
+                    max === Infinity
+                        ? `"${name}" must be a whole number of at least ${min}.`
+                        : `"${name}" must be a whole number between ${min} and ${max}.`,
+            });
+            return z.NEVER;
+        }
+
+        return number;
+    });
+
+// Paths a list can be filtered and sorted on
+const getSchemaFields = (model) =>
+    Object.keys(model.schema.paths).filter((path) => path !== '__v');
+
+// Fields leading or taking part in an ascending / descending index (text indexes cannot sort)
+const getIndexedFields = (model) => [
+    ...new Set([
+        '_id',
+        ...model.schema
+            .indexes()
+            .flatMap(([fields]) =>
+                Object.keys(fields).filter((field) =>
+                    [1, -1].includes(fields[field])
+                )
+            ),
+    ]),
+];
+
+/**
+ * The fields a list route can be sorted on: `rules.response.allowedSort` when it is a
+ * list (which may name fields computed by the route's pipeline), only the indexed
+ * fields when it is `'indexed'`, otherwise every schema field.
+ */
+const getSortableFields = (model, rules) => {
+    const allowedSort = rules?.response?.allowedSort;
+    if (Array.isArray(allowedSort)) return allowedSort;
+    if (allowedSort === INDEXED) return getIndexedFields(model);
+
+    return getSchemaFields(model);
+};
+
+const sortSchema = (sortableFields) =>
+    singleText('sort').superRefine((sort, ctx) =>
+        sort
+            .split(',')
+            .map((field) => field.trim().replace(/^[-+]/, ''))
+            .filter((field) => field && !sortableFields.includes(field))
+            .forEach((field) =>
+                ctx.addIssue({
+                    code: z.ZodIssueCode.custom,
+                    message: `Cannot sort on "${field}". Sortable fields: ${sortableFields.join(', ')}.`,
+                })
+            )
+    );
+
+// Filter values are checked here and converted to the field's type by the list handler
+const filterSchema = (field, model, rules) =>
+    z
+        .any()
+        .superRefine((value, ctx) =>
+            queryFilter
+                .parse({ [field]: value }, model, rules)
+                .errors.forEach(({ message }) =>
+                    ctx.addIssue({ code: z.ZodIssueCode.custom, message })
+                )
+        );
+
+/**
+ * Strict query string schema of a list route: pagination (`limit` up to
+ * `rules.response.pagination.maxLimit`, 100 by default), `sort`, field selection,
+ * facets, search and a filter per field the route exposes. `page` and `limit` come out as numbers.
+ */
+const createListSchema = (model, rules) => {
+    const maxLimit = rules?.response?.pagination?.maxLimit ?? DEFAULT_MAX_LIMIT;
+    const params = {
+        page: wholeNumber('page', 1),
+        limit: wholeNumber('limit', 1, maxLimit),
+        sort: sortSchema(getSortableFields(model, rules)),
+        cursor: singleText('cursor'),
+        total: booleanFlag('total'),
+        fields: textList('fields'),
+        exclude: textList('exclude'),
+        populate: textList('populate'),
+        facets: textList('facets'),
+        q: singleText('q'),
+        typeahead: booleanFlag('typeahead'),
+        highlight: booleanFlag('highlight'),
+    };
+
+    // The parameters above take precedence over fields of the same name
+    queryFilter
+        .getFilterableFields(model, rules)
+        .filter((field) => field !== '__v')
+        .forEach((field) => {
+            params[field] ??= filterSchema(field, model, rules);
+        });
+
+    return z
+        .object(
+            Object.fromEntries(
+                Object.entries(params).map(([name, schema]) => [
+                    name,
+                    schema.optional(),
+                ])
+            )
+        )
+        .strict();
+};
+
+/**
+ * Strict query string schema of an export route: the list route's parameters, so list
+ * URLs can be reused, plus `format` and `columns`. Text search is not part of exports.
+ */
+const createExportSchema = (model, rules) =>
+    createListSchema(model, rules)
+        .omit({ q: true, typeahead: true, highlight: true })
+        .extend({
+            format: z
+                .enum(Object.values(exportFormats), {
+                    errorMap: () => ({
+                        message: `"format" must be one of: ${Object.values(exportFormats).join(', ')}.`,
+                    }),
+                })
+                .optional(),
+            columns: textList('columns').optional(),
+        });
+
+// Strict query string schema of a single-document route: field selection only
+const createLookupSchema = () =>
+    z
+        .object({
+            fields: textList('fields').optional(),
+            exclude: textList('exclude').optional(),
+            populate: textList('populate').optional(),
+        })
+        .strict();
+
+const querySchema = {
+    createListSchema,
+    createExportSchema,
+    createLookupSchema,
+};
+
+export default querySchema;
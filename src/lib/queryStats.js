@@ -0,0 +1,260 @@
+import statsIntervals from '../constants/statsIntervals.js';
+import statsMetrics from '../constants/statsMetrics.js';
+
+const { COUNT, SUM, AVG, MIN, MAX } = statsMetrics;
+
+const MAX_GROUP_FIELDS = 3;
+
+const accumulators = {
+    [SUM]: '$sum',
+    [AVG]: '$avg',
+    [MIN]: '$min',
+    [MAX]: '$max',
+};
+
+// Normalize the entity-level `stats` option.
+// Accepts `true` or `{ groupBy, maxGroups }`, returns null when stats are off.
+const getOptions = (option) => {
+    if (!option) return null;
+
+    return {
+        groupBy: option.groupBy ?? [],
+        maxGroups: option.maxGroups ?? 1000,
+    };
+};
+
+// Split `a,b` (or repeated `key=a&key=b`) query values into a trimmed list
+const toList = (value) =>
+    (Array.isArray(value) ? value : [value])
+        .filter((item) => item !== undefined)
+        .flatMap((item) => String(item).split(','))
+        .map((item) => item.trim())
+        .filter(Boolean);
+
+const getInstance = (model, field) => model.schema.path(field)?.instance;
+
+// Group fields must be plain schema paths listed in the route's `allowedGroupBy`
+const parseGroupBy = (model, groupBy, allowedGroupBy, errors) =>
+    [...new Set(toList(groupBy))].filter((field) => {
+        let message = null;
+        if (!model.schema.path(field)) {
+            message = `Unknown field "${field}".`;
+        } else if (getInstance(model, field) === 'Date') {
+            message = `"${field}" is a date. Group it into time buckets with "interval" and "dateField" instead.`;
+        } else if (!allowedGroupBy.includes(field)) {
+            message = `"${field}" cannot be grouped on this route. Groupable fields: ${allowedGroupBy.join(', ') || 'none'}.`;
+        }
+
+        if (message) errors.push({ field: 'groupBy', message });
+        return !message;
+    });
+
+// `sum:age,avg:age`; `count` is always computed
+const parseMetrics = (model, metrics, errors) =>
+    [...new Set(toList(metrics))].flatMap((item) => {
+        const [op, field] = item.split(':');
+
+        if (op === COUNT && !field) return [];
+        if (!accumulators[op]) {
+            errors.push({
+                field: 'metrics',
+                message: `Unknown metric "${op}". Expected one of: ${Object.values(statsMetrics).join(', ')}.`,
+            });
+            return [];
+        }
+        if (!field || getInstance(model, field) !== 'Number') {
+            errors.push({
+                field: 'metrics',
+                message: `"${item}" must name a Number field, as in "${op}:<field>".`,
+            });
+            return [];
+        }
+
+        return [{ op, field }];
+    });
+
+// `interval=day` buckets `dateField` (default `createdAt`)
+const parseBucket = (model, { interval, dateField }, errors) => {
+    if (interval === undefined) {
+        if (dateField !== undefined) {
+            errors.push({
+                field: 'dateField',
+                message: '"dateField" needs an "interval" to bucket by.',
+            });
+        }
+        return null;
+    }
+
+    const field = dateField || 'createdAt';
+    if (!Object.values(statsIntervals).includes(interval)) {
+        errors.push({
+            field: 'interval',
+            message: `Unknown interval "${interval}". Expected one of: ${Object.values(statsIntervals).join(', ')}.`,
+        });
+    }
+    if (getInstance(model, field) !== 'Date') {
+        errors.push({
+            field: 'dateField',
+            message: `"${field}" is not a Date field.`,
+        });
+    }
+
+    return { field, unit: interval };
+};
+
+// Groups sort by their keys, time buckets first. `sort` may name a key or `count`.
+const parseSort = (sort, keys, errors) => {
+    const sortObj = {};
+
+    toList(sort).forEach((item) => {
+        const name = item.replace(/^-/, '');
+        const direction = item.startsWith('-') ? -1 : 1;
+        const key = keys.find((candidate) => candidate.name === name);
+
+        if (name === COUNT) {
+            sortObj.count = direction;
+        } else if (key) {
+            sortObj[`_id.${key.alias}`] = direction;
+        } else {
+            errors.push({
+                field: 'sort',
+                message: `Groups can only be sorted by count or their keys: ${[COUNT, ...keys.map((candidate) => candidate.name)].join(', ')}.`,
+            });
+        }
+    });
+
+    // The remaining keys break ties
+    keys.forEach(({ alias }) => {
+        sortObj[`_id.${alias}`] ??= 1;
+    });
+
+    return Object.keys(sortObj).length ? sortObj : { count: -1 };
+};
+
+const parseLimit = (limit, maxGroups, errors) => {
+    if (limit === undefined) return maxGroups;
+
+    const parsedLimit = Number(limit);
+    if (
+        !Number.isInteger(parsedLimit) ||
+        parsedLimit < 1 ||
+        parsedLimit > maxGroups
+    ) {
+        errors.push({
+            field: 'limit',
+            message: `"limit" must be a whole number between 1 and ${maxGroups}.`,
+        });
+    }
+
+    return parsedLimit;
+};
+
+/**
+ * Reads `groupBy`, `metrics`, `interval`, `dateField`, `sort` and `limit` from the query
+ * string of a stats route and builds the aggregation stages that follow its `$match`.
+ *
+ * - `groupBy=isActive,role` groups on up to three fields from `rules.response.allowedGroupBy`;
+ *   array fields are unwound, so each item counts once.
+ * - `metrics=sum:age,avg:age` adds sum, avg, min or max of Number fields to the count.
+ * - `interval=hour|day|week|month` buckets `dateField` (default `createdAt`) in `timezone`;
+ *   weeks start on Monday.
+ *
+ * One group more than `limit` is read, so callers can tell when groups were cut off.
+ *
+ * @returns {{ stages: Array, limit: number, toGroup: Function, errors: Array }}
+ * `toGroup` turns an aggregation result into `{ group, count, metrics }`.
+ */
+const parse = (query, model, rules, timezone) => {
+    const errors = [];
+    const allowedGroupBy = rules?.response?.allowedGroupBy || [];
+    const maxGroups = rules?.response?.maxGroups ?? 1000;
+
+    const groupFields = parseGroupBy(
+        model,
+        query.groupBy,
+        allowedGroupBy,
+        errors
+    );
+    if (groupFields.length > MAX_GROUP_FIELDS) {
+        errors.push({
+            field: 'groupBy',
+            message: `At most ${MAX_GROUP_FIELDS} fields can be grouped on at once.`,
+        });
+    }
+    const bucket = parseBucket(model, query, errors);
+    const metrics = parseMetrics(model, query.metrics, errors);
+    const limit = parseLimit(query.limit, maxGroups, errors);
+
+    // Keys and metrics get positional names, since `$group` does not allow dotted names
+    const keys = [
+        ...(bucket
+            ? [
+                  {
+                      name: bucket.field,
+                      expression: {
+                          $dateTrunc: {
+                              date: `$${bucket.field}`,
+                              unit: bucket.unit,
+                              timezone,
+                              ...(bucket.unit === statsIntervals.WEEK
+                                  ? { startOfWeek: 'monday' }
+                                  : {}),
+                          },
+                      },
+                  },
+              ]
+            : []),
+        ...groupFields.map((field) => ({
+            name: field,
+            expression: `$${field}`,
+        })),
+    ].map((key, index) => ({ ...key, alias: `k${index}` }));
+    const sort = parseSort(query.sort, keys, errors);
+
+    const stages = [
+        ...groupFields
+            .filter((field) => getInstance(model, field) === 'Array')
+            .map((field) => ({ $unwind: `$${field}` })),
+        {
+            $group: {
+                _id: keys.length
+                    ? Object.fromEntries(
+                          keys.map(({ alias, expression }) => [
+                              alias,
+                              expression,
+                          ])
+                      )
+                    : null,
+                count: { $sum: 1 },
+                ...Object.fromEntries(
+                    metrics.map(({ op, field }, index) => [
+                        `m${index}`,
+                        { [accumulators[op]]: `$${field}` },
+                    ])
+                ),
+            },
+        },
+        { $sort: sort },
+        { $limit: limit + 1 },
+    ];
+
+    const toGroup = (result) => ({
+        group: Object.fromEntries(
+            keys.map(({ name, alias }) => [name, result._id?.[alias] ?? null])
+        ),
+        count: result.count,
+        metrics: metrics.reduce((values, { op, field }, index) => {
+            values[field] = { ...values[field], [op]: result[`m${index}`] };
+            return values;
+        }, {}),
+    });
+
+    return { stages, limit, toGroup, errors };
+};
+
+const queryStats = {
+    getOptions,
+    parse,
+};
+
+export default queryStats;
@@ -0,0 +1,128 @@
+import { Types } from 'mongoose';
+
+import queryProjection from './queryProjection.js';
+import softDelete from './softDelete.js';
+
+const getValue = (doc, path) =>
+    path.split('.').reduce((value, key) => value?.[key], doc);
+
+// The IDs a single or array reference holds; malformed ones are left to the schema validation
+const toIds = (value) =>
+    []
+        .concat(value ?? [])
+        .map((id) => String(id))
+        .filter((id) => Types.ObjectId.isValid(id));
+
+const toObjectIds = (ids) => ids.map((id) => new Types.ObjectId(id));
+
+/**
+ * Reference fields of the entity (single or array) whose referenced model is known,
+ * with the `refFilter` a referenced document must also match (e.g. `{ isActive: true }`).
+ * The soft delete markers are managed by the server and left out.
+ */
+const getReferenceFields = (model) =>
+    Object.entries(model.schema.paths)
+        .filter(([path]) => !(path in softDelete.schemaFields))
+        .flatMap(([path, schemaPath]) => {
+            const refModel = queryProjection.getRefModel(model, path);
+            if (!refModel) return [];
+
+            const itemOptions =
+                schemaPath.instance === 'Array'
+                    ? (schemaPath.$embeddedSchemaType || schemaPath.caster)
+                          ?.options
+                    : null;
+
+            return [
+                {
+                    path,
+                    refModel,
+                    filter:
+                        schemaPath.options.refFilter ??
+                        itemOptions?.refFilter ??
+                        null,
+                },
+            ];
+        });
+
+/**
+ * Checks that every document referenced by `documents` (request bodies or bulk items)
+ * exists, is not in the trash and matches its field's `refFilter`. Each referenced
+ * model is read once, with a `$facet` branch per field pointing at it.
+ *
+ * @returns {Promise<Array<Array<{ field: string, message: string }>>>} The errors of each document, in order.
+ */
+const findInvalid = async (model, documents) => {
+    const errors = documents.map(() => []);
+    const fieldsByRefModel = new Map();
+    getReferenceFields(model).forEach((field) =>
+        fieldsByRefModel.set(field.refModel, [
+            ...(fieldsByRefModel.get(field.refModel) || []),
+            field,
+        ])
+    );
+
+    for (const [refModel, fields] of fieldsByRefModel) {
+        const idsByField = fields.map(({ path }) => [
+            ...new Set(documents.flatMap((doc) => toIds(getValue(doc, path)))),
+        ]);
+        const allIds = [...new Set(idsByField.flat())];
+        if (!allIds.length) continue;
+
+        const [found] = await refModel.aggregate([
+            {
+                $match: {
+                    _id: { $in: toObjectIds(allIds) },
+                    ...('deletedAt' in refModel.schema.paths
+                        ? { deletedAt: null }
+                        : {}),
+                },
+            },
+            {
+                $facet: Object.fromEntries(
+                    fields.map(({ filter }, index) => [
+                        `field${index}`,
+                        [
+                            {
+                                $match: {
+                                    _id: {
+                                        $in: toObjectIds(idsByField[index]),
+                                    },
+                                    ...filter,
+                                },
+                            },
+                            { $project: { _id: 1 } },
+                        ],
+                    ])
+                ),
+            },
+        ]);
+
+        fields.forEach(({ path, filter }, index) => {
+            const foundIds = new Set(
+                found[`field${index}`].map(({ _id }) => String(_id))
+            );
+
+            documents.forEach((doc, docIndex) =>
+                toIds(getValue(doc, path))
+                    .filter((id) => !foundIds.has(id))
+                    .forEach((id) =>
+                        errors[docIndex].push({
+                            field: path,
+                            message: filter
+                                ? `${path} refers to ${refModel.modelName} "${id}", which does not exist or does not match ${JSON.stringify(filter)}.`
+                                : `${path} refers to ${refModel.modelName} "${id}", which does not exist.`,
+                        })
+                    )
+            );
+        });
+    }
+
+    return errors;
+};
+
+const referenceChecks = {
+    findInvalid,
+};
+
+export default referenceChecks;
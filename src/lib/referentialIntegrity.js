@@ -0,0 +1,295 @@
+import mongoose from 'mongoose';
+
+import AUDIT_ACTIONS from '../constants/auditActions.js';
+import onDeleteActions from '../constants/onDeleteActions.js';
+import auditTrail from './auditTrail.js';
+import softDelete from './softDelete.js';
+
+import { CriticalError } from './customErrors.js';
+
+const { RESTRICT, CASCADE, SET_NULL, PULL } = onDeleteActions;
+
+// Most blocking documents listed per `restrict` reference
+const MAX_BLOCKING_LISTED = 20;
+
+// Injected by `initialize`: the delete services using this module are imported by
+// routes.config.mjs, so it cannot import the configuration (or the MongoDB service) itself
+const state = {
+    entities: [],
+    entityOptions: {},
+    startSession: null,
+};
+
+// Arrays of references carry `ref` and `onDelete` on their items
+const getReferenceOptions = (schemaPath) => {
+    const itemOptions =
+        schemaPath.instance === 'Array'
+            ? (schemaPath.$embeddedSchemaType || schemaPath.caster)?.options
+            : null;
+
+    return {
+        ref: schemaPath.options.ref ?? itemOptions?.ref,
+        onDelete: schemaPath.options.onDelete ?? itemOptions?.onDelete,
+    };
+};
+
+const getRefName = (ref) => (typeof ref === 'string' ? ref : ref?.modelName);
+
+/**
+ * Every reference field of the routed entities that declares `onDelete`,
+ * as `{ entity, path, isArray, isRequired, target, action }`.
+ */
+const getReferences = () =>
+    state.entities
+        .filter((entity) => mongoose.models[entity])
+        .flatMap((entity) =>
+            Object.entries(mongoose.models[entity].schema.paths).flatMap(
+                ([path, schemaPath]) => {
+                    const { ref, onDelete } = getReferenceOptions(schemaPath);
+                    if (!ref || !onDelete) return [];
+
+                    return [
+                        {
+                            entity,
+                            path,
+                            isArray: schemaPath.instance === 'Array',
+                            isRequired: Boolean(schemaPath.isRequired),
+                            target: getRefName(ref),
+                            action: onDelete,
+                        },
+                    ];
+                }
+            )
+        );
+
+const getDependants = (entity) =>
+    getReferences().filter(({ target }) => target === entity);
+
+// Fail at startup on `onDelete` rules that cannot be enforced
+const check = () =>
+    getReferences().forEach(
+        ({ entity, path, isArray, isRequired, target, action }) => {
+            const field = `"${path}" of ${entity}`;
+
+            if (!Object.values(onDeleteActions).includes(action)) {
+                throw new CriticalError(
+                    `Invalid onDelete "${action}" on ${field}. Expected one of: ${Object.values(onDeleteActions).join(', ')}`
+                );
+            }
+            if (!state.entities.includes(target)) {
+                throw new CriticalError(
+                    `${field} refers to "${target}", which is not an entity in the routes configuration, so its onDelete rule would never run`
+                );
+            }
+            if (action === PULL && !isArray) {
+                throw new CriticalError(
+                    `onDelete "${PULL}" on ${field} needs an array of references`
+                );
+            }
+            if (action === SET_NULL && (isArray || isRequired)) {
+                throw new CriticalError(
+                    `onDelete "${SET_NULL}" on ${field} needs a single, optional reference (use "${PULL}" for arrays)`
+                );
+            }
+        }
+    );
+
+/**
+ * Works out what deleting `ids` of `entity` does to the documents referencing them:
+ * `restrict` references block the deletion, `cascade` ones are deleted in turn
+ * (following their own dependants), `setNull` and `pull` ones are updated.
+ * Cascading to an entity with `softDelete` moves its documents to the trash instead,
+ * where they keep their own references until they are purged.
+ *
+ * `plan` collects `deletes`, `trashes`, `updates` and `blocking`; its `seen` set holds
+ * the `entity:id` keys already being deleted, starting with `ids` themselves.
+ */
+const planDeletion = async (entity, ids, session, plan) => {
+    for (const reference of getDependants(entity)) {
+        const model = mongoose.models[reference.entity];
+        const filter = { [reference.path]: { $in: ids } };
+
+        if (reference.action === RESTRICT) {
+            const blockingDocs = await model
+                .find(filter)
+                .select('_id')
+                .limit(MAX_BLOCKING_LISTED)
+                .session(session);
+            plan.blocking.push(
+                ...blockingDocs.map(({ _id }) => ({
+                    entity: reference.entity,
+                    field: reference.path,
+                    id: _id.toString(),
+                }))
+            );
+        } else if (reference.action === CASCADE) {
+            const entityOptions = state.entityOptions[reference.entity];
+            const query = model
+                .find({ ...filter, ...softDelete.activeFilter(entityOptions) })
+                .session(session);
+            // Whole documents are only read when they have to be audited
+            const dependantDocs = await (auditTrail.isEnabled(entityOptions)
+                ? query
+                : query.select('_id'));
+            // A document reached twice (or a self reference) is deleted once
+            const docs = dependantDocs.filter(
+                ({ _id }) => !plan.seen.has(`${reference.entity}:${_id}`)
+            );
+            if (!docs.length) continue;
+
+            const dependantIds = docs.map(({ _id }) => _id);
+            dependantIds.forEach((id) =>
+                plan.seen.add(`${reference.entity}:${id}`)
+            );
+            if (entityOptions?.softDelete) {
+                plan.trashes.push({
+                    model,
+                    entityOptions,
+                    ids: dependantIds,
+                    docs,
+                });
+                continue;
+            }
+
+            plan.deletes.push({
+                model,
+                entityOptions,
+                ids: dependantIds,
+                docs,
+            });
+            await planDeletion(reference.entity, dependantIds, session, plan);
+        } else {
+            plan.updates.push({ model, reference, ids });
+        }
+    }
+
+    return plan;
+};
+
+const applyPlan = async (
+    { deletes, trashes, updates },
+    session,
+    trashUpdate
+) => {
+    for (const { model, ids } of deletes) {
+        await model.deleteMany({ _id: { $in: ids } }, { session });
+    }
+
+    for (const { model, ids } of trashes) {
+        await model.updateMany({ _id: { $in: ids } }, trashUpdate, { session });
+    }
+
+    for (const { model, reference, ids } of updates) {
+        await model.updateMany(
+            { [reference.path]: { $in: ids } },
+            reference.action === PULL
+                ? { $pull: { [reference.path]: { $in: ids } } }
+                : { $set: { [reference.path]: null } },
+            { session, runValidators: true }
+        );
+    }
+};
+
+// Cascaded deletes of audited entities are recorded once the transaction has committed
+const recordPlan = async ({ deletes, trashes }, req, trashUpdate) => {
+    await Promise.all([
+        ...deletes.map(({ entityOptions, docs }) =>
+            auditTrail.recordMany(
+                req,
+                entityOptions,
+                AUDIT_ACTIONS.DELETE,
+                docs
+            )
+        ),
+        ...trashes.map(({ entityOptions, docs }) =>
+            auditTrail.recordMany(
+                req,
+                entityOptions,
+                AUDIT_ACTIONS.DELETE,
+                docs,
+                trashUpdate
+            )
+        ),
+    ]);
+};
+
+/**
+ * Permanently deletes the documents of `model` matching `filter` and applies the
+ * `onDelete` rules of the references pointing at them, in one transaction.
+ * `remove(session)` performs the handler's own delete and its result is returned.
+ *
+ * Entities nothing refers to with `onDelete` skip the session altogether, since
+ * transactions need a replica set.
+ *
+ * @param {import('express').Request} req - The request, for the trash and audit trail of cascades.
+ * @returns {Promise<{ result: any, blocking: Array<{ entity: string, field: string, id: string }> }>}
+ * Nothing is deleted when `blocking` lists documents of `restrict` references.
+ */
+const deleteWithReferences = async (req, model, filter, remove) => {
+    if (!getDependants(model.modelName).length) {
+        return { result: await remove(), blocking: [] };
+    }
+
+    const trashUpdate = softDelete.trashUpdate(req);
+    const session = await state.startSession();
+    let plan;
+    try {
+        let outcome;
+        await session.withTransaction(async () => {
+            const ids = (
+                await model.find(filter).select('_id').session(session)
+            ).map(({ _id }) => _id);
+            plan = await planDeletion(model.modelName, ids, session, {
+                deletes: [],
+                trashes: [],
+                updates: [],
+                blocking: [],
+                seen: new Set(ids.map((id) => `${model.modelName}:${id}`)),
+            });
+
+            if (plan.blocking.length) {
+                outcome = { result: null, blocking: plan.blocking };
+                return;
+            }
+
+            const result = await remove(session);
+            await applyPlan(plan, session, trashUpdate);
+            outcome = { result, blocking: [] };
+        });
+
+        if (!outcome.blocking.length) await recordPlan(plan, req, trashUpdate);
+
+        return outcome;
+    } finally {
+        await session.endSession();
+    }
+};
+
+// The blocking documents as a response `errors` list
+const toErrors = (blocking) =>
+    blocking.map(({ entity, field, id }) => ({
+        field: `${entity}.${field}`,
+        message: `${entity} "${id}" still refers to it through "${field}".`,
+    }));
+
+/**
+ * Registers the routed entities (the options of each entity of `configuration.routes`,
+ * by name) and how to start a MongoDB session, then fails at startup on `onDelete`
+ * rules that cannot be enforced.
+ */
+const initialize = ({ entities, startSession }) => {
+    state.entities = Object.keys(entities);
+    state.entityOptions = entities;
+    state.startSession = startSession;
+
+    check();
+};
+
+const referentialIntegrity = {
+    initialize,
+    planDeletion,
+    deleteWithReferences,
+    toErrors,
+};
+
+export default referentialIntegrity;
@@ -40,10 +40,12 @@ const stringEnumField = (
     },
 });
 
-const refField = (refModel, fieldName, required = false) => ({
+// `onDelete` (restrict, cascade, setNull, pull) decides what deleting the referenced document does
+const refField = (refModel, fieldName, required = false, onDelete = null) => ({
     type: Schema.Types.ObjectId,
     ref: refModel,
     ...(required && { required: [true, `${fieldName} is required`] }),
+    ...(onDelete && { onDelete }),
 });
 
 const dateField = (fieldName = '', isRequired = false) => ({
@@ -0,0 +1,220 @@
+import { z } from 'zod';
+
+import schemaRuleTypes from '../constants/schemaRuleTypes.js';
+import filterOperators from '../constants/filterOperators.js';
+
+import { CriticalError } from './customErrors.js';
+
+const { REQUIRED_IF, COMPARE, EXACTLY_ONE_OF, MUTUALLY_EXCLUSIVE } =
+    schemaRuleTypes;
+const { GT, GTE, LT, LTE } = filterOperators;
+
+// Each operator reads as "<field> must be <wording> <other field>"
+const comparisons = {
+    [GT]: { test: (a, b) => a > b, number: 'greater than', date: 'after' },
+    [GTE]: { test: (a, b) => a >= b, number: 'at least', date: 'on or after' },
+    [LT]: { test: (a, b) => a < b, number: 'less than', date: 'before' },
+    [LTE]: { test: (a, b) => a <= b, number: 'at most', date: 'on or before' },
+};
+
+const getValue = (data, path) =>
+    path.split('.').reduce((value, key) => value?.[key], data);
+
+// Empty strings and empty lists count as left out
+const isPresent = (value) =>
+    value !== undefined &&
+    value !== null &&
+    value !== '' &&
+    !(Array.isArray(value) && value.length === 0);
+
+// Dates and ObjectIds match their string form
+const isSameValue = (value, expected) =>
+    value === expected ||
+    (isPresent(value) &&
+        isPresent(expected) &&
+        String(value) === String(expected));
+
+const toComparable = (value) =>
+    value instanceof Date ? value.getTime() : value;
+
+// `when: { isActive: true, role: ['admin', 'editor'] }` holds when every field matches;
+// a list matches any of its values
+const matchesCondition = (data, when) =>
+    Object.entries(when).every(([path, expected]) =>
+        []
+            .concat(expected)
+            .some((item) => isSameValue(getValue(data, path), item))
+    );
+
+const describeCondition = (when) =>
+    Object.entries(when)
+        .map(([path, expected]) =>
+            Array.isArray(expected)
+                ? `${path} is one of ${expected.join(', ')}`
+                : `${path} is ${expected}`
+        )
+        .join(' and ');
+
+const getOperators = (rule) =>
+    Object.keys(comparisons).filter((operator) => rule[operator] !== undefined);
+
+const getGivenFields = (fields, data) =>
+    fields.filter((field) => isPresent(getValue(data, field)));
+
+// Every check returns the failing fields as `{ field, message }`
+const checks = {
+    [REQUIRED_IF]: ({ field, when, message }, data) =>
+        matchesCondition(data, when) && !isPresent(getValue(data, field))
+            ? [
+                  {
+                      field,
+                      message:
+                          message ||
+                          `${field} is required when ${describeCondition(when)}.`,
+                  },
+              ]
+            : [],
+
+    // Only compared once both fields have a value; `required` covers the rest
+    [COMPARE]: (rule, data) => {
+        const [operator] = getOperators(rule);
+        const other = rule[operator];
+        const value = getValue(data, rule.field);
+        const otherValue = getValue(data, other);
+        const { test, ...wording } = comparisons[operator];
+
+        if (
+            !isPresent(value) ||
+            !isPresent(otherValue) ||
+            test(toComparable(value), toComparable(otherValue))
+        ) {
+            return [];
+        }
+
+        return [
+            {
+                field: rule.field,
+                message:
+                    rule.message ||
+                    `${rule.field} must be ${value instanceof Date ? wording.date : wording.number} ${other}.`,
+            },
+        ];
+    },
+
+    [EXACTLY_ONE_OF]: ({ fields, message }, data) => {
+        const givenFields = getGivenFields(fields, data);
+        if (givenFields.length === 1) return [];
+
+        const defaultMessage = givenFields.length
+            ? `Only one of ${fields.join(', ')} can be given.`
+            : `Exactly one of ${fields.join(', ')} is required.`;
+
+        return (givenFields.length ? givenFields : fields).map((field) => ({
+            field,
+            message: message || defaultMessage,
+        }));
+    },
+
+    [MUTUALLY_EXCLUSIVE]: ({ fields, message }, data) => {
+        const givenFields = getGivenFields(fields, data);
+        if (givenFields.length < 2) return [];
+
+        return givenFields.map((field) => ({
+            field,
+            message:
+                message || `${fields.join(', ')} cannot be given together.`,
+        }));
+    },
+};
+
+// The shape each rule type needs, or null when the rule is complete
+const getShapeError = (type, rule) => {
+    switch (type) {
+        case REQUIRED_IF:
+            return rule.field &&
+                rule.when &&
+                typeof rule.when === 'object' &&
+                Object.keys(rule.when).length
+                ? null
+                : `"${REQUIRED_IF}" rules need a "field" and a "when" condition`;
+        case COMPARE:
+            return rule.field && getOperators(rule).length === 1
+                ? null
+                : `"${COMPARE}" rules need a "field" and exactly one of: ${Object.keys(comparisons).join(', ')}`;
+        default:
+            return Array.isArray(rule.fields) && rule.fields.length > 1
+                ? null
+                : `"${type}" rules need at least two "fields"`;
+    }
+};
+
+const getRuleFields = (type, rule) => {
+    switch (type) {
+        case REQUIRED_IF:
+            return [rule.field, ...Object.keys(rule.when)];
+        case COMPARE:
+            return [rule.field, rule[getOperators(rule)[0]]];
+        default:
+            return rule.fields;
+    }
+};
+
+// Fail at startup on incomplete rules and unknown fields
+const checkRule = (type, rule, schemaDefinition, modelName) => {
+    const shapeError = getShapeError(type, rule || {});
+    if (shapeError) {
+        throw new CriticalError(`${shapeError} (${modelName})`);
+    }
+
+    getRuleFields(type, rule).forEach((path) => {
+        if (!(path.split('.')[0] in schemaDefinition)) {
+            throw new CriticalError(
+                `Schema rule "${type}" of ${modelName} refers to "${path}", which does not exist in the schema`
+            );
+        }
+    });
+};
+
+/**
+ * Compiles an entity's `schemaRules` into a Zod `superRefine` callback, or returns
+ * null when it declares none. Each rule type takes a list of rules:
+ *
+ * - `requiredIf: [{ field: 'endDate', when: { isActive: true } }]`
+ * - `compare: [{ field: 'endDate', gt: 'startDate' }]` (`gt`, `gte`, `lt` or `lte`)
+ * - `exactlyOneOf: [{ fields: ['phone', 'email'] }]`
+ * - `mutuallyExclusive: [{ fields: ['nid', 'passport'] }]`
+ *
+ * Every rule takes an optional `message`. Failures are reported on the fields involved.
+ */
+const compile = (definitions, schemaDefinition, modelName) => {
+    const rules = Object.entries(definitions || {}).flatMap(([type, list]) => {
+        if (!checks[type]) {
+            throw new CriticalError(
+                `Unknown schema rule "${type}" for ${modelName}. Expected one of: ${Object.values(schemaRuleTypes).join(', ')}`
+            );
+        }
+
+        return [].concat(list).map((rule) => {
+            checkRule(type, rule, schemaDefinition, modelName);
+            return { type, rule };
+        });
+    });
+    if (!rules.length) return null;
+
+    return (data, ctx) =>
+        rules.forEach(({ type, rule }) =>
+            checks[type](rule, data).forEach(({ field, message }) =>
+                ctx.addIssue({
+                    code: z.ZodIssueCode.custom,
+                    path: field.split('.'),
+                    message,
+                })
+            )
+        );
+};
+
+const schemaRules = {
+    compile,
+};
+
+export default schemaRules;
@@ -0,0 +1,137 @@
+import contentTypes from 'content-types-lite';
+import yaml from 'js-yaml';
+
+import dataExport from './dataExport.js';
+import messagePack from './messagePack.js';
+
+// Serializers keyed by content type. `canSerialize` tells whether a payload has a
+// representation in that type (e.g. CSV only exists for lists).
+const registry = new Map();
+
+const register = (contentType, { serialize, canSerialize = () => true }) => {
+    registry.set(contentType, { serialize, canSerialize });
+};
+
+// Documents, ObjectIds and Dates become plain JSON values first
+const toPlain = (payload) => JSON.parse(JSON.stringify(payload));
+
+const escapeXml = (value) =>
+    String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+
+// Keys are used as element names, so characters XML does not allow there are replaced
+const toXmlName = (key) => {
+    const name = String(key).replace(/[^A-Za-z0-9_.-]/g, '_');
+    return /^[A-Za-z_]/.test(name) ? name : `_${name}`;
+};
+
+const toXmlElement = (name, value) => {
+    if (value === null || value === undefined) return `<${name}/>`;
+    if (Array.isArray(value)) {
+        return `<${name}>${value.map((item) => toXmlElement('item', item)).join('')}</${name}>`;
+    }
+    if (typeof value === 'object') {
+        const children = Object.entries(value)
+            .map(([key, child]) => toXmlElement(toXmlName(key), child))
+            .join('');
+        return `<${name}>${children}</${name}>`;
+    }
+
+    return `<${name}>${escapeXml(value)}</${name}>`;
+};
+
+// Nested objects (including populated references) become dotted columns
+const flatten = (value, prefix = '', target = {}) => {
+    Object.entries(value).forEach(([key, item]) => {
+        const column = `${prefix}${key}`;
+        if (item && typeof item === 'object' && !Array.isArray(item)) {
+            flatten(item, `${column}.`, target);
+        } else {
+            target[column] = item;
+        }
+    });
+
+    return target;
+};
+
+const toCsv = (docs) => {
+    const rows = docs.map((doc) => flatten(doc));
+    const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+
+    return [
+        dataExport.toCsvRow(columns),
+        ...rows.map((row) =>
+            dataExport.toCsvRow(
+                columns.map((column) => dataExport.formatCell(row[column]))
+            )
+        ),
+    ].join('');
+};
+
+const jsonSerializer = { serialize: (payload) => JSON.stringify(payload) };
+const yamlSerializer = {
+    serialize: (payload) => yaml.dump(toPlain(payload), { skipInvalid: true }),
+};
+const xmlSerializer = {
+    serialize: (payload) =>
+        `<?xml version="1.0" encoding="UTF-8"?>${toXmlElement('response', toPlain(payload))}`,
+};
+
+register(contentTypes.JSON, jsonSerializer);
+register(contentTypes.YAML, yamlSerializer);
+register('application/yaml', yamlSerializer);
+register('text/yaml', yamlSerializer);
+register(contentTypes.XML_APP, xmlSerializer);
+register(contentTypes.XML, xmlSerializer);
+register(contentTypes.CSV, {
+    serialize: (payload) => toCsv(toPlain(payload.data)),
+    canSerialize: (payload) => Array.isArray(payload.data),
+});
+register(contentTypes.MSGPACK, {
+    serialize: (payload) => messagePack.encode(toPlain(payload)),
+});
+
+// Content types the payload can be sent as, the route's own type first
+const getAvailableTypes = (payload, routeContentType) =>
+    [
+        ...new Set([
+            ...(registry.has(routeContentType) ? [routeContentType] : []),
+            ...registry.keys(),
+        ]),
+    ].filter((type) => registry.get(type).canSerialize(payload));
+
+/**
+ * Picks the content type of a response from the request's `Accept` header.
+ *
+ * The route's configured type is preferred (it wins for wildcards or a missing header),
+ * followed by every other registered type that can represent the payload. Returns
+ * null when the client accepts none of them. Failed responses never end in null:
+ * they fall back to the route's type, or JSON, so the error still reaches the client.
+ */
+const negotiate = (req, routeContentType, payload, success = true) => {
+    const available = getAvailableTypes(payload, routeContentType);
+    const fallback = available[0];
+
+    const accepted =
+        req?.headers?.accept && typeof req.accepts === 'function'
+            ? req.accepts(available)
+            : fallback;
+
+    return accepted || (success ? null : fallback);
+};
+
+const serialize = (contentType, payload) =>
+    registry.get(contentType).serialize(payload);
+
+const serializers = {
+    register,
+    getAvailableTypes,
+    negotiate,
+    serialize,
+};
+
+export default serializers;
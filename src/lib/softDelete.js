@@ -0,0 +1,57 @@
+import { Schema } from 'mongoose';
+
+// Fields added to the Mongoose schema of entities with `softDelete` enabled
+const schemaFields = {
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: { type: Schema.Types.ObjectId, ref: 'Admins', default: null },
+};
+
+// Normalize the entity-level `softDelete` option.
+// Accepts `true` or `{ retentionDays }`, returns null when soft delete is off.
+const getOptions = (softDelete) => {
+    if (!softDelete) return null;
+
+    return {
+        retentionDays: softDelete.retentionDays ?? null,
+    };
+};
+
+// Filter matching documents that are not in the trash (empty when soft delete is off)
+const activeFilter = (options) =>
+    options?.softDelete ? { deletedAt: null } : {};
+
+const trashedFilter = { deletedAt: { $ne: null } };
+
+const trashUpdate = (req) => ({
+    deletedAt: new Date(),
+    deletedBy: req.user?.id || null,
+});
+
+const restoreUpdate = { deletedAt: null, deletedBy: null };
+
+const getRetentionMs = (options) =>
+    (options?.softDelete?.retentionDays || 0) * 24 * 60 * 60 * 1000;
+
+// Documents trashed before this date may be purged; null means no retention window
+const getRetentionCutoff = (options) => {
+    const retentionMs = getRetentionMs(options);
+
+    return retentionMs ? new Date(Date.now() - retentionMs) : null;
+};
+
+// Earliest date a trashed document may be purged
+const getPurgeableAt = (deletedAt, options) =>
+    new Date(deletedAt.getTime() + getRetentionMs(options));
+
+const softDelete = {
+    schemaFields,
+    getOptions,
+    activeFilter,
+    trashedFilter,
+    trashUpdate,
+    restoreUpdate,
+    getRetentionCutoff,
+    getPurgeableAt,
+};
+
+export default softDelete;
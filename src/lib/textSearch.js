@@ -0,0 +1,178 @@
+import getBooleanValue from '../utils/getBooleanValue.js';
+
+const MAX_QUERY_LENGTH = 200;
+const TEXT_INDEX_NAME = 'searchable_text';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) =>
+    text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+
+const isStringPath = (schemaPath) =>
+    schemaPath.instance === 'String' ||
+    (schemaPath.instance === 'Array' &&
+        (schemaPath.$embeddedSchemaType || schemaPath.caster)?.instance ===
+            'String');
+
+// String paths marked `searchable: true` or `searchable: { weight }` in the entity schema
+const getSearchableFields = (schema) =>
+    Object.entries(schema.paths)
+        .filter(
+            ([, schemaPath]) =>
+                schemaPath.options?.searchable && isStringPath(schemaPath)
+        )
+        .map(([path, schemaPath]) => ({
+            path,
+            weight: schemaPath.options.searchable.weight ?? 1,
+        }));
+
+/**
+ * Declares the text index over the schema's searchable fields; Mongoose builds it
+ * with the other indexes. A collection has at most one text index, so changing the
+ * searchable fields means dropping the old `searchable_text` index first.
+ */
+const createIndex = (schema) => {
+    const fields = getSearchableFields(schema);
+    if (!fields.length) return;
+
+    schema.index(Object.fromEntries(fields.map(({ path }) => [path, 'text'])), {
+        name: TEXT_INDEX_NAME,
+        weights: Object.fromEntries(
+            fields.map(({ path, weight }) => [path, weight])
+        ),
+    });
+};
+
+// Words and "quoted phrases" of a `$search` string, leaving out -negated ones
+const getTerms = (text) =>
+    [...text.matchAll(/(-?)"([^"]+)"|(-?)(\S+)/g)]
+        .filter(([, negatedPhrase, phrase, negatedWord]) =>
+            phrase ? !negatedPhrase : !negatedWord
+        )
+        .map(([, , phrase, , word]) => (phrase ?? word).replace(/"/g, ''))
+        .filter(Boolean);
+
+/**
+ * Reads `q`, `typeahead` and `highlight` from the query string of a list route.
+ *
+ * - `q=john doe` runs a `$text` search over the searchable fields, sorted by relevance.
+ * - `typeahead=true` matches `q` as the start of a word in any searchable field instead.
+ * - `highlight=true` adds the matched terms, wrapped in `<mark>`, to every result.
+ *
+ * @returns {{ search: object|null, errors: Array }} `search` is null without a `q`.
+ */
+const parse = ({ q, typeahead, highlight }, model) => {
+    if (q === undefined || String(q).trim() === '') {
+        return { search: null, errors: [] };
+    }
+
+    const errors = [];
+    const fields = getSearchableFields(model.schema).map(({ path }) => path);
+    const text = String(q).trim();
+
+    if (typeof q !== 'string') {
+        errors.push({ field: 'q', message: 'Expected a single search text.' });
+    } else if (text.length > MAX_QUERY_LENGTH) {
+        errors.push({
+            field: 'q',
+            message: `The search text cannot exceed ${MAX_QUERY_LENGTH} characters.`,
+        });
+    }
+    if (!fields.length) {
+        errors.push({
+            field: 'q',
+            message:
+                'This entity has no searchable fields. Mark string fields with `searchable: true` in its schema.',
+        });
+    }
+
+    const isTypeahead = getBooleanValue(typeahead);
+    const filter = isTypeahead
+        ? {
+              $or: fields.map((path) => ({
+                  [path]: {
+                      $regex: `(^|\\s)${escapeRegex(text)}`,
+                      $options: 'i',
+                  },
+              })),
+          }
+        : { $text: { $search: text } };
+
+    return {
+        search: {
+            filter,
+            fields,
+            isTypeahead,
+            // Typeahead matches the text as typed; text search also matches other word forms
+            terms: isTypeahead ? [text] : getTerms(text),
+            highlight: getBooleanValue(highlight),
+        },
+        errors,
+    };
+};
+
+// Typeahead results only carry the searchable fields unless other fields are asked for
+const getProjection = (search) =>
+    Object.fromEntries(search.fields.map((path) => [path, 1]));
+
+const getValue = (doc, path) =>
+    path.split('.').reduce((value, key) => value?.[key], doc);
+
+// Escape the value for HTML and wrap the matched terms in `<mark>`; null without a match
+const markMatches = (value, pattern) => {
+    if (typeof value !== 'string') return null;
+
+    let marked = '';
+    let last = 0;
+    for (const match of value.matchAll(pattern)) {
+        const start = match.index + match[1].length;
+        const end = match.index + match[0].length;
+        marked += `${escapeHtml(value.slice(last, start))}<mark>${escapeHtml(value.slice(start, end))}</mark>`;
+        last = end;
+    }
+
+    return last ? `${marked}${escapeHtml(value.slice(last))}` : null;
+};
+
+/**
+ * Returns `{ field: markedText }` for the searchable fields of a document that
+ * contain a search term. Text search terms also mark the rest of their word, since
+ * MongoDB matches word stems (`run` finds `running`).
+ */
+const highlight = (doc, search) => {
+    if (!search.terms.length) return {};
+
+    const alternatives = search.terms.map(escapeRegex).join('|');
+    const pattern = new RegExp(
+        `(^|[^\\p{L}\\p{N}])(?:${alternatives})${search.isTypeahead ? '' : '[\\p{L}\\p{N}]*'}`,
+        'giu'
+    );
+
+    return Object.fromEntries(
+        search.fields.flatMap((path) => {
+            const value = getValue(doc, path);
+            const marked = Array.isArray(value)
+                ? value
+                      .map((item) => markMatches(item, pattern))
+                      .filter(Boolean)
+                : markMatches(value, pattern);
+
+            return marked && marked.length !== 0 ? [[path, marked]] : [];
+        })
+    );
+};
+
+const textSearch = {
+    getSearchableFields,
+    createIndex,
+    parse,
+    getProjection,
+    highlight,
+};
+
+export default textSearch;
@@ -0,0 +1,70 @@
+import fileTypes from './fileTypes.js';
+
+const KB = 1024;
+
+/**
+ * Checks every uploaded file against its field's count, size and type limits.
+ * The type is read from the file's content; the client's `mimetype` and file name
+ * are not trusted.
+ *
+ * @param {object} files - Multer's `req.files`, keyed by field.
+ * @param {object} uploadRules - The route's normalized `rules.request.upload`.
+ * @returns {Array<{ field: string, message: string }>}
+ */
+const validateFiles = (files, uploadRules) => {
+    const errors = [];
+
+    Object.entries(uploadRules).forEach(([field, rule]) => {
+        const fieldFiles = files[field] || [];
+
+        if (fieldFiles.length > rule.maxFiles) {
+            errors.push({
+                field,
+                message: `${field} accepts at most ${rule.maxFiles} file(s)`,
+            });
+        }
+
+        fieldFiles.forEach((file) => {
+            if (file.size < rule.minSize * KB) {
+                errors.push({
+                    field,
+                    message: `${file.originalname} must be at least ${rule.minSize} KB`,
+                });
+            }
+            if (file.size > rule.maxSize * KB) {
+                errors.push({
+                    field,
+                    message: `${file.originalname} must not exceed ${rule.maxSize} KB`,
+                });
+            }
+            if (
+                rule.allowedTypes.length &&
+                !rule.allowedTypes.includes(fileTypes.detect(file.buffer))
+            ) {
+                errors.push({
+                    field,
+                    message: `${file.originalname} must be one of the following types: ${rule.allowedTypes.join(', ')}`,
+                });
+            }
+        });
+    });
+
+    return errors;
+};
+
+// Replace the client-supplied type of validated files with the one read from their content
+const applyDetectedTypes = (files) =>
+    Object.values(files)
+        .flat()
+        .forEach((file) => {
+            file.mimetype =
+                fileTypes.detect(file.buffer) || fileTypes.UNKNOWN_TYPE;
+        });
+
+const uploadValidation = {
+    KB,
+    validateFiles,
+    applyDetectedTypes,
+};
+
+export default uploadValidation;
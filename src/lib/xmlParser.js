@@ -0,0 +1,116 @@
+import { XMLParser, XMLValidator } from 'fast-xml-parser';
+
+// XML reader for request bodies, built on fast-xml-parser. It maps the document
+// element onto a plain object, mirroring what the XML serializer writes:
+//
+// - child elements become keys; repeated elements become arrays
+// - an element whose children are all `<item>` becomes an array
+// - attributes become keys of their element
+// - text-only elements become strings (typed later from the schema)
+//
+// DOCTYPE declarations are rejected, so entity expansion (XXE, "billion laughs")
+// is never attempted. Documents nested deeper than 100 elements are rejected by the parser.
+
+const TEXT = '#text';
+const ATTRIBUTES = ':@';
+
+const parser = new XMLParser({
+    // Ordered nodes keep mixed text and repeated elements apart until toValue groups them
+    preserveOrder: true,
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    // Keys use the local name of `soap:Body`-style elements and attributes
+    removeNSPrefix: true,
+    // Values stay strings; they are typed later from the schema
+    parseTagValue: false,
+    parseAttributeValue: false,
+    trimValues: false,
+    // Decodes numeric character references besides the five XML entities
+    htmlEntities: true,
+    ignoreDeclaration: true,
+    ignorePiTags: true,
+});
+
+// The markup of a document without its CDATA sections, comments and processing
+// instructions, whose content may look like (or hide) declarations and text
+const stripOpaqueSections = (xml) =>
+    xml.replace(/<!\[CDATA\[[\s\S]*?\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>/g, '');
+
+// One node of the parser's ordered output as { name, children, attributes, text }
+const toElement = (node) => {
+    const name = Object.keys(node).find((key) => key !== ATTRIBUTES);
+    const nodes = node[name];
+
+    return {
+        name,
+        children: nodes.filter((child) => !(TEXT in child)).map(toElement),
+        attributes: Object.entries(node[ATTRIBUTES] || {}),
+        text: nodes
+            .filter((child) => TEXT in child)
+            .map((child) => child[TEXT])
+            .join(''),
+    };
+};
+
+const toValue = ({ children, attributes, text }) => {
+    if (!children.length && !attributes.length) return text.trim();
+
+    if (children.length && children.every(({ name }) => name === 'item')) {
+        return children.map(toValue);
+    }
+
+    const valuesByKey = new Map();
+    children.forEach((child) => {
+        valuesByKey.set(child.name, [
+            ...(valuesByKey.get(child.name) || []),
+            toValue(child),
+        ]);
+    });
+
+    // Built with fromEntries so that no element name can reach a prototype
+    return Object.fromEntries([
+        ...attributes,
+        ...[...valuesByKey].map(([key, values]) => [
+            key,
+            values.length > 1 ? values : values[0],
+        ]),
+        ...(!children.length && text.trim() ? [['value', text.trim()]] : []),
+    ]);
+};
+
+/**
+ * Parses an XML document into the value of its document element.
+ * Throws an Error describing the first problem found.
+ */
+const parse = (xml) => {
+    const source = String(xml);
+    const markup = stripOpaqueSections(source);
+
+    if (/<!DOCTYPE/i.test(markup)) {
+        throw new Error('DOCTYPE declarations are not allowed.');
+    }
+
+    const validation = XMLValidator.validate(source);
+    if (validation !== true) {
+        const { msg, line, col } = validation.err;
+        throw new Error(
+            `${msg}${line ? ` (line ${line}${col ? `, column ${col}` : ''})` : ''}`
+        );
+    }
+
+    const nodes = parser.parse(source);
+    const elements = nodes.filter((node) => !(TEXT in node));
+    const hasText = nodes.some((node) => TEXT in node && node[TEXT].trim());
+    // The parser may drop text after the document element, so the source is checked too
+    if (elements.length !== 1 || hasText || !/>\s*$/.test(markup)) {
+        throw new Error('The document must have exactly one root element.');
+    }
+
+    return toValue(toElement(elements[0]));
+};
+
+const xmlParser = {
+    parse,
+};
+
+export default xmlParser;
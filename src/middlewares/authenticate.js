@@ -0,0 +1,52 @@
+import AdminModel from '../models/SystemAdmin.js';
+import authentication from '../lib/authentication.js';
+import jwtService from '../lib/jwt.js';
+import responseTypes from '../utils/responseTypes.js';
+
+const authenticate = async (req, res, next) => {
+    const token = authentication.getAccessToken(req);
+    if (!token) {
+        return responseTypes.UNAUTHORIZED(
+            req,
+            res,
+            {},
+            'Unauthorized: Authentication token is missing.'
+        );
+    }
+
+    let payload;
+    try {
+        payload = jwtService.verifyAccessToken(token);
+    } catch (error) {
+        const reason =
+            error.name === 'TokenExpiredError' ? 'has expired' : 'is invalid';
+        return responseTypes.UNAUTHORIZED(
+            req,
+            res,
+            {},
+            `Unauthorized: Authentication token ${reason}.`
+        );
+    }
+
+    // A token is only honoured while its session has not been revoked
+    const admin = await AdminModel.findById(payload.sub);
+    if (!authentication.findActiveSession(admin, payload.sid)) {
+        return responseTypes.UNAUTHORIZED(
+            req,
+            res,
+            {},
+            'Unauthorized: Session has expired or been revoked.'
+        );
+    }
+
+    req.user = {
+        id: admin._id.toString(),
+        email: admin.email,
+        role: admin.role,
+        sessionId: payload.sid,
+    };
+
+    next();
+};
+
+export default authenticate;
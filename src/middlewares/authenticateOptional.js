@@ -0,0 +1,10 @@
+import authentication from '../lib/authentication.js';
+
+import authenticate from './authenticate.js';
+
+// For routes open to everyone that show more to signed-in admins.
+// Anonymous requests pass through; a token that is sent must still be valid.
+const authenticateOptional = async (req, res, next) =>
+    authentication.getAccessToken(req) ? authenticate(req, res, next) : next();
+
+export default authenticateOptional;
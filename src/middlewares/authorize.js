@@ -0,0 +1,100 @@
+import AUTH_ACCESS from '../constants/authAccess.js';
+import HTTP_METHODS from '../constants/httpMethods.js';
+import responseTypes from '../utils/responseTypes.js';
+
+import convertToMongooseObjectId from '../utils/convertToMongooseObjectId.js';
+
+const forbidden = (req, res, message) =>
+    responseTypes.FORBIDDEN(req, res, {}, `Forbidden: ${message}`);
+
+// Restrict the request to documents whose owner field points at the current user
+const authorizeOwner = async (req, res, next, ownerField, model) => {
+    const userId = req.user.id;
+
+    // Single document routes: the target document must belong to the user.
+    // Missing documents fall through so the handler can answer with 404.
+    if (req.params.id) {
+        const doc = await model.findById(req.params.id).select(ownerField);
+        if (doc && doc[ownerField]?.toString() !== userId) {
+            return forbidden(
+                req,
+                res,
+                `You do not own the requested document "${req.params.id}".`
+            );
+        }
+
+        if (
+            req.body?.[ownerField] &&
+            req.body[ownerField].toString() !== userId
+        ) {
+            return forbidden(
+                req,
+                res,
+                `"${ownerField}" cannot be changed to another user.`
+            );
+        }
+
+        return next();
+    }
+
+    // Document list routes (e.g. ?ids=a,b): every listed document must be owned.
+    if (req.query?.ids) {
+        const ids = String(req.query.ids).split(',');
+        const foreignCount = await model.countDocuments({
+            _id: { $in: ids },
+            [ownerField]: { $ne: convertToMongooseObjectId(userId) },
+        });
+        if (foreignCount > 0) {
+            return forbidden(
+                req,
+                res,
+                'One or more of the requested documents are not yours.'
+            );
+        }
+
+        return next();
+    }
+
+    // New documents (or each item of a bulk create) are always owned by their creator.
+    // Handlers that read their body later (e.g. imports) apply `req.ownerValues` themselves.
+    if (req.method === HTTP_METHODS.POST) {
+        req.ownerValues = { [ownerField]: userId };
+        req.body = Array.isArray(req.body)
+            ? req.body.map((item) => ({ ...item, ...req.ownerValues }))
+            : { ...req.body, ...req.ownerValues };
+        return next();
+    }
+
+    // Collection-wide routes (list, delete all) only see the user's documents.
+    req.accessFilter = {
+        ...req.accessFilter,
+        [ownerField]: convertToMongooseObjectId(userId),
+    };
+
+    next();
+};
+
+const authorize = async (req, res, next, authRules, model) => {
+    const { access, roles = [], ownerField } = authRules;
+
+    switch (access) {
+        case AUTH_ACCESS.PUBLIC:
+        case AUTH_ACCESS.AUTHENTICATED:
+            return next();
+        case AUTH_ACCESS.ROLES:
+            if (!roles.includes(req.user?.role)) {
+                return forbidden(
+                    req,
+                    res,
+                    `This route requires one of the following roles: ${roles.join(', ')}.`
+                );
+            }
+            return next();
+        case AUTH_ACCESS.OWNER:
+            return authorizeOwner(req, res, next, ownerField, model);
+        default:
+            return forbidden(req, res, `Unknown access rule "${access}".`);
+    }
+};
+
+export default authorize;
@@ -0,0 +1,50 @@
+import httpStatus from 'http-status-lite';
+
+import HTTP_METHODS from '../constants/httpMethods.js';
+import etag from '../lib/etag.js';
+import softDelete from '../lib/softDelete.js';
+import responseTypes from '../utils/responseTypes.js';
+
+// Conditional requests for single-document routes of entities with `etag` enabled:
+// GET answers 304 when If-None-Match lists the current ETag, writes answer 412 when If-Match
+// does not list the document's current version.
+const checkPreconditions = async (req, res, next, model, entityOptions) => {
+    const doc = await model
+        .findOne({
+            _id: req.params.id,
+            ...softDelete.activeFilter(entityOptions),
+        })
+        .select(etag.VERSION_KEY);
+    const currentETag = etag.compute(doc, req);
+
+    if (req.method === HTTP_METHODS.GET) {
+        // Missing documents fall through so the handler can answer with 404.
+        if (!currentETag) return next();
+
+        res.set('ETag', currentETag);
+        if (etag.matches(req.get('If-None-Match'), currentETag)) {
+            return res.status(httpStatus.NOT_MODIFIED).end();
+        }
+
+        return next();
+    }
+
+    const ifMatch = req.get('If-Match');
+    if (!ifMatch) return next();
+
+    if (!etag.matchesVersion(ifMatch, doc)) {
+        return responseTypes.PRECONDITION_FAILED(
+            req,
+            res,
+            {},
+            `Precondition Failed: The document "${req.params.id}" has been changed or removed since it was fetched. Fetch it again and retry.`
+        );
+    }
+
+    // Let the handler apply the write only if the document is still unchanged
+    req.preconditionFilter = etag.versionFilter(doc);
+
+    next();
+};
+
+export default checkPreconditions;
@@ -0,0 +1,83 @@
+import multer from 'multer';
+import contentTypes from 'content-types-lite';
+
+import uploadValidation from '../lib/uploadValidation.js';
+import responseTypes from '../utils/responseTypes.js';
+
+import coerceFormValues from '../utils/coerceFormValues.js';
+
+const { KB } = uploadValidation;
+
+const rejectUpload = (req, res, errors) =>
+    responseTypes.BAD_REQUEST(
+        req,
+        res,
+        {},
+        'File upload validation failed',
+        errors
+    );
+
+// Translate multer's limit errors into field-level messages
+const getMulterErrorMessage = (error, uploadRules) => {
+    const rule = uploadRules[error.field];
+
+    switch (error.code) {
+        case 'LIMIT_FILE_SIZE':
+            return `${error.field} must not exceed ${rule?.maxSize} KB`;
+        case 'LIMIT_UNEXPECTED_FILE':
+            return rule
+                ? `${error.field} accepts at most ${rule.maxFiles} file(s)`
+                : `Unexpected file field. Allowed fields: ${Object.keys(uploadRules).join(', ')}`;
+        default:
+            return error.message;
+    }
+};
+
+// Parse multipart/form-data requests for routes declaring `rules.request.upload`.
+// Files are kept in memory until the request passes validation (see storeFileUpload).
+const parseFileUpload = (req, res, next, uploadRules, model) => {
+    const contentType = req.headers['content-type'] || '';
+    if (!contentType.includes(contentTypes.MULTIPART_FORM_DATA)) {
+        return next();
+    }
+
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: {
+            fileSize:
+                Math.max(...Object.values(uploadRules).map((r) => r.maxSize)) *
+                KB,
+        },
+    }).fields(
+        Object.entries(uploadRules).map(([name, rule]) => ({
+            name,
+            maxCount: rule.maxFiles,
+        }))
+    );
+
+    upload(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            return rejectUpload(req, res, [
+                {
+                    field: error.field || 'unknown',
+                    message: getMulterErrorMessage(error, uploadRules),
+                },
+            ]);
+        }
+        if (error) return next(error);
+
+        req.body = coerceFormValues(req.body, model);
+
+        const errors = uploadValidation.validateFiles(
+            req.files || {},
+            uploadRules
+        );
+        if (errors.length) return rejectUpload(req, res, errors);
+
+        uploadValidation.applyDetectedTypes(req.files || {});
+
+        next();
+    });
+};
+
+export default parseFileUpload;
@@ -0,0 +1,58 @@
+import express from 'express';
+import contentTypes from 'content-types-lite';
+
+import bodyParsers from '../lib/bodyParsers.js';
+import responseTypes from '../utils/responseTypes.js';
+import coerceFormValues from '../utils/coerceFormValues.js';
+
+const readText = express.text({ type: () => true, limit: '20mb' });
+
+// Values arrive as text in these formats, so they are typed from the model schema
+const coerceBody = (body, model) =>
+    Array.isArray(body)
+        ? body.map((item) => coerceFormValues(item, model))
+        : coerceFormValues(body, model);
+
+// Parse YAML / XML bodies and type form-encoded fields, for routes declaring those
+// content types in `rules.request.contentType`. JSON bodies pass through untouched.
+const parseRequestBody = (req, res, next, model) => {
+    const contentType = req.headers['content-type'] || '';
+
+    if (contentType.includes(contentTypes.FORM_URLENCODED)) {
+        req.body = coerceBody(req.body || {}, model);
+        return next();
+    }
+
+    const parse = bodyParsers.find(contentType);
+    if (!parse) return next();
+
+    readText(req, res, (error) => {
+        if (error) return next(error);
+
+        let body;
+        try {
+            body = parse(req.body);
+        } catch (parseError) {
+            return responseTypes.BAD_REQUEST(
+                req,
+                res,
+                {},
+                `Bad Request: Malformed ${contentType.split(';')[0]} body. ${parseError.message}`
+            );
+        }
+
+        if (!body || typeof body !== 'object') {
+            return responseTypes.BAD_REQUEST(
+                req,
+                res,
+                {},
+                'Bad Request: The request body must be an object or a list of objects.'
+            );
+        }
+
+        req.body = coerceBody(body, model);
+        next();
+    });
+};
+
+export default parseRequestBody;
@@ -0,0 +1,80 @@
+import express from 'express';
+import multer from 'multer';
+import contentTypes from 'content-types-lite';
+
+import dataImport from '../lib/dataImport.js';
+import responseTypes from '../utils/responseTypes.js';
+
+const KB = 1024;
+
+const rejectImport = (req, res, message) =>
+    responseTypes.BAD_REQUEST(req, res, {}, `Bad Request: ${message}`);
+
+// Read the file of an import request, sent either as the raw body (text/csv, application/x-ndjson)
+// or as the `file` field of a multipart form, and parse it into rows (see dataImport.parse).
+// The rows are also exposed as `req.body` so the request sanitizer covers them.
+const readImportFile = (req, res, next, importOptions) => {
+    const contentType = req.headers['content-type'] || '';
+    const isMultipart = contentType.includes(contentTypes.MULTIPART_FORM_DATA);
+    const maxBytes = importOptions.maxSize * KB;
+
+    const read = isMultipart
+        ? multer({
+              storage: multer.memoryStorage(),
+              limits: { fileSize: maxBytes, files: 1 },
+          }).single('file')
+        : express.text({ type: () => true, limit: maxBytes });
+
+    read(req, res, (error) => {
+        if (
+            error?.code === 'LIMIT_FILE_SIZE' ||
+            error?.type === 'entity.too.large'
+        ) {
+            return rejectImport(
+                req,
+                res,
+                `The import file must not exceed ${importOptions.maxSize} KB.`
+            );
+        }
+        if (error instanceof multer.MulterError) {
+            return rejectImport(req, res, error.message);
+        }
+        if (error) return next(error);
+
+        const text = isMultipart ? req.file?.buffer.toString('utf8') : req.body;
+        if (typeof text !== 'string' || text.trim() === '') {
+            return rejectImport(
+                req,
+                res,
+                'Send the import file as the request body or in the "file" field of a multipart form.'
+            );
+        }
+
+        const format = dataImport.detectFormat(
+            req.query.format,
+            req.file?.originalname,
+            isMultipart ? req.file.mimetype : contentType
+        );
+        if (!format) {
+            return rejectImport(
+                req,
+                res,
+                `Unsupported import format. Expected one of: ${dataImport.formats.join(', ')}.`
+            );
+        }
+
+        const {
+            error: parseError,
+            columns,
+            rows,
+        } = dataImport.parse(text, format);
+        if (parseError) return rejectImport(req, res, parseError);
+
+        req.importFile = { format, columns, rows };
+        req.body = rows.map(({ values }) => values);
+
+        next();
+    });
+};
+
+export default readImportFile;
@@ -0,0 +1,63 @@
+import HTTP_METHODS from '../constants/httpMethods.js';
+import schema from '../lib/schema.js';
+import softDelete from '../lib/softDelete.js';
+import convertToMongooseObjectId from '../utils/convertToMongooseObjectId.js';
+import responseTypes from '../utils/responseTypes.js';
+import toSentenceCase from '../utils/toSentenceCase.js';
+
+// Scope a reverse-relation route (e.g. /api/users/:parentId/posts) to its parent.
+// The parent must exist and not be in the trash; the child's reference to it is then
+// filled in, as an access filter for lists and as the field value for new documents.
+const scopeToParent = async (req, res, next, relation) => {
+    const { parentId } = req.params;
+    const { field, parentModel, parentEntityOptions } = relation;
+    const parentName = toSentenceCase(parentModel.modelName);
+
+    if (!schema.isValidObjectId(parentId)) {
+        return responseTypes.BAD_REQUEST(
+            req,
+            res,
+            {},
+            `Bad Request: "${parentId}" is not a valid ${parentName} ID.`,
+            [{ field: 'id', message: 'ID must be a valid MongoDB ObjectId' }]
+        );
+    }
+
+    const parentExists = await parentModel.exists({
+        _id: parentId,
+        ...softDelete.activeFilter(parentEntityOptions),
+    });
+    if (!parentExists) {
+        return responseTypes.NOT_FOUND(
+            req,
+            res,
+            {},
+            `Not Found: ${parentName} with ID "${parentId}" does not exist.`
+        );
+    }
+
+    // Lists are scoped like owner routes, so the reference need not be a filterable field
+    if (req.method !== HTTP_METHODS.POST) {
+        req.accessFilter = {
+            ...req.accessFilter,
+            [field]: convertToMongooseObjectId(parentId),
+        };
+        return next();
+    }
+
+    // Owner routes have already made the current user the owner of the new document
+    if (req.ownerValues?.[field] && req.ownerValues[field] !== parentId) {
+        return responseTypes.FORBIDDEN(
+            req,
+            res,
+            {},
+            `Forbidden: "${field}" cannot be set to another user.`
+        );
+    }
+
+    req.body = { ...req.body, [field]: parentId };
+
+    next();
+};
+
+export default scopeToParent;
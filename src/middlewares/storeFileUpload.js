@@ -0,0 +1,70 @@
+import fileStorage from '../lib/fileStorage.js';
+import logger from '../lib/logger.js';
+
+// Stored value for one file: the URL for String fields, full metadata otherwise
+const toDocumentValue = (stored, file, schemaPath) => {
+    const isStringField =
+        schemaPath?.instance === 'String' ||
+        schemaPath?.caster?.instance === 'String';
+
+    return isStringField
+        ? stored.url
+        : {
+              url: stored.url,
+              key: stored.key,
+              originalName: file.originalname,
+              mimeType: file.mimetype,
+              size: file.size,
+          };
+};
+
+// Save validated uploads through the configured storage backend and write
+// the result into each field's document field (e.g. avatar -> avatarUrl).
+const storeFileUpload = async (req, res, next, uploadRules, model, entity) => {
+    const files = req.files || {};
+    const storedFiles = [];
+
+    for (const [field, rule] of Object.entries(uploadRules)) {
+        const fieldFiles = files[field] || [];
+        if (!fieldFiles.length) continue;
+
+        const storage = fileStorage.getStorage(rule.storage);
+        const results = await Promise.all(
+            fieldFiles.map((file) => storage.save(file, { entity, field }))
+        );
+        storedFiles.push(...results.map(({ key }) => ({ storage, key })));
+
+        const values = results.map((stored, index) =>
+            toDocumentValue(
+                stored,
+                fieldFiles[index],
+                model.schema.paths[rule.documentField]
+            )
+        );
+        req.body = {
+            ...req.body,
+            [rule.documentField]: rule.multiple ? values : values[0],
+        };
+    }
+
+    // Don't leave orphaned files behind when the handler rejects the request
+    if (storedFiles.length) {
+        res.on('finish', () => {
+            if (res.statusCode < 400) return;
+
+            storedFiles.forEach(({ storage, key }) =>
+                storage
+                    .remove(key)
+                    .catch((error) =>
+                        logger.error(
+                            `Failed to remove uploaded file "${key}": ${error.message}`
+                        )
+                    )
+            );
+        });
+    }
+
+    next();
+};
+
+export default storeFileUpload;
@@ -2,22 +2,26 @@ import responseTypes from '../utils/responseTypes.js';
 
 const validateContentType = (req, res, next, expectedContentType) => {
     const contentType = req.headers['content-type'];
+    // A route may accept several content types (e.g. JSON or multipart/form-data)
+    const expectedContentTypes = [].concat(expectedContentType);
 
     if (!contentType) {
         return responseTypes.UNSUPPORTED_MEDIA_TYPE(
             req,
             res,
-            expectedContentType,
+            expectedContentTypes[0],
             'Content-Type header is missing.'
         );
     }
 
-    if (!contentType.includes(expectedContentType)) {
+    if (
+        !expectedContentTypes.some((expected) => contentType.includes(expected))
+    ) {
         return responseTypes.UNSUPPORTED_MEDIA_TYPE(
             req,
             res,
-            expectedContentType,
-            `Unsupported Media Type. Expected Content-Type: ${expectedContentType}`
+            expectedContentTypes[0],
+            `Unsupported Media Type. Expected Content-Type: ${expectedContentTypes.join(' or ')}`
         );
     }
 
@@ -1,30 +1,21 @@
 import httpStatus from 'http-status-lite';
 
-import HTTP_METHODS from '../constants/httpMethods.js';
-
 import sendResponse from '../utils/sendResponse.js';
 
-const validateInput = (req, res, next, schemas) => {
-    let schema;
-
-    switch (req.method) {
-        case HTTP_METHODS.POST:
-            schema = schemas.create;
-            break;
-        case HTTP_METHODS.PUT:
-            schema = schemas.update;
-            break;
-        case HTTP_METHODS.GET:
-            schema = schemas.read;
-            break;
-        case HTTP_METHODS.DELETE:
-            schema = schemas.delete;
-            break;
-        default:
-            return next(); // No validation needed
-    }
-
-    const result = schema.safeParse({ ...req.body, ...req.params });
+// Validate the body and route params against the route's Zod schema
+// (picked per method by the routes factory: create, update, read or delete),
+// or validate `data` instead when given.
+// The parsed body (trimmed, defaults filled in, dates converted...) replaces `req.body`
+// unless `updateBody` is false, e.g. when `data` is not the request's own input.
+const validateInput = (
+    req,
+    res,
+    next,
+    schema,
+    data = { ...req.body, ...req.params },
+    { updateBody = true } = {}
+) => {
+    const result = schema.safeParse(data);
 
     if (!result.success) {
         const errors = result?.error?.errors?.map((e) => ({
@@ -45,6 +36,13 @@ const validateInput = (req, res, next, schemas) => {
         );
     }
 
+    // Route params (e.g. `id`) are validated with the body but are not part of it
+    if (updateBody) {
+        req.body = Object.fromEntries(
+            Object.entries(result.data).filter(([key]) => !(key in req.params))
+        );
+    }
+
     next();
 };
 
@@ -0,0 +1,35 @@
+import responseTypes from '../utils/responseTypes.js';
+
+// Validate the query string of list and lookup routes against the route's strict query schema.
+// Unknown parameters (e.g. a misspelt filter) are answered with the parameters the route accepts.
+const validateQuery = (req, res, next, schema) => {
+    const result = schema.safeParse(req.query);
+
+    if (!result.success) {
+        const allowedParams = Object.keys(schema.shape).join(', ');
+        const errors = result.error.errors.flatMap((e) =>
+            e.code === 'unrecognized_keys'
+                ? e.keys.map((key) => ({
+                      field: key,
+                      message: `Unknown query parameter "${key}". Allowed parameters: ${allowedParams}.`,
+                  }))
+                : [{ field: e.path.join('.') || 'query', message: e.message }]
+        );
+        const fields = [...new Set(errors.map(({ field }) => field))];
+
+        return responseTypes.BAD_REQUEST(
+            req,
+            res,
+            {},
+            `Bad Request: Invalid query parameter(s): ${fields.join(', ')}.`,
+            errors
+        );
+    }
+
+    // `page` and `limit` are numbers from here on
+    req.query = result.data;
+
+    next();
+};
+
+export default validateQuery;
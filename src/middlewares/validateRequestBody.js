@@ -1,7 +1,10 @@
 import responseTypes from '../utils/responseTypes.js';
 
 const validateRequestBody = (req, res, next) => {
-    if (!req.body || Object.keys(req.body).length === 0) {
+    // A multipart request carrying only files is not considered empty
+    const hasFiles = req.files && Object.keys(req.files).length > 0;
+
+    if ((!req.body || Object.keys(req.body).length === 0) && !hasFiles) {
         const contentType = req.headers['content-type'];
         return responseTypes.BAD_REQUEST(
             req,
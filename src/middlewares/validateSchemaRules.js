@@ -0,0 +1,31 @@
+import softDelete from '../lib/softDelete.js';
+import validateInput from './validateInput.js';
+
+// Check the entity's `schemaRules` on a partial update against the document it would
+// produce: the stored document with the validated body applied.
+// Missing documents fall through so the handler can answer with 404.
+const validateSchemaRules = async (
+    req,
+    res,
+    next,
+    model,
+    schema,
+    entityOptions
+) => {
+    const doc = await model.findOne({
+        _id: req.params.id,
+        ...softDelete.activeFilter(entityOptions),
+    });
+    if (!doc) return next();
+
+    return validateInput(
+        req,
+        res,
+        next,
+        schema,
+        doc.set(req.body).toObject({ depopulate: true }),
+        { updateBody: false }
+    );
+};
+
+export default validateSchemaRules;
@@ -0,0 +1,47 @@
+'use strict';
+
+import { model, Schema } from 'mongoose';
+
+import AUDIT_ACTIONS from '../constants/auditActions.js';
+
+const auditChangeSchema = new Schema(
+    {
+        field: { type: String, required: true },
+        before: { type: Schema.Types.Mixed, default: null },
+        after: { type: Schema.Types.Mixed, default: null },
+    },
+    { _id: false }
+);
+
+const auditLogSchema = new Schema(
+    {
+        entity: { type: String, required: true },
+        documentId: { type: Schema.Types.ObjectId, required: true },
+        version: { type: Number, required: true },
+        action: {
+            type: String,
+            enum: Object.values(AUDIT_ACTIONS),
+            required: true,
+        },
+        actor: { type: Schema.Types.ObjectId, ref: 'Admins', default: null },
+        actorEmail: { type: String },
+        ip: { type: String },
+        userAgent: { type: String },
+        changes: { type: [auditChangeSchema], default: [] },
+        // Document state after the change (null once it has been removed)
+        snapshot: { type: Schema.Types.Mixed, default: null },
+        meta: { type: Schema.Types.Mixed, default: {} },
+        timestamp: { type: Date, default: Date.now },
+    },
+    { collection: 'audit_logs', versionKey: false, minimize: false } // Store in the "audit_logs" collection
+);
+
+// One version sequence per document of each entity
+auditLogSchema.index(
+    { entity: 1, documentId: 1, version: -1 },
+    { unique: true }
+);
+
+const AuditLog = model('AuditLog', auditLogSchema);
+
+export default AuditLog;
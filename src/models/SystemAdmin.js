@@ -1,8 +1,21 @@
 import { Schema, model } from 'mongoose';
 
 import modelShared from '../lib/schema.js';
+import ADMIN_ROLES from '../constants/adminRoles.js';
 
-const { stringField, dateField, passwordField } = modelShared;
+const { stringField, stringEnumField, dateField, passwordField } = modelShared;
+
+// Active login sessions, one per issued refresh token
+const sessionSchema = new Schema(
+    {
+        sessionId: stringField('Session ID', true),
+        userAgent: stringField('User Agent'),
+        ip: stringField('IP'),
+        createdAt: dateField('Session Creation', true),
+        expiresAt: dateField('Session Expiration', true),
+    },
+    { _id: false }
+);
 
 const adminSchema = new Schema(
     {
@@ -10,11 +23,21 @@ const adminSchema = new Schema(
         dateOfBirth: stringField('Date of Birth', false),
         email: stringField('Email', true, true),
         hashedPassword: passwordField('Password', true, 8, 200),
+        role: {
+            ...stringEnumField(
+                'Role',
+                false,
+                false,
+                Object.values(ADMIN_ROLES)
+            ),
+            default: ADMIN_ROLES.ADMIN,
+        },
         emailVerifyToken: stringField('Email Verify Token'),
         resetPasswordToken: stringField('Reset Password Token'),
         resetPasswordTokenExpiration: dateField(
             'Reset Password Token Expiration'
         ),
+        sessions: { type: [sessionSchema], default: [] },
     },
     { timestamps: true }
 );
@@ -5,12 +5,43 @@ import createZodSchema from '../factories/zodSchemaFactory.js';
 import crudRoutesFactory from '../factories/crudRoutesFactory.js';
 
 import defaultRoutesRules from '../rules/defaultRoutesRules.js';
+import softDeleteRoutesRules from '../rules/softDeleteRoutesRules.js';
+import auditRoutesRules from '../rules/auditRoutesRules.js';
+import exportRoutesRules from '../rules/exportRoutesRules.js';
+import importRoutesRules from '../rules/importRoutesRules.js';
+import statsRoutesRules from '../rules/statsRoutesRules.js';
+import relationRoutesRules from '../rules/relationRoutesRules.js';
+import softDelete from '../lib/softDelete.js';
+import bulkOperations from '../lib/bulkOperations.js';
+import etag from '../lib/etag.js';
+import dataExport from '../lib/dataExport.js';
+import dataImport from '../lib/dataImport.js';
+import queryStats from '../lib/queryStats.js';
+import referentialIntegrity from '../lib/referentialIntegrity.js';
+import entityRelations from '../lib/entityRelations.js';
 import logger from '../lib/logger.js';
+import mongodb from '../lib/mongodb.js';
 import configuration from '../configuration/configuration.js';
 
 const initializeRoutes = (app) => {
+    // Model, routes and options of each entity, for the routes spanning two entities
+    const entities = {};
+
     Object.entries(configuration.routes).forEach(
-        ([entityName, { schema, routes: routeConfigs }]) => {
+        ([
+            entityName,
+            {
+                schema,
+                schemaRules = defaultRoutesRules.schemaRules,
+                routes: routeConfigs,
+                softDelete: softDeleteOption,
+                audit = false,
+                etag: etagOption = false,
+                export: exportOption,
+                import: importOption,
+                stats: statsOption,
+            },
+        ]) => {
             if (!entityName || !schema || !routeConfigs) {
                 throw new CriticalError(
                     `Invalid route configuration for: ${entityName}, ${schema}, ${routeConfigs}`
@@ -30,29 +61,74 @@ const initializeRoutes = (app) => {
                 );
             }
 
-            finalRouteConfigs.forEach(
-                ({ paths: routePaths, method, handler, rules: routeRules }) => {
-                    // Create model, Zod schema, and router once per entity
-                    const model = createMongooseModel(entityName, schema);
-                    const zodSchema = createZodSchema(
-                        entityName,
-                        schema,
-                        handler
-                    );
+            const entityOptions = {
+                entityName,
+                softDelete: softDelete.getOptions(softDeleteOption),
+                audit: Boolean(audit),
+                etag: Boolean(etagOption),
+                export: dataExport.getOptions(exportOption),
+                import: dataImport.getOptions(importOption),
+                stats: queryStats.getOptions(statsOption),
+            };
+
+            // Generated routes go first so their static paths win over `/:id`
+            const entityRouteConfigs = [
+                ...(entityOptions.softDelete
+                    ? softDeleteRoutesRules(finalRouteConfigs)
+                    : []),
+                ...(entityOptions.audit
+                    ? auditRoutesRules(finalRouteConfigs)
+                    : []),
+                ...(entityOptions.export
+                    ? exportRoutesRules(finalRouteConfigs)
+                    : []),
+                ...(entityOptions.import
+                    ? importRoutesRules(finalRouteConfigs)
+                    : []),
+                ...(entityOptions.stats
+                    ? statsRoutesRules(finalRouteConfigs, entityOptions.stats)
+                    : []),
+                ...finalRouteConfigs,
+            ];
+
+            // Create the model and router once per entity.
+            // Soft delete fields are managed by the server, so they are left out of the Zod schemas.
+            const model = createMongooseModel(
+                entityName,
+                entityOptions.softDelete
+                    ? { ...schema, ...softDelete.schemaFields }
+                    : schema,
+                entityOptions.etag ? [etag.versioning] : []
+            );
 
-                    if (!model || !zodSchema) {
-                        throw new CriticalError(
-                            `Failed to create model or schema for: ${entityName}`
-                        );
-                    }
+            const routesWithSchemas = entityRouteConfigs.map((routeConfig) => {
+                const zodSchema = createZodSchema(
+                    entityName,
+                    schema,
+                    routeConfig.handler,
+                    schemaRules,
+                    model,
+                    routeConfig.rules
+                );
 
-                    const router = crudRoutesFactory(
-                        entityName,
-                        model,
-                        zodSchema,
-                        finalRouteConfigs
+                if (!model || !zodSchema) {
+                    throw new CriticalError(
+                        `Failed to create model or schema for: ${entityName}`
                     );
+                }
+
+                return { ...routeConfig, zodSchema };
+            });
 
+            const router = crudRoutesFactory(
+                entityName,
+                model,
+                routesWithSchemas,
+                entityOptions
+            );
+
+            routesWithSchemas.forEach(
+                ({ paths: routePaths, method, rules: routeRules }) => {
                     // If no paths provided, use default path '/'
                     const finalPaths =
                         Array.isArray(routePaths) && routePaths.length > 0
@@ -86,12 +162,59 @@ const initializeRoutes = (app) => {
                             next();
                         }
                     );
-
-                    app.use(`/api/${entityName}`, router);
                 }
             );
+
+            app.use(`/api/${entityName}`, router);
+
+            entities[entityName] = {
+                model,
+                routes: routesWithSchemas,
+                entityOptions,
+            };
         }
     );
+
+    bulkOperations.initialize({ startSession: mongodb.startSession });
+
+    // References can point at any entity, so their `onDelete` rules are checked once all models exist
+    referentialIntegrity.initialize({
+        entities: Object.fromEntries(
+            Object.entries(entities).map(([entityName, { entityOptions }]) => [
+                entityName,
+                entityOptions,
+            ])
+        ),
+        startSession: mongodb.startSession,
+    });
+
+    // Reverse-relation routes (e.g. /api/users/:id/posts) also wait for every model
+    entityRelations.getRelations().forEach((relation) => {
+        const parent = entities[relation.parent];
+        const child = entities[relation.child];
+        const relationRoutes = relationRoutesRules(child.routes, {
+            ...relation,
+            parentModel: parent.model,
+            parentEntityOptions: parent.entityOptions,
+        });
+        if (!relationRoutes.length) return;
+
+        relationRoutes.forEach(({ method }) => {
+            logger.debug(
+                `Route Created: [${method.toUpperCase()}] /api/${relation.parent}${relation.path}`
+            );
+        });
+
+        app.use(
+            `/api/${relation.parent}`,
+            crudRoutesFactory(
+                relation.child,
+                child.model,
+                relationRoutes,
+                child.entityOptions
+            )
+        );
+    });
 };
 
 export default initializeRoutes;
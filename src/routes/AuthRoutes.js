@@ -0,0 +1,40 @@
+'use strict';
+
+import express from 'express';
+
+import asyncHandler from '../utils/asyncHandler.js';
+import authenticate from '../middlewares/authenticate.js';
+import loginAdmin from '../service/loginAdmin.js';
+import refreshAdminSession from '../service/refreshAdminSession.js';
+import logoutAdmin from '../service/logoutAdmin.js';
+import getCurrentAdmin from '../service/getCurrentAdmin.js';
+
+const router = express.Router();
+
+// ✅ Log in with email and password, issuing access and refresh tokens
+router.post(
+    '/login',
+    asyncHandler((req, res) => loginAdmin(req, res))
+);
+
+// ✅ Exchange a refresh token for a new token pair
+router.post(
+    '/refresh',
+    asyncHandler((req, res) => refreshAdminSession(req, res))
+);
+
+// ✅ Revoke the current session
+router.post(
+    '/logout',
+    asyncHandler(authenticate),
+    asyncHandler((req, res) => logoutAdmin(req, res))
+);
+
+// ✅ Get the currently authenticated admin
+router.get(
+    '/me',
+    asyncHandler(authenticate),
+    asyncHandler((req, res) => getCurrentAdmin(req, res))
+);
+
+export default router;
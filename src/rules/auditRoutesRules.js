@@ -0,0 +1,31 @@
+import HTTP_METHODS from '../constants/httpMethods.js';
+import getEntityAuthRules from '../utils/getEntityAuthRules.js';
+
+import getDocumentHistory from '../service/getDocumentHistory.js';
+import restoreDocumentVersion from '../service/restoreDocumentVersion.js';
+
+// Routes generated for entities with `audit` enabled.
+// They inherit the auth rule of the entity's update routes.
+const auditRoutesRules = (routeConfigs = []) => {
+    const rules = {
+        auth: getEntityAuthRules(routeConfigs, HTTP_METHODS.PATCH),
+    };
+
+    return [
+        {
+            paths: ['/:id/history'],
+            method: HTTP_METHODS.GET,
+            handler: getDocumentHistory,
+            rules,
+        },
+        {
+            paths: ['/:id/history/:version/restore'],
+            method: HTTP_METHODS.POST,
+            handler: restoreDocumentVersion,
+            dataValidation: false,
+            rules,
+        },
+    ];
+};
+
+export default auditRoutesRules;
@@ -1,9 +1,12 @@
 import contentTypes from 'content-types-lite';
 
 import HTTP_METHODS from '../constants/httpMethods.js';
+import AUTH_ACCESS from '../constants/authAccess.js';
 
 const defaultRequestContentType = contentTypes.JSON;
 const defaultResponseContentType = contentTypes.JSON;
+const publicAccess = { access: AUTH_ACCESS.PUBLIC };
+const authenticatedAccess = { access: AUTH_ACCESS.AUTHENTICATED };
 
 const defaultRoutesRules = {
     schemaRules: {},
@@ -12,6 +15,7 @@ const defaultRoutesRules = {
             paths: ['/', '/create', '/add', '/new', '/insert'],
             method: HTTP_METHODS.POST,
             rules: {
+                auth: authenticatedAccess,
                 request: {
                     contentType: defaultRequestContentType,
                 },
@@ -42,6 +46,7 @@ const defaultRoutesRules = {
             ],
             method: HTTP_METHODS.POST,
             rules: {
+                auth: authenticatedAccess,
                 request: {
                     contentType: defaultRequestContentType,
                 },
@@ -66,6 +71,7 @@ const defaultRoutesRules = {
             ],
             method: HTTP_METHODS.GET,
             rules: {
+                auth: publicAccess,
                 request: {
                     contentType: 'undefined',
                 },
@@ -88,6 +94,7 @@ const defaultRoutesRules = {
             ],
             method: HTTP_METHODS.GET,
             rules: {
+                auth: publicAccess,
                 request: {
                     contentType: 'undefined',
                 },
@@ -113,6 +120,21 @@ const defaultRoutesRules = {
             ],
             method: HTTP_METHODS.PATCH,
             rules: {
+                auth: authenticatedAccess,
+                request: {
+                    contentType: defaultRequestContentType,
+                },
+                response: {
+                    contentType: defaultResponseContentType,
+                    pipeline: [],
+                },
+            },
+        },
+        {
+            paths: ['/:id', '/put/:id', '/replace/:id'],
+            method: HTTP_METHODS.PUT,
+            rules: {
+                auth: authenticatedAccess,
                 request: {
                     contentType: defaultRequestContentType,
                 },
@@ -140,6 +162,7 @@ const defaultRoutesRules = {
             ],
             method: HTTP_METHODS.DELETE,
             rules: {
+                auth: authenticatedAccess,
                 request: {
                     contentType: 'undefined',
                 },
@@ -175,6 +198,7 @@ const defaultRoutesRules = {
             ],
             method: HTTP_METHODS.DELETE,
             rules: {
+                auth: authenticatedAccess,
                 request: {
                     contentType: 'undefined',
                 },
@@ -189,6 +213,7 @@ const defaultRoutesRules = {
             paths: ['*'], // Matches all undefined routes
             method: HTTP_METHODS.ALL,
             rules: {
+                auth: authenticatedAccess,
                 request: {
                     contentType: defaultRequestContentType,
                 },
@@ -0,0 +1,29 @@
+import HTTP_METHODS from '../constants/httpMethods.js';
+import getEntityAuthRules from '../utils/getEntityAuthRules.js';
+
+import exportDocuments from '../service/exportDocuments.js';
+
+// Routes generated for entities with `export` enabled.
+// The export reads what the entity's list route reads: it inherits that route's auth rule
+// and response rules (`pipeline`, `allowedFields`, `allowedPopulate`).
+const exportRoutesRules = (routeConfigs = []) => {
+    const listRoute = routeConfigs.find(
+        (route) => route.handler?.name === 'getDocumentsList'
+    );
+
+    return [
+        {
+            paths: ['/export'],
+            method: HTTP_METHODS.GET,
+            handler: exportDocuments,
+            rules: {
+                auth:
+                    listRoute?.rules?.auth ||
+                    getEntityAuthRules(routeConfigs, HTTP_METHODS.GET),
+                response: { ...listRoute?.rules?.response },
+            },
+        },
+    ];
+};
+
+export default exportRoutesRules;
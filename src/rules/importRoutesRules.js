@@ -0,0 +1,30 @@
+import contentTypes from 'content-types-lite';
+
+import HTTP_METHODS from '../constants/httpMethods.js';
+import getEntityAuthRules from '../utils/getEntityAuthRules.js';
+
+import importDocuments from '../service/importDocuments.js';
+
+// Routes generated for entities with `import` enabled.
+// They inherit the auth rule of the entity's create routes.
+const importRoutesRules = (routeConfigs = []) => [
+    {
+        paths: ['/import'],
+        method: HTTP_METHODS.POST,
+        handler: importDocuments,
+        // The file is read and validated row by row by the import itself
+        dataValidation: false,
+        rules: {
+            auth: getEntityAuthRules(routeConfigs, HTTP_METHODS.POST),
+            request: {
+                contentType: [
+                    contentTypes.CSV,
+                    contentTypes.NDJSON,
+                    contentTypes.MULTIPART_FORM_DATA,
+                ],
+            },
+        },
+    },
+];
+
+export default importRoutesRules;
@@ -0,0 +1,16 @@
+// Child routes reused by the reverse-relation routes of a parent entity
+const relationHandlers = ['getDocumentsList', 'createDocument'];
+
+// Routes generated on the parent entity for each entity referring to it, e.g.
+// `GET` and `POST /api/users/:id/posts` for the `author` of posts.
+// They are the child's own list and create routes (auth, filters, pagination and
+// response rules included), scoped to the parent in `:parentId`.
+const relationRoutesRules = (routeConfigs = [], relation) =>
+    relationHandlers
+        .map((handlerName) =>
+            routeConfigs.find((route) => route.handler?.name === handlerName)
+        )
+        .filter(Boolean)
+        .map((route) => ({ ...route, paths: [relation.path], relation }));
+
+export default relationRoutesRules;
@@ -0,0 +1,54 @@
+import HTTP_METHODS from '../constants/httpMethods.js';
+import getEntityAuthRules from '../utils/getEntityAuthRules.js';
+
+import getTrashedDocumentsList from '../service/getTrashedDocumentsList.js';
+import restoreADocument from '../service/restoreADocument.js';
+import restoreDocumentList from '../service/restoreDocumentList.js';
+import purgeADocument from '../service/purgeADocument.js';
+import purgeTrashedDocuments from '../service/purgeTrashedDocuments.js';
+
+// Routes generated for entities with `softDelete` enabled.
+// They are registered before the entity's own routes so `/trash` is not taken for an `/:id`,
+// and they inherit the auth rule of the entity's delete routes.
+const softDeleteRoutesRules = (routeConfigs = []) => {
+    const rules = {
+        auth: getEntityAuthRules(routeConfigs, HTTP_METHODS.DELETE),
+    };
+
+    return [
+        {
+            paths: ['/trash', '/trash/list'],
+            method: HTTP_METHODS.GET,
+            handler: getTrashedDocumentsList,
+            rules,
+        },
+        {
+            paths: ['/trash/restore', '/restore'],
+            method: HTTP_METHODS.PATCH,
+            handler: restoreDocumentList,
+            dataValidation: false,
+            rules,
+        },
+        {
+            paths: ['/trash/:id/restore', '/restore/:id'],
+            method: HTTP_METHODS.PATCH,
+            handler: restoreADocument,
+            dataValidation: false,
+            rules,
+        },
+        {
+            paths: ['/trash/purge', '/purge'],
+            method: HTTP_METHODS.DELETE,
+            handler: purgeTrashedDocuments,
+            rules,
+        },
+        {
+            paths: ['/trash/:id/purge', '/purge/:id'],
+            method: HTTP_METHODS.DELETE,
+            handler: purgeADocument,
+            rules,
+        },
+    ];
+};
+
+export default softDeleteRoutesRules;
@@ -0,0 +1,33 @@
+import HTTP_METHODS from '../constants/httpMethods.js';
+import getEntityAuthRules from '../utils/getEntityAuthRules.js';
+
+import getDocumentStats from '../service/getDocumentStats.js';
+
+// Routes generated for entities with `stats` enabled.
+// Stats summarize what the entity's list route reads, so they inherit that route's auth rule.
+// The entity's `stats.groupBy` becomes the route's `allowedGroupBy`.
+const statsRoutesRules = (routeConfigs = [], options = {}) => {
+    const listRoute = routeConfigs.find(
+        (route) => route.handler?.name === 'getDocumentsList'
+    );
+
+    return [
+        {
+            paths: ['/stats'],
+            method: HTTP_METHODS.GET,
+            handler: getDocumentStats,
+            rules: {
+                auth:
+                    listRoute?.rules?.auth ||
+                    getEntityAuthRules(routeConfigs, HTTP_METHODS.GET),
+                response: {
+                    contentType: listRoute?.rules?.response?.contentType,
+                    allowedGroupBy: options?.groupBy || [],
+                    maxGroups: options?.maxGroups,
+                },
+            },
+        },
+    ];
+};
+
+export default statsRoutesRules;
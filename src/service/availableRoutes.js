@@ -2,6 +2,13 @@ import contentTypes from 'content-types-lite';
 
 import configuration from '../configuration/configuration.js';
 import sharedResponseTypes from '../utils/responseTypes.js';
+import softDeleteRoutesRules from '../rules/softDeleteRoutesRules.js';
+import auditRoutesRules from '../rules/auditRoutesRules.js';
+import exportRoutesRules from '../rules/exportRoutesRules.js';
+import importRoutesRules from '../rules/importRoutesRules.js';
+import statsRoutesRules from '../rules/statsRoutesRules.js';
+import relationRoutesRules from '../rules/relationRoutesRules.js';
+import entityRelations from '../lib/entityRelations.js';
 
 const availableRoutes = (req, res) => {
     // Create an object to group routes by base name and then by HTTP method.
@@ -19,6 +26,16 @@ const availableRoutes = (req, res) => {
             routes = [];
         }
 
+        // Include the routes generated for soft delete, audit history, export, import and stats.
+        routes = [
+            ...(routeConfig.softDelete ? softDeleteRoutesRules(routes) : []),
+            ...(routeConfig.audit ? auditRoutesRules(routes) : []),
+            ...(routeConfig.export ? exportRoutesRules(routes) : []),
+            ...(routeConfig.import ? importRoutesRules(routes) : []),
+            ...(routeConfig.stats ? statsRoutesRules(routes) : []),
+            ...routes,
+        ];
+
         // For each route definition, group each available path by HTTP method.
         routes.forEach((route) => {
             // Determine the HTTP method; default to 'ALL' if not defined.
@@ -38,6 +55,24 @@ const availableRoutes = (req, res) => {
         });
     });
 
+    // Include the reverse-relation routes under their parent, e.g. '/api/users/:parentId/posts'.
+    entityRelations.getRelations().forEach((relation) => {
+        const childRoutes = configuration.routes[relation.child].routes;
+
+        relationRoutesRules(
+            Array.isArray(childRoutes) ? childRoutes : [],
+            relation
+        ).forEach(({ method }) => {
+            const group = groupedRoutes[relation.parent];
+            const methodName = method.toUpperCase();
+
+            group[methodName] = [
+                ...(group[methodName] || []),
+                `/api/${relation.parent}${relation.path}`,
+            ];
+        });
+    });
+
     // Return the compiled, grouped list of routes as JSON.
     return sharedResponseTypes.OK(
         req,
@@ -1,5 +1,8 @@
 import contentTypes from 'content-types-lite';
 
+import AUDIT_ACTIONS from '../constants/auditActions.js';
+import auditTrail from '../lib/auditTrail.js';
+import referenceChecks from '../lib/referenceChecks.js';
 import sharedResponseTypes from '../utils/responseTypes.js';
 
 const createDocument = async (
@@ -10,7 +13,8 @@ const createDocument = async (
     modelNameInSentenceCase,
     getPopulatedDocument,
     referenceFields,
-    rules
+    rules,
+    entityOptions
 ) => {
     const responsePipeline = rules?.response?.pipeline || [];
     const contentType = rules?.response?.contentType || contentTypes.JSON;
@@ -28,8 +32,30 @@ const createDocument = async (
         }
     }
 
+    // 🔹 Check that the referenced documents exist
+    const [referenceErrors] = await referenceChecks.findInvalid(model, [
+        req.body,
+    ]);
+    if (referenceErrors.length) {
+        const msg = `Unprocessable Entity: ${modelNameInSentenceCase} refers to documents that do not exist.`;
+        return sharedResponseTypes.UNPROCESSABLE_ENTITY(
+            req,
+            res,
+            contentType,
+            msg,
+            referenceErrors
+        );
+    }
+
     // 🔹 Create the new document
     let doc = await model.create(req.body);
+    await auditTrail.record(
+        req,
+        entityOptions,
+        AUDIT_ACTIONS.CREATE,
+        null,
+        doc
+    );
 
     // 🔹 If responsePipeline is provided, use aggregation
     if (responsePipeline) {
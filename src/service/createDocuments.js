@@ -0,0 +1,145 @@
+import contentTypes from 'content-types-lite';
+
+import AUDIT_ACTIONS from '../constants/auditActions.js';
+import BULK_ITEM_STATUS from '../constants/bulkItemStatus.js';
+import auditTrail from '../lib/auditTrail.js';
+import bulkOperations from '../lib/bulkOperations.js';
+import sharedResponseTypes from '../utils/responseTypes.js';
+
+const createDocuments = async (
+    req,
+    res,
+    model,
+    uniqueFields,
+    modelNameInSentenceCase,
+    getPopulatedDocument,
+    referenceFields,
+    rules,
+    entityOptions
+) => {
+    const contentType = rules?.response?.contentType || contentTypes.JSON;
+    const bulkOptions = bulkOperations.getOptions(req, rules);
+    const items = req.body;
+
+    const payloadError = bulkOperations.checkPayload(items, bulkOptions);
+    if (payloadError) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: ${payloadError}`
+        );
+    }
+
+    const results = bulkOperations.createResults(items);
+
+    // 🔹 Validate every item against the entity's create schema
+    const entries = items.map((item, index) => {
+        const result = results[index];
+        const validationResult = req.itemSchema.safeParse(item);
+        if (!validationResult.success) {
+            bulkOperations.fail(
+                result,
+                bulkOperations.formatZodErrors(validationResult.error)
+            );
+            return { result, values: {} };
+        }
+
+        return { result, values: validationResult.data };
+    });
+
+    // 🔹 Check uniqueness constraints within the batch and against the database
+    await bulkOperations.checkUniqueFields(model, entries, uniqueFields);
+
+    // 🔹 Check that the referenced documents exist
+    await bulkOperations.checkReferences(model, entries);
+
+    // 🔹 Build the documents so Mongoose defaults and validators apply
+    const pendingEntries = [];
+    entries
+        .filter(({ result }) => bulkOperations.isPending(result))
+        .forEach(({ result, values }) => {
+            const doc = new model(values);
+            const validationError = doc.validateSync();
+            if (validationError) {
+                bulkOperations.fail(
+                    result,
+                    bulkOperations.formatMongooseErrors(validationError)
+                );
+            } else {
+                pendingEntries.push({ result, doc });
+            }
+        });
+
+    const { failed } = bulkOperations.summarize(results);
+    if (failed && (bulkOptions.atomic || !pendingEntries.length)) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: ${failed} of ${items.length} ${modelNameInSentenceCase} item${items.length !== 1 ? 's' : ''} failed validation. Nothing was created.`,
+            results
+        );
+    }
+
+    // 🔹 Insert the documents. In atomic mode a write error aborts the transaction, so none are kept.
+    const docs = pendingEntries.map(({ doc }) => doc);
+    try {
+        if (bulkOptions.atomic) {
+            await bulkOperations.inTransaction((session) =>
+                model.insertMany(docs, { ordered: true, session })
+            );
+        } else {
+            await model.insertMany(docs, { ordered: false });
+        }
+    } catch (error) {
+        if (!error.writeErrors || bulkOptions.atomic) throw error;
+
+        []
+            .concat(error.writeErrors)
+            .forEach((writeError) =>
+                bulkOperations.fail(pendingEntries[writeError.index].result, [
+                    { field: 'unknown', message: writeError.errmsg },
+                ])
+            );
+    }
+
+    const createdEntries = pendingEntries.filter(({ result }) =>
+        bulkOperations.isPending(result)
+    );
+    createdEntries.forEach(({ result, doc }) => {
+        result.status = BULK_ITEM_STATUS.CREATED;
+        result.id = doc._id;
+    });
+
+    await Promise.all(
+        createdEntries.map(({ doc }) =>
+            auditTrail.record(
+                req,
+                entityOptions,
+                AUDIT_ACTIONS.CREATE,
+                null,
+                doc
+            )
+        )
+    );
+
+    const summary = bulkOperations.summarize(results);
+    if (!summary.succeeded) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: None of the ${items.length} ${modelNameInSentenceCase} items could be created.`,
+            results
+        );
+    }
+
+    const msg = `Success: ${summary.succeeded} of ${items.length} ${modelNameInSentenceCase} item${items.length !== 1 ? 's' : ''} created${summary.failed ? `, ${summary.failed} failed` : ''}.`;
+    return sharedResponseTypes.CREATED(req, res, contentType, msg, {
+        ...summary,
+        results,
+    });
+};
+
+export default createDocuments;
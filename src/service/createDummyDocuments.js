@@ -3,6 +3,9 @@ import RandExp from 'randexp';
 import { Types } from 'mongoose';
 import contentTypes from 'content-types-lite';
 
+import AUDIT_ACTIONS from '../constants/auditActions.js';
+import auditTrail from '../lib/auditTrail.js';
+import softDelete from '../lib/softDelete.js';
 import sharedResponseTypes from '../utils/responseTypes.js';
 
 import getIntValue from '../utils/getIntValue.js';
@@ -134,8 +137,8 @@ const generateDummyData = async (count, model) => {
         const record = {};
         // Iterate over each field in the schema.
         for (const [key, fieldSchema] of Object.entries(model?.schema?.paths)) {
-            // Skip internal fields such as __v.
-            if (key === '__v') continue;
+            // Skip internal fields such as __v and the soft delete markers.
+            if (key === '__v' || key in softDelete.schemaFields) continue;
             record[key] = generateFieldValue(key, fieldSchema);
         }
         dummyData.push(record);
@@ -155,7 +158,8 @@ const createDummyDocuments = async (
     modelNameInSentenceCase,
     getPopulatedDocument,
     referenceFields,
-    rules
+    rules,
+    entityOptions
 ) => {
     const responsePipeline = rules?.response?.pipeline || [];
     const contentType = rules?.response?.contentType || contentTypes.JSON;
@@ -177,6 +181,17 @@ const createDummyDocuments = async (
 
     // 🔹 Insert dummy documents
     const insertedDocs = await model.insertMany(dummyData, { ordered: false });
+    await Promise.all(
+        insertedDocs.map((doc) =>
+            auditTrail.record(
+                req,
+                entityOptions,
+                AUDIT_ACTIONS.CREATE,
+                null,
+                doc
+            )
+        )
+    );
 
     let finalDocs;
     if (responsePipeline) {
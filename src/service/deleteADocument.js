@@ -1,5 +1,9 @@
 import contentTypes from 'content-types-lite';
 
+import AUDIT_ACTIONS from '../constants/auditActions.js';
+import auditTrail from '../lib/auditTrail.js';
+import referentialIntegrity from '../lib/referentialIntegrity.js';
+import softDelete from '../lib/softDelete.js';
 import sharedResponseTypes from '../utils/responseTypes.js';
 
 const deleteADocument = async (
@@ -10,11 +14,50 @@ const deleteADocument = async (
     modelNameInSentenceCase,
     getPopulatedDocument,
     referenceFields,
-    rules
+    rules,
+    entityOptions
 ) => {
     const contentType = rules?.response?.contentType || contentTypes.JSON;
     const docId = req.params.id;
-    const deletedDoc = await model.findByIdAndDelete(docId);
+    // 🔹 Soft-deletable entities move the document to the trash instead
+    const trashUpdate = entityOptions?.softDelete
+        ? softDelete.trashUpdate(req)
+        : null;
+    // 🔹 Honour If-Match: the document must still be the version the client saw
+    const deleteFilter = {
+        _id: docId,
+        ...softDelete.activeFilter(entityOptions),
+        ...req.preconditionFilter,
+    };
+    let deletedDoc;
+    if (trashUpdate) {
+        deletedDoc = await model.findOneAndUpdate(deleteFilter, trashUpdate);
+    } else {
+        // 🔹 Enforce the `onDelete` rules of references to this document
+        const { result, blocking } =
+            await referentialIntegrity.deleteWithReferences(
+                req,
+                model,
+                deleteFilter,
+                (session) => model.findOneAndDelete(deleteFilter, { session })
+            );
+        if (blocking.length)
+            return sharedResponseTypes.CONFLICT(
+                req,
+                res,
+                contentType,
+                `Conflict: ${modelNameInSentenceCase} with ID "${docId}" is still referenced by other documents. Delete or update them first.`,
+                referentialIntegrity.toErrors(blocking)
+            );
+        deletedDoc = result;
+    }
+    if (!deletedDoc && req.preconditionFilter)
+        return sharedResponseTypes.PRECONDITION_FAILED(
+            req,
+            res,
+            contentType,
+            `Precondition Failed: ${modelNameInSentenceCase} with ID "${docId}" was changed by another request. Fetch it again and retry.`
+        );
     if (!deletedDoc)
         return sharedResponseTypes.NOT_FOUND(
             req,
@@ -23,7 +66,15 @@ const deleteADocument = async (
             `Not Found: ${modelNameInSentenceCase} with ID "${docId}" does not exist.`
         );
 
-    const msg = `Success: ${modelNameInSentenceCase} with ID "${docId}" deleted successfully.`;
+    await auditTrail.recordMany(
+        req,
+        entityOptions,
+        AUDIT_ACTIONS.DELETE,
+        [deletedDoc],
+        trashUpdate
+    );
+
+    const msg = `Success: ${modelNameInSentenceCase} with ID "${docId}" ${trashUpdate ? 'moved to trash' : 'deleted'} successfully.`;
     return sharedResponseTypes.OK(req, res, contentType, msg);
 };
 
@@ -1,5 +1,9 @@
 import contentTypes from 'content-types-lite';
 
+import AUDIT_ACTIONS from '../constants/auditActions.js';
+import auditTrail from '../lib/auditTrail.js';
+import referentialIntegrity from '../lib/referentialIntegrity.js';
+import softDelete from '../lib/softDelete.js';
 import sharedResponseTypes from '../utils/responseTypes.js';
 
 const deleteAllDocuments = async (
@@ -10,12 +14,18 @@ const deleteAllDocuments = async (
     modelNameInSentenceCase,
     getPopulatedDocument,
     referenceFields,
-    rules
+    rules,
+    entityOptions
 ) => {
     const contentType = rules?.response?.contentType || contentTypes.JSON;
+    // Restrict deletion to what the route's auth rules allow (e.g. owner only)
+    const scope = {
+        ...req.accessFilter,
+        ...softDelete.activeFilter(entityOptions),
+    };
 
     // Retrieve existing documents
-    const existingDocuments = await model.find();
+    const existingDocuments = await model.find(scope);
     if (!existingDocuments.length) {
         return sharedResponseTypes.NOT_FOUND(
             req,
@@ -25,12 +35,37 @@ const deleteAllDocuments = async (
         );
     }
 
-    // Delete all documents and check the deletion result
-    const deletionResult = await model.deleteMany();
-    if (
-        !deletionResult ||
-        deletionResult.deletedCount !== existingDocuments.length
-    ) {
+    // Delete (or move to trash) all documents and check the deletion result
+    const trashUpdate = entityOptions?.softDelete
+        ? softDelete.trashUpdate(req)
+        : null;
+    let deletionResult;
+    if (trashUpdate) {
+        deletionResult = await model.updateMany(scope, trashUpdate);
+    } else {
+        // Enforce the `onDelete` rules of references to these documents
+        const { result, blocking } =
+            await referentialIntegrity.deleteWithReferences(
+                req,
+                model,
+                scope,
+                (session) => model.deleteMany(scope, { session })
+            );
+        if (blocking.length) {
+            return sharedResponseTypes.CONFLICT(
+                req,
+                res,
+                contentType,
+                `Conflict: Some ${modelNameInSentenceCase} are still referenced by other documents. Deletion aborted.`,
+                referentialIntegrity.toErrors(blocking)
+            );
+        }
+        deletionResult = result;
+    }
+    const affectedCount = trashUpdate
+        ? deletionResult?.modifiedCount
+        : deletionResult?.deletedCount;
+    if (!deletionResult || affectedCount !== existingDocuments.length) {
         return sharedResponseTypes.INTERNAL_SERVER_ERROR(
             req,
             res,
@@ -39,7 +74,15 @@ const deleteAllDocuments = async (
         );
     }
 
-    const message = `Success: ${modelNameInSentenceCase} deleted successfully.`;
+    await auditTrail.recordMany(
+        req,
+        entityOptions,
+        AUDIT_ACTIONS.DELETE,
+        existingDocuments,
+        trashUpdate
+    );
+
+    const message = `Success: ${modelNameInSentenceCase} ${trashUpdate ? 'moved to trash' : 'deleted'} successfully.`;
     return sharedResponseTypes.OK(req, res, contentType, message);
 };
 
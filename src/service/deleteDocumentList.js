@@ -1,6 +1,10 @@
 import contentTypes from 'content-types-lite';
 
 import schema from '../lib/schema.js';
+import AUDIT_ACTIONS from '../constants/auditActions.js';
+import auditTrail from '../lib/auditTrail.js';
+import referentialIntegrity from '../lib/referentialIntegrity.js';
+import softDelete from '../lib/softDelete.js';
 import sharedResponseTypes from '../utils/responseTypes.js';
 
 const deleteDocumentList = async (
@@ -11,7 +15,8 @@ const deleteDocumentList = async (
     modelNameInSentenceCase,
     getPopulatedDocument,
     referenceFields,
-    rules
+    rules,
+    entityOptions
 ) => {
     const contentType = rules?.response?.contentType || contentTypes.JSON;
 
@@ -30,7 +35,10 @@ const deleteDocumentList = async (
     const docIds = req.query.ids.split(',');
 
     // Find existing documents.
-    const existingDocs = await model.find({ _id: { $in: docIds } });
+    const existingDocs = await model.find({
+        _id: { $in: docIds },
+        ...softDelete.activeFilter(entityOptions),
+    });
     const existingDocIds = existingDocs.map((doc) => doc._id.toString());
 
     // Identify missing IDs
@@ -45,9 +53,40 @@ const deleteDocumentList = async (
         );
     }
 
-    // Delete all matching documents.
-    await model.deleteMany({ _id: { $in: docIds } });
-    const msg = `Success: ${modelNameInSentenceCase} with ${docIds.length < 1 ? 'IDs' : 'ID'}: ${docIds.join(', ')} deleted successfully.`;
+    // Delete (or move to trash) all matching documents.
+    const trashUpdate = entityOptions?.softDelete
+        ? softDelete.trashUpdate(req)
+        : null;
+    if (trashUpdate) {
+        await model.updateMany({ _id: { $in: docIds } }, trashUpdate);
+    } else {
+        // Enforce the `onDelete` rules of references to these documents
+        const deleteFilter = { _id: { $in: docIds } };
+        const { blocking } = await referentialIntegrity.deleteWithReferences(
+            req,
+            model,
+            deleteFilter,
+            (session) => model.deleteMany(deleteFilter, { session })
+        );
+        if (blocking.length) {
+            return sharedResponseTypes.CONFLICT(
+                req,
+                res,
+                contentType,
+                `Conflict: Some of the ${modelNameInSentenceCase} are still referenced by other documents. Deletion aborted.`,
+                referentialIntegrity.toErrors(blocking)
+            );
+        }
+    }
+    await auditTrail.recordMany(
+        req,
+        entityOptions,
+        AUDIT_ACTIONS.DELETE,
+        existingDocs,
+        trashUpdate
+    );
+
+    const msg = `Success: ${modelNameInSentenceCase} with ${docIds.length < 1 ? 'IDs' : 'ID'}: ${docIds.join(', ')} ${trashUpdate ? 'moved to trash' : 'deleted'} successfully.`;
     return sharedResponseTypes.OK(req, res, contentType, msg);
 };
 
@@ -0,0 +1,194 @@
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import contentTypes from 'content-types-lite';
+
+import exportFormats from '../constants/exportFormats.js';
+import cursorPagination from '../lib/cursorPagination.js';
+import dataExport from '../lib/dataExport.js';
+import queryFilter from '../lib/queryFilter.js';
+import queryProjection from '../lib/queryProjection.js';
+import softDelete from '../lib/softDelete.js';
+import logger from '../lib/logger.js';
+import sharedResponseTypes from '../utils/responseTypes.js';
+
+// List parameters that mean nothing for an export, so list URLs can be reused as they are
+const listParams = ['page', 'limit', 'cursor', 'total', 'facets'];
+
+const exportDocuments = async (
+    req,
+    res,
+    model,
+    uniqueFields,
+    modelNameInSentenceCase,
+    getPopulatedDocument,
+    referenceFields,
+    rules,
+    entityOptions
+) => {
+    const responsePipeline = rules?.response?.pipeline || [];
+    const contentType = rules?.response?.contentType || contentTypes.JSON;
+    const options = entityOptions.export || dataExport.getOptions(true);
+
+    // 🔹 Extract the format and the list parameters (filters, sort, field selection)
+    const {
+        format = exportFormats.CSV,
+        sort = '-createdAt',
+        columns,
+        fields,
+        exclude,
+        populate: populateParam,
+        ...query
+    } = req.query;
+    const filters = Object.fromEntries(
+        Object.entries(query).filter(([key]) => !listParams.includes(key))
+    );
+
+    if (!Object.values(exportFormats).includes(format)) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: Unsupported export format '${format}'. Expected one of: ${Object.values(exportFormats).join(', ')}.`
+        );
+    }
+
+    // 🔹 Build the same filter query as the list route
+    const { filter: filterQuery, errors: filterErrors } = queryFilter.parse(
+        filters,
+        model,
+        rules
+    );
+    if (filterErrors.length > 0) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: Invalid filter(s): ${filterErrors.map(({ field }) => field).join(', ')}.`,
+            filterErrors
+        );
+    }
+
+    // 🔹 Resolve `fields` / `exclude` / `populate`, and the CSV columns
+    const {
+        projection,
+        populate,
+        errors: projectionErrors,
+    } = queryProjection.parse(
+        { fields, exclude, populate: populateParam },
+        model,
+        referenceFields,
+        rules
+    );
+    // Plain reads populate every reference by default; pipeline results only when asked for
+    const populateSpec =
+        populate ??
+        (responsePipeline.length
+            ? []
+            : referenceFields.map((path) => ({ path, populate: [] })));
+    const { columns: csvColumns, errors: columnErrors } =
+        format === exportFormats.CSV
+            ? dataExport.getColumns(model, {
+                  projection,
+                  populate: populateSpec,
+                  requested: columns
+                      ? String(columns).split(',').filter(Boolean)
+                      : options.columns,
+                  // Pipeline stages may add fields the schema does not know about
+                  strict: !responsePipeline.length,
+              })
+            : { columns: [], errors: [] };
+    if (projectionErrors.length > 0 || columnErrors.length > 0) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: Invalid field selection.`,
+            [...projectionErrors, ...columnErrors]
+        );
+    }
+
+    // 🔹 Hide trashed documents and restrict results to what the route's auth rules allow
+    Object.assign(
+        filterQuery,
+        softDelete.activeFilter(entityOptions),
+        req.accessFilter
+    );
+    const sortObj = cursorPagination.parseSort(sort);
+
+    // 🔹 Read through a database cursor so documents are never buffered in memory
+    let documents;
+    if (responsePipeline.length) {
+        const aggregationPipeline = JSON.parse(
+            JSON.stringify(responsePipeline)
+        );
+        const matchStage = aggregationPipeline.find((stage) => stage.$match);
+        if (matchStage) {
+            Object.assign(matchStage.$match, filterQuery);
+        } else {
+            aggregationPipeline.unshift({ $match: filterQuery });
+        }
+
+        aggregationPipeline.push({ $sort: sortObj });
+        if (options.maxDocuments) {
+            aggregationPipeline.push({ $limit: options.maxDocuments });
+        }
+        if (Object.keys(projection).length) {
+            aggregationPipeline.push({ $project: projection });
+        }
+
+        documents = model
+            .aggregate(aggregationPipeline)
+            .cursor({ batchSize: options.batchSize });
+    } else {
+        const findQuery = model
+            .find(filterQuery)
+            .select(projection)
+            .populate(populateSpec)
+            .sort(sortObj)
+            .lean()
+            .batchSize(options.batchSize);
+        if (options.maxDocuments) {
+            findQuery.limit(options.maxDocuments);
+        }
+
+        documents = findQuery.cursor();
+    }
+
+    // 🔹 Pipeline results are populated one document at a time, only when asked for
+    const writer = dataExport.createWriter(format, csvColumns);
+    let exportedCount = 0;
+    async function* generateExport() {
+        yield writer.head();
+        for await (const doc of documents) {
+            const row =
+                responsePipeline.length && populate
+                    ? await model.populate(doc, populate)
+                    : doc;
+            yield writer.row(row, exportedCount);
+            exportedCount += 1;
+        }
+        yield writer.tail();
+    }
+
+    const fileName = `${entityOptions.entityName}-${new Date().toISOString().replace(/[:.]/g, '-')}.${writer.extension}`;
+    res.attachment(fileName);
+    res.type(writer.contentType);
+    res.locals.isStreamed = true;
+
+    // 🔹 Once streaming has started a JSON error can no longer be sent, so the connection is cut instead
+    try {
+        await pipeline(Readable.from(generateExport()), res);
+    } catch (error) {
+        logger.error(
+            `Export of ${modelNameInSentenceCase}s failed after ${exportedCount} document(s): ${error.message}`
+        );
+        res.destroy(error);
+        return;
+    }
+
+    logger.info(
+        `Success: Exported ${exportedCount} ${modelNameInSentenceCase}${exportedCount !== 1 ? 's' : ''} as ${format}, sorted by '${sort}'.`
+    );
+};
+
+export default exportDocuments;
@@ -1,5 +1,7 @@
 import contentTypes from 'content-types-lite';
 
+import queryProjection from '../lib/queryProjection.js';
+import softDelete from '../lib/softDelete.js';
 import sharedResponseTypes from '../utils/responseTypes.js';
 
 import convertToMongooseObjectId from '../utils/convertToMongooseObjectId.js';
@@ -12,32 +14,62 @@ const getADocument = async (
     modelNameInSentenceCase,
     getPopulatedDocument,
     referenceFields,
-    rules
+    rules,
+    entityOptions
 ) => {
     const responsePipeline = rules?.response?.pipeline || [];
     const contentType = rules?.response?.contentType || contentTypes.JSON;
     const docId = convertToMongooseObjectId(req.params.id);
     let doc = {};
 
-    if (responsePipeline) {
+    // 🔹 Resolve `fields` / `exclude` / `populate` from the query string
+    const { projection, populate, errors } = queryProjection.parse(
+        req.query,
+        model,
+        referenceFields,
+        rules
+    );
+    if (errors.length > 0) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: Invalid field selection.`,
+            errors
+        );
+    }
+
+    if (responsePipeline.length) {
         // Clone the pipeline to avoid modifying the original reference
         const pipeline = [...responsePipeline];
 
         // Check if a $match condition exists
         const matchIndex = pipeline.findIndex((stage) => stage.$match);
+        // Trashed documents are only reachable through the trash routes
+        const documentMatch = {
+            _id: docId,
+            ...softDelete.activeFilter(entityOptions),
+        };
 
         if (matchIndex !== -1) {
             // Modify the existing $match stage to filter by ID
-            pipeline[matchIndex].$match._id = docId;
+            pipeline[matchIndex] = {
+                $match: { ...pipeline[matchIndex].$match, ...documentMatch },
+            };
         } else {
             // If no $match exists, add one to filter by ID
-            pipeline.unshift({ $match: { _id: docId } });
+            pipeline.unshift({ $match: documentMatch });
+        }
+
+        if (Object.keys(projection).length) {
+            pipeline.push({ $project: projection });
         }
 
         // Execute aggregation pipeline
         doc = await model.aggregate(pipeline);
+        if (populate) doc = await model.populate(doc, populate);
     } else {
-        doc = await getPopulatedDocument(docId);
+        doc = await getPopulatedDocument(docId, { projection, populate });
     }
 
     if (!doc || (Array.isArray(doc) && doc.length === 0)) {
@@ -0,0 +1,30 @@
+import contentTypes from 'content-types-lite';
+
+import AdminModel from '../models/SystemAdmin.js';
+import authentication from '../lib/authentication.js';
+import sharedResponseTypes from '../utils/responseTypes.js';
+
+const getCurrentAdmin = async (req, res) => {
+    const contentType = contentTypes.JSON;
+
+    const admin = await AdminModel.findById(req.user.id);
+    if (!admin) {
+        return sharedResponseTypes.NOT_FOUND(
+            req,
+            res,
+            contentType,
+            `Not Found: Admin with ID "${req.user.id}" does not exist.`
+        );
+    }
+
+    const msg = `Success: Authenticated admin "${admin.email}" fetched.`;
+    return sharedResponseTypes.OK(
+        req,
+        res,
+        contentType,
+        msg,
+        authentication.toPublicAdmin(admin)
+    );
+};
+
+export default getCurrentAdmin;
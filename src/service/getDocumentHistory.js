@@ -0,0 +1,54 @@
+import contentTypes from 'content-types-lite';
+
+import AuditLog from '../models/AuditLog.js';
+import sharedResponseTypes from '../utils/responseTypes.js';
+
+import getIntValue from '../utils/getIntValue.js';
+
+const getDocumentHistory = async (
+    req,
+    res,
+    model,
+    uniqueFields,
+    modelNameInSentenceCase,
+    getPopulatedDocument,
+    referenceFields,
+    rules,
+    entityOptions
+) => {
+    const contentType = rules?.response?.contentType || contentTypes.JSON;
+    const docId = req.params.id;
+    const { page = 1, limit = 10 } = req.query;
+    const parsedPage = Math.max(1, getIntValue(page) || 1);
+    const parsedLimit = Math.max(1, getIntValue(limit) || 10);
+    const historyFilter = {
+        entity: entityOptions.entityName,
+        documentId: docId,
+    };
+
+    // 🔹 Newest version first; snapshots are only needed to restore a version
+    const [versions, totalCount] = await Promise.all([
+        AuditLog.find(historyFilter)
+            .select('-snapshot')
+            .sort({ version: -1 })
+            .skip((parsedPage - 1) * parsedLimit)
+            .limit(parsedLimit),
+        AuditLog.countDocuments(historyFilter),
+    ]);
+
+    if (!versions.length) {
+        const msg = `Not Found: No history exists for ${modelNameInSentenceCase} with ID "${docId}".`;
+        return sharedResponseTypes.NOT_FOUND(req, res, contentType, msg);
+    }
+
+    const totalPages = Math.ceil(totalCount / parsedLimit);
+    const msg = `Success: ${totalCount} version${totalCount !== 1 ? 's' : ''} found for ${modelNameInSentenceCase} with ID "${docId}", page ${parsedPage} of ${totalPages}.`;
+
+    return sharedResponseTypes.OK(req, res, contentType, msg, versions, {
+        total: totalCount,
+        totalPages,
+        currentPage: parsedPage,
+    });
+};
+
+export default getDocumentHistory;
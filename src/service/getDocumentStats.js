@@ -0,0 +1,92 @@
+import contentTypes from 'content-types-lite';
+
+import queryFilter from '../lib/queryFilter.js';
+import queryStats from '../lib/queryStats.js';
+import softDelete from '../lib/softDelete.js';
+import configuration from '../configuration/configuration.js';
+import sharedResponseTypes from '../utils/responseTypes.js';
+
+// List parameters that mean nothing for stats, so list URLs can be reused as they are
+const listParams = [
+    'page',
+    'cursor',
+    'total',
+    'fields',
+    'exclude',
+    'populate',
+    'facets',
+];
+
+const getDocumentStats = async (
+    req,
+    res,
+    model,
+    uniqueFields,
+    modelNameInSentenceCase,
+    getPopulatedDocument,
+    referenceFields,
+    rules,
+    entityOptions
+) => {
+    const contentType = rules?.response?.contentType || contentTypes.JSON;
+
+    // 🔹 Extract the grouping parameters; everything else filters like the list route
+    const { groupBy, metrics, interval, dateField, sort, limit, ...query } =
+        req.query;
+    const filters = Object.fromEntries(
+        Object.entries(query).filter(([key]) => !listParams.includes(key))
+    );
+
+    const { filter: filterQuery, errors: filterErrors } = queryFilter.parse(
+        filters,
+        model,
+        rules
+    );
+    if (filterErrors.length > 0) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: Invalid filter(s): ${filterErrors.map(({ field }) => field).join(', ')}.`,
+            filterErrors
+        );
+    }
+
+    // 🔹 Build the `$group` stage, bucketing dates in the system timezone
+    const {
+        stages,
+        limit: groupLimit,
+        toGroup,
+        errors: statsErrors,
+    } = queryStats.parse(
+        { groupBy, metrics, interval, dateField, sort, limit },
+        model,
+        rules,
+        configuration.system.localization.timezone
+    );
+    if (statsErrors.length > 0) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: Invalid statistics parameter(s): ${[...new Set(statsErrors.map(({ field }) => field))].join(', ')}.`,
+            statsErrors
+        );
+    }
+
+    // 🔹 Hide trashed documents and restrict results to what the route's auth rules allow
+    Object.assign(
+        filterQuery,
+        softDelete.activeFilter(entityOptions),
+        req.accessFilter
+    );
+
+    const results = await model.aggregate([{ $match: filterQuery }, ...stages]);
+    const groups = results.slice(0, groupLimit).map(toGroup);
+    const isTruncated = results.length > groupLimit;
+
+    const msg = `Success: Computed ${groups.length} ${modelNameInSentenceCase} group${groups.length !== 1 ? 's' : ''}${isTruncated ? `, limited to the first ${groupLimit}` : ''}.`;
+    return sharedResponseTypes.OK(req, res, contentType, msg, groups);
+};
+
+export default getDocumentStats;
@@ -1,5 +1,12 @@
 import contentTypes from 'content-types-lite';
 
+import paginationModes from '../constants/paginationModes.js';
+import cursorPagination from '../lib/cursorPagination.js';
+import queryFacets from '../lib/queryFacets.js';
+import queryFilter from '../lib/queryFilter.js';
+import queryProjection from '../lib/queryProjection.js';
+import softDelete from '../lib/softDelete.js';
+import textSearch from '../lib/textSearch.js';
 import sharedResponseTypes from '../utils/responseTypes.js';
 
 const getDocumentsList = async (
@@ -10,95 +17,263 @@ const getDocumentsList = async (
     modelNameInSentenceCase,
     getPopulatedDocument,
     referenceFields,
-    rules
+    rules,
+    entityOptions
 ) => {
     const responsePipeline = rules?.response?.pipeline || [];
     const contentType = rules?.response?.contentType || contentTypes.JSON;
 
     // 🔹 Extract pagination, sorting, and filters from query parameters
-    const { page = 1, limit = 10, sort = '-createdAt', ...filters } = req.query;
+    const {
+        page = 1,
+        limit = 10,
+        sort = '-createdAt',
+        cursor,
+        total,
+        fields,
+        exclude,
+        populate: populateParam,
+        facets,
+        q,
+        typeahead,
+        highlight,
+        ...filters
+    } = req.query;
     const parsedPage = Math.max(1, Number(page));
     const parsedLimit = Math.max(1, Number(limit));
 
-    // 🔹 Validate query parameters to prevent errors
-    const invalidKeys = Object.keys(filters).filter((key) =>
-        key.startsWith('?')
+    // 🔹 Build a valid filter query (e.g. `age[gte]=18`), coerced to the schema types
+    const { filter: filterQuery, errors: filterErrors } = queryFilter.parse(
+        filters,
+        model,
+        rules
     );
-    if (invalidKeys.length > 0) {
+    if (filterErrors.length > 0) {
         return sharedResponseTypes.BAD_REQUEST(
             req,
             res,
             contentType,
-            `Bad Request: Invalid query parameter(s): ${invalidKeys.join(', ')}.`
+            `Bad Request: Invalid filter(s): ${filterErrors.map(({ field }) => field).join(', ')}.`,
+            filterErrors
         );
     }
 
-    // 🔹 Build a valid filter query
-    const filterQuery = Object.fromEntries(
-        Object.entries(filters).filter(([, value]) => value !== '')
+    // 🔹 Resolve `fields` / `exclude` / `populate` (sparse fieldsets)
+    const {
+        projection,
+        populate,
+        errors: projectionErrors,
+    } = queryProjection.parse(
+        { fields, exclude, populate: populateParam },
+        model,
+        referenceFields,
+        rules
     );
+    if (projectionErrors.length > 0) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: Invalid field selection.`,
+            projectionErrors
+        );
+    }
 
-    // Convert numeric filters to proper number types
-    for (const key in filterQuery) {
-        const schemaPath = model.schema.paths[key];
-        if (schemaPath?.instance === 'Number') {
-            filterQuery[key] = Number(filterQuery[key]);
-        }
+    // 🔹 Resolve the requested facets against the route's declared ones
+    const { fields: facetFields, errors: facetErrors } = queryFacets.parse(
+        facets,
+        model,
+        rules
+    );
+    if (facetErrors.length > 0) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: Invalid facet(s).`,
+            facetErrors
+        );
+    }
+
+    // 🔹 Resolve the `q` search over the entity's searchable fields
+    const { search, errors: searchErrors } = textSearch.parse(
+        { q, typeahead, highlight },
+        model
+    );
+    if (searchErrors.length > 0) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: Invalid search.`,
+            searchErrors
+        );
     }
 
+    // 🔹 Resolve offset vs. cursor pagination; a cursor only applies to the sort it was issued for
+    const { mode, includeTotal: defaultIncludeTotal } =
+        cursorPagination.getOptions({ cursor, total }, rules);
+    const isCursorMode = mode === paginationModes.CURSOR;
+    // Typeahead lists stay light: no count, no populated references, only the searchable fields
+    const includeTotal =
+        search?.isTypeahead && total === undefined
+            ? false
+            : defaultIncludeTotal;
+    const readProjection =
+        search?.isTypeahead && fields === undefined && exclude === undefined
+            ? textSearch.getProjection(search)
+            : projection;
+    // Text searches rank by relevance unless a sort is asked for; cursors need a field sort
+    const isRelevanceSort = Boolean(
+        search &&
+        !search.isTypeahead &&
+        !isCursorMode &&
+        req.query.sort === undefined
+    );
+    const sortObj = cursorPagination.parseSort(sort);
+    const cursorPosition =
+        isCursorMode && cursor
+            ? cursorPagination.decode(cursor, sortObj)
+            : null;
+    if (isCursorMode && cursor && !cursorPosition) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: Invalid cursor for sort '${sort}'.`
+        );
+    }
+
+    // 🔹 Backward pages are read in reverse order and flipped back afterwards
+    let querySort =
+        cursorPosition?.direction === cursorPagination.PREV
+            ? cursorPagination.reverseSort(sortObj)
+            : sortObj;
+    if (isRelevanceSort) {
+        querySort = responsePipeline.length
+            ? { score: -1, _id: 1 }
+            : { score: { $meta: 'textScore' }, _id: 1 };
+    }
+    const keysetFilter = cursorPosition
+        ? cursorPagination.buildFilter(sortObj, cursorPosition)
+        : null;
+    const pageProjection = isCursorMode
+        ? cursorPagination.withSortFields(readProjection, sortObj)
+        : { ...readProjection };
+    if (search && !search.isTypeahead && !responsePipeline.length) {
+        pageProjection.score = { $meta: 'textScore' };
+    }
+    const skip = isCursorMode ? 0 : (parsedPage - 1) * parsedLimit;
+    // One extra document tells whether another page follows without counting
+    const fetchLimit = parsedLimit + 1;
+
+    // 🔹 Hide trashed documents and restrict results to what the route's auth rules allow (e.g. owner only)
+    Object.assign(
+        filterQuery,
+        softDelete.activeFilter(entityOptions),
+        req.accessFilter,
+        search?.filter
+    );
+
     let docs = [],
-        totalCount = 0;
+        totalCount = null,
+        facetResult = null;
 
     if (responsePipeline.length) {
         // ✅ Clone the pipeline to avoid modifying the original reference
         const pipeline = JSON.parse(JSON.stringify(responsePipeline));
 
-        // ✅ Ensure a `$match` stage exists or add one
+        // ✅ Ensure a `$match` stage exists or add one; `$text` only works in the first stage
         const matchStage = pipeline.find((stage) => stage.$match);
-        if (matchStage) {
+        if (search && !search.isTypeahead) {
+            pipeline.unshift(
+                { $match: filterQuery },
+                { $addFields: { score: { $meta: 'textScore' } } }
+            );
+        } else if (matchStage) {
             Object.assign(matchStage.$match, filterQuery);
         } else {
             pipeline.unshift({ $match: filterQuery });
         }
 
-        // ✅ Add sorting
-        if (sort) {
-            const sortObj = sort.split(',').reduce((acc, field) => {
-                acc[field.replace('-', '')] = field.startsWith('-') ? -1 : 1;
-                return acc;
-            }, {});
-            pipeline.push({ $sort: sortObj });
-        }
+        // ✅ Continue after the cursor (matched after the route's stages, so computed sort fields work)
+        const pagePipeline = keysetFilter ? [{ $match: keysetFilter }] : [];
 
-        // ✅ Apply pagination
-        pipeline.push(
-            { $skip: (parsedPage - 1) * parsedLimit },
-            { $limit: parsedLimit }
-        );
+        // ✅ Add sorting and pagination
+        pagePipeline.push({ $sort: querySort });
+        if (skip) {
+            pagePipeline.push({ $skip: skip });
+        }
+        pagePipeline.push({ $limit: fetchLimit });
 
-        // ✅ Separate pipeline for total count (avoids modifying original pipeline)
-        const totalCountPipeline = [...pipeline, { $count: 'totalCount' }];
+        // ✅ Apply the requested projection
+        if (Object.keys(pageProjection).length) {
+            pagePipeline.push({ $project: pageProjection });
+        }
 
-        // ✅ Execute both pipelines concurrently
-        const [docsResult, totalCountResult] = await Promise.all([
-            model.aggregate(pipeline),
-            model.aggregate(totalCountPipeline),
-        ]);
+        // ✅ One `$facet` reads the page, the total and the facet counts over the same matches
+        pipeline.push({
+            $facet: {
+                docs: pagePipeline,
+                ...(includeTotal && {
+                    totalCount: [{ $count: 'totalCount' }],
+                }),
+                ...queryFacets.buildStages(facetFields, model),
+            },
+        });
+        [facetResult] = await model.aggregate(pipeline);
 
-        docs = docsResult;
-        totalCount = totalCountResult?.[0]?.totalCount || 0;
+        // ✅ Populate references only when the client asks for them
+        docs = populate
+            ? await model.populate(facetResult.docs, populate)
+            : facetResult.docs;
+        if (includeTotal) {
+            totalCount = facetResult.totalCount[0]?.totalCount || 0;
+        }
     } else {
         // ✅ Standard MongoDB query for non-aggregated cases
         docs = await model
-            .find(filterQuery)
-            .populate(referenceFields)
-            .sort(sort)
-            .skip((parsedPage - 1) * parsedLimit)
-            .limit(parsedLimit);
+            .find(
+                keysetFilter
+                    ? { $and: [filterQuery, keysetFilter] }
+                    : filterQuery
+            )
+            .select(pageProjection)
+            .populate(populate ?? (search?.isTypeahead ? [] : referenceFields))
+            .sort(querySort)
+            .skip(skip)
+            .limit(fetchLimit);
 
-        totalCount = await model.countDocuments(filterQuery);
+        if (facetFields.length) {
+            // ✅ The total and the facet counts share one `$facet`; aggregations skip casting, so the filter is cast first
+            [facetResult] = await model.aggregate([
+                { $match: model.find(filterQuery).cast() },
+                {
+                    $facet: {
+                        ...(includeTotal && {
+                            totalCount: [{ $count: 'totalCount' }],
+                        }),
+                        ...queryFacets.buildStages(facetFields, model),
+                    },
+                },
+            ]);
+            if (includeTotal) {
+                totalCount = facetResult.totalCount[0]?.totalCount || 0;
+            }
+        } else if (includeTotal) {
+            totalCount = await model.countDocuments(filterQuery);
+        }
     }
 
+    // ✅ Trim the extra document and work out the cursors
+    const { docs: pageDocs, ...cursors } = isCursorMode
+        ? cursorPagination.paginate(docs, parsedLimit, sortObj, cursorPosition)
+        : {
+              docs: docs.slice(0, parsedLimit),
+              hasMore: docs.length > parsedLimit,
+          };
+    docs = pageDocs;
+
     const searchFilters = Object.keys(filterQuery).length
         ? JSON.stringify(filterQuery)
         : 'None';
@@ -112,17 +287,61 @@ const getDocumentsList = async (
         );
     }
 
+    // ✅ Mark the matched search terms
+    if (search?.highlight) {
+        docs = docs.map((doc) => {
+            const plainDoc = doc.toJSON?.() ?? doc;
+            return {
+                ...plainDoc,
+                highlights: textSearch.highlight(plainDoc, search),
+            };
+        });
+    }
+
+    // ✅ Facet values are counted over every match, not just this page
+    const facetCounts = facetFields.length
+        ? await queryFacets.toFacets(facetResult, facetFields, model)
+        : undefined;
+
     // ✅ Log success message
-    const totalPages = Math.ceil(totalCount / parsedLimit);
-    const msg = `Success: ${totalCount} ${modelNameInSentenceCase}${totalCount !== 1 ? 's' : ''} found with filters: ${searchFilters}, sorted by '${sort}', page ${parsedPage} of ${totalPages}, limit ${parsedLimit}.`;
+    const countLabel = includeTotal ? totalCount : docs.length;
+    const foundMsg = `Success: ${countLabel} ${modelNameInSentenceCase}${countLabel !== 1 ? 's' : ''} found with filters: ${searchFilters}, sorted by '${isRelevanceSort ? 'relevance' : sort}'`;
+    let msg, pagination;
 
-    totalCount = {
-        total: totalCount,
-        totalPages,
-        currentPage: page,
-    };
+    if (isCursorMode) {
+        msg = `${foundMsg}, limit ${parsedLimit}${cursors.hasMore ? ', more available' : ''}.`;
+        pagination = {
+            limit: parsedLimit,
+            ...cursors,
+            ...(includeTotal && { total: totalCount }),
+        };
+    } else if (includeTotal) {
+        const totalPages = Math.ceil(totalCount / parsedLimit);
+        msg = `${foundMsg}, page ${parsedPage} of ${totalPages}, limit ${parsedLimit}.`;
+        pagination = {
+            total: totalCount,
+            totalPages,
+            currentPage: page,
+            hasMore: cursors.hasMore,
+        };
+    } else {
+        msg = `${foundMsg}, page ${parsedPage}, limit ${parsedLimit}.`;
+        pagination = {
+            currentPage: page,
+            limit: parsedLimit,
+            hasMore: cursors.hasMore,
+        };
+    }
 
-    return sharedResponseTypes.OK(req, res, contentType, msg, docs, totalCount);
+    return sharedResponseTypes.OK(
+        req,
+        res,
+        contentType,
+        msg,
+        docs,
+        pagination,
+        facetCounts
+    );
 };
 
 export default getDocumentsList;
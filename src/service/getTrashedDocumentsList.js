@@ -0,0 +1,32 @@
+import softDelete from '../lib/softDelete.js';
+
+import getDocumentsList from './getDocumentsList.js';
+
+// Lists soft-deleted documents with the same filters, sorting and pagination as the regular list
+const getTrashedDocumentsList = async (
+    req,
+    res,
+    model,
+    uniqueFields,
+    modelNameInSentenceCase,
+    getPopulatedDocument,
+    referenceFields,
+    rules,
+    entityOptions
+) => {
+    req.accessFilter = { ...req.accessFilter, ...softDelete.trashedFilter };
+
+    return getDocumentsList(
+        req,
+        res,
+        model,
+        uniqueFields,
+        `Trashed ${modelNameInSentenceCase.toLowerCase()}`,
+        getPopulatedDocument,
+        referenceFields,
+        rules,
+        { ...entityOptions, softDelete: null }
+    );
+};
+
+export default getTrashedDocumentsList;
@@ -0,0 +1,307 @@
+import contentTypes from 'content-types-lite';
+
+import AUDIT_ACTIONS from '../constants/auditActions.js';
+import BULK_ITEM_STATUS from '../constants/bulkItemStatus.js';
+import auditTrail from '../lib/auditTrail.js';
+import bulkOperations from '../lib/bulkOperations.js';
+import dataImport from '../lib/dataImport.js';
+import softDelete from '../lib/softDelete.js';
+import getBooleanValue from '../utils/getBooleanValue.js';
+import sharedResponseTypes from '../utils/responseTypes.js';
+
+// Write entries in batches; a failing write only fails its own row
+const writeInBatches = async (entries, batchSize, write) => {
+    for (let start = 0; start < entries.length; start += batchSize) {
+        const batch = entries.slice(start, start + batchSize);
+
+        try {
+            await write(batch);
+        } catch (error) {
+            if (!error.writeErrors) throw error;
+
+            []
+                .concat(error.writeErrors)
+                .forEach((writeError) =>
+                    bulkOperations.fail(batch[writeError.index].result, [
+                        { field: 'unknown', message: writeError.errmsg },
+                    ])
+                );
+        }
+    }
+};
+
+const importDocuments = async (
+    req,
+    res,
+    model,
+    uniqueFields,
+    modelNameInSentenceCase,
+    getPopulatedDocument,
+    referenceFields,
+    rules,
+    entityOptions
+) => {
+    const contentType = rules?.response?.contentType || contentTypes.JSON;
+    const options = entityOptions.import || dataImport.getOptions(true);
+    const { columns, rows } = req.importFile;
+    const dryRun = getBooleanValue(req.query.dryRun);
+    const upsertBy = req.query.upsertBy || options.upsertBy;
+
+    // 🔹 Check the file as a whole before looking at single rows
+    let fileError = null;
+    if (rows.length === 0) {
+        fileError = 'The import file has no rows.';
+    } else if (rows.length > options.maxRows) {
+        fileError = `At most ${options.maxRows} rows can be imported at once, received ${rows.length}.`;
+    } else if (upsertBy && !uniqueFields.includes(upsertBy)) {
+        fileError = `"${upsertBy}" cannot be used to match existing ${modelNameInSentenceCase}s. Use one of the unique fields: ${uniqueFields.join(', ') || 'none'}.`;
+    }
+
+    const { fieldByColumn, ignoredColumns } = dataImport.mapColumns(
+        columns,
+        model,
+        options.columns
+    );
+    if (
+        !fileError &&
+        upsertBy &&
+        !Object.values(fieldByColumn).includes(upsertBy)
+    ) {
+        fileError = `The import file has no column for "${upsertBy}".`;
+    }
+    if (fileError) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: ${fileError}`
+        );
+    }
+
+    const results = bulkOperations.createResults(rows);
+
+    // 🔹 Map every row onto the schema and validate it against the entity's create schema
+    const entries = rows.map((row, index) => {
+        const result = results[index];
+        result.line = row.line;
+
+        if (row.errors.length) {
+            bulkOperations.fail(result, row.errors);
+            return { result, values: {} };
+        }
+
+        const validationResult = req.itemSchema.safeParse({
+            ...dataImport.toRecord(row.values, fieldByColumn, model),
+            ...req.ownerValues,
+        });
+        if (!validationResult.success) {
+            bulkOperations.fail(
+                result,
+                bulkOperations.formatZodErrors(validationResult.error)
+            );
+            return { result, values: {} };
+        }
+
+        return { result, values: validationResult.data };
+    });
+
+    // 🔹 With `upsertBy`, rows matching an existing document update it instead.
+    // Only documents that are not in the trash and belong to the caller (owner routes) match.
+    const upsertFilter = {
+        ...softDelete.activeFilter(entityOptions),
+        ...req.ownerValues,
+    };
+    const existingDocsByKey = new Map();
+    if (upsertBy) {
+        const keys = entries
+            .filter(({ result }) => bulkOperations.isPending(result))
+            .map(({ values }) => values[upsertBy])
+            .filter((key) => key !== undefined);
+        const existingDocs = await model.find({
+            [upsertBy]: { $in: keys },
+            ...upsertFilter,
+        });
+
+        existingDocs.forEach((doc) =>
+            existingDocsByKey.set(String(doc[upsertBy]), doc)
+        );
+        entries.forEach((entry) => {
+            entry.id = existingDocsByKey
+                .get(String(entry.values[upsertBy]))
+                ?._id.toString();
+        });
+    }
+
+    // 🔹 Check uniqueness constraints within the file and against the database
+    await bulkOperations.checkUniqueFields(model, entries, uniqueFields);
+
+    // 🔹 Check that the referenced documents exist
+    await bulkOperations.checkReferences(model, entries);
+
+    // 🔹 Run the Mongoose validators on the new or updated documents
+    const inserts = [];
+    const updates = [];
+    entries
+        .filter(({ result }) => bulkOperations.isPending(result))
+        .forEach(({ result, values, id }) => {
+            const existingDoc =
+                id && existingDocsByKey.get(String(values[upsertBy]));
+            const before = existingDoc?.toObject({ depopulate: true });
+            const doc = existingDoc
+                ? existingDoc.set(values)
+                : new model(values);
+            const validationError = doc.validateSync();
+
+            if (validationError) {
+                bulkOperations.fail(
+                    result,
+                    bulkOperations.formatMongooseErrors(validationError)
+                );
+            } else {
+                (existingDoc ? updates : inserts).push({
+                    result,
+                    id,
+                    values,
+                    before,
+                    doc,
+                });
+            }
+        });
+
+    // 🔹 A dry run reports what would happen without writing anything
+    if (dryRun) {
+        inserts.forEach(({ result }) => {
+            result.status = BULK_ITEM_STATUS.CREATED;
+        });
+        updates.forEach(({ result, id }) => {
+            result.status = BULK_ITEM_STATUS.UPDATED;
+            result.id = id;
+        });
+
+        const summary = bulkOperations.summarize(results);
+        const msg = `Success: Dry run of ${rows.length} ${modelNameInSentenceCase} row${rows.length !== 1 ? 's' : ''}: ${inserts.length} would be created, ${updates.length} updated and ${summary.failed} failed. Nothing was written.`;
+        return sharedResponseTypes.OK(req, res, contentType, msg, {
+            dryRun: true,
+            ...summary,
+            created: inserts.length,
+            updated: updates.length,
+            ignoredColumns,
+            results,
+        });
+    }
+
+    // 🔹 Insert and update in batches
+    await writeInBatches(inserts, options.batchSize, (batch) =>
+        model.insertMany(
+            batch.map(({ doc }) => doc),
+            { ordered: false }
+        )
+    );
+    await writeInBatches(updates, options.batchSize, async (batch) => {
+        const { matchedCount } = await model.bulkWrite(
+            batch.map(({ id, values }) => ({
+                updateOne: {
+                    filter: { _id: id, ...upsertFilter },
+                    update: { $set: values },
+                },
+            })),
+            { ordered: false }
+        );
+        if (matchedCount === batch.length) return;
+
+        // Documents deleted or moved to the trash since they were looked up are left alone
+        const matchingIds = new Set(
+            (
+                await model
+                    .find({
+                        _id: { $in: batch.map(({ id }) => id) },
+                        ...upsertFilter,
+                    })
+                    .select('_id')
+            ).map(({ _id }) => _id.toString())
+        );
+        batch
+            .filter(({ id }) => !matchingIds.has(id))
+            .forEach(({ result, values }) =>
+                bulkOperations.fail(result, [
+                    {
+                        field: upsertBy,
+                        message: `${modelNameInSentenceCase} with ${upsertBy} "${values[upsertBy]}" no longer exists.`,
+                    },
+                ])
+            );
+    });
+
+    const createdEntries = inserts.filter(({ result }) =>
+        bulkOperations.isPending(result)
+    );
+    const updatedEntries = updates.filter(({ result }) =>
+        bulkOperations.isPending(result)
+    );
+    createdEntries.forEach(({ result, doc }) => {
+        result.status = BULK_ITEM_STATUS.CREATED;
+        result.id = doc._id;
+    });
+    updatedEntries.forEach(({ result, id }) => {
+        result.status = BULK_ITEM_STATUS.UPDATED;
+        result.id = id;
+    });
+
+    // 🔹 Record what changed
+    if (auditTrail.isEnabled(entityOptions)) {
+        const updatedDocs = updatedEntries.length
+            ? await model.find({
+                  _id: { $in: updatedEntries.map(({ id }) => id) },
+              })
+            : [];
+        const updatedDocsById = new Map(
+            updatedDocs.map((doc) => [doc._id.toString(), doc])
+        );
+
+        await Promise.all([
+            ...createdEntries.map(({ doc }) =>
+                auditTrail.record(
+                    req,
+                    entityOptions,
+                    AUDIT_ACTIONS.CREATE,
+                    null,
+                    doc,
+                    { source: 'import' }
+                )
+            ),
+            ...updatedEntries.map(({ id, before }) =>
+                auditTrail.record(
+                    req,
+                    entityOptions,
+                    AUDIT_ACTIONS.UPDATE,
+                    before,
+                    updatedDocsById.get(id),
+                    { source: 'import' }
+                )
+            ),
+        ]);
+    }
+
+    const summary = bulkOperations.summarize(results);
+    const report = {
+        ...summary,
+        created: createdEntries.length,
+        updated: updatedEntries.length,
+        ignoredColumns,
+        results,
+    };
+    if (!summary.succeeded) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: None of the ${rows.length} ${modelNameInSentenceCase} rows could be imported.`,
+            report
+        );
+    }
+
+    const msg = `Success: Imported ${rows.length} ${modelNameInSentenceCase} row${rows.length !== 1 ? 's' : ''}: ${createdEntries.length} created, ${updatedEntries.length} updated${summary.failed ? `, ${summary.failed} failed` : ''}.`;
+    return sharedResponseTypes.OK(req, res, contentType, msg, report);
+};
+
+export default importDocuments;
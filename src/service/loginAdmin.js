@@ -0,0 +1,74 @@
+import { z } from 'zod';
+import contentTypes from 'content-types-lite';
+
+import AdminModel from '../models/SystemAdmin.js';
+import authentication from '../lib/authentication.js';
+import sharedResponseTypes from '../utils/responseTypes.js';
+
+import comparePassword from '../utils/comparePassword.js';
+
+const loginSchema = z
+    .object({
+        email: z
+            .string({ required_error: 'Email is required' })
+            .email({ message: 'Invalid email format' }),
+        password: z
+            .string({ required_error: 'Password is required' })
+            .min(1, { message: 'Password is required' }),
+    })
+    .strict();
+
+const loginAdmin = async (req, res) => {
+    const contentType = contentTypes.JSON;
+
+    // 🔹 Validate the credentials payload
+    const validationResult = loginSchema.safeParse(req.body);
+    if (!validationResult.success) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: ${validationResult.error.errors[0].message}`
+        );
+    }
+
+    const { email, password } = validationResult.data;
+
+    // 🔹 Verify the admin exists and the password matches
+    const admin = await AdminModel.findOne({ email });
+    const isPasswordValid =
+        admin && (await comparePassword(password, admin.hashedPassword));
+    if (!isPasswordValid) {
+        return sharedResponseTypes.UNAUTHORIZED(
+            req,
+            res,
+            contentType,
+            'Unauthorized: Invalid email or password.'
+        );
+    }
+
+    // 🔹 Open a new session, evicting the oldest ones beyond the allowed limit
+    const session = authentication.createSession(req);
+    await AdminModel.updateOne(
+        { _id: admin._id },
+        {
+            $set: {
+                sessions: [
+                    ...authentication.pruneSessions(admin.sessions),
+                    session,
+                ],
+            },
+        }
+    );
+
+    const tokens = authentication.issueTokens(admin, session.sessionId);
+    authentication.setSessionCookie(res, tokens.accessToken);
+
+    const msg = `Success: Admin "${admin.email}" logged in successfully.`;
+    return sharedResponseTypes.OK(req, res, contentType, msg, {
+        admin: authentication.toPublicAdmin(admin),
+        ...tokens,
+    });
+};
+
+export default loginAdmin;
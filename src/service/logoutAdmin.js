@@ -0,0 +1,22 @@
+import contentTypes from 'content-types-lite';
+
+import AdminModel from '../models/SystemAdmin.js';
+import authentication from '../lib/authentication.js';
+import sharedResponseTypes from '../utils/responseTypes.js';
+
+const logoutAdmin = async (req, res) => {
+    const contentType = contentTypes.JSON;
+    const { id, sessionId } = req.user;
+
+    // 🔹 Revoke the current session so its tokens can no longer be used
+    await AdminModel.updateOne(
+        { _id: id },
+        { $pull: { sessions: { sessionId } } }
+    );
+    authentication.clearSessionCookie(res);
+
+    const msg = `Success: Admin "${req.user.email}" logged out successfully.`;
+    return sharedResponseTypes.OK(req, res, contentType, msg);
+};
+
+export default logoutAdmin;
@@ -0,0 +1,72 @@
+import contentTypes from 'content-types-lite';
+
+import AUDIT_ACTIONS from '../constants/auditActions.js';
+import auditTrail from '../lib/auditTrail.js';
+import referentialIntegrity from '../lib/referentialIntegrity.js';
+import softDelete from '../lib/softDelete.js';
+import sharedResponseTypes from '../utils/responseTypes.js';
+
+const purgeADocument = async (
+    req,
+    res,
+    model,
+    uniqueFields,
+    modelNameInSentenceCase,
+    getPopulatedDocument,
+    referenceFields,
+    rules,
+    entityOptions
+) => {
+    const contentType = rules?.response?.contentType || contentTypes.JSON;
+    const docId = req.params.id;
+
+    // 🔹 Only documents that are already in the trash can be purged
+    const trashedDoc = await model.findOne({
+        _id: docId,
+        ...softDelete.trashedFilter,
+    });
+    if (!trashedDoc) {
+        const msg = `Not Found: ${modelNameInSentenceCase} with ID "${docId}" is not in the trash.`;
+        return sharedResponseTypes.NOT_FOUND(req, res, contentType, msg);
+    }
+
+    // 🔹 Respect the entity's retention window
+    const purgeableAt = softDelete.getPurgeableAt(
+        trashedDoc.deletedAt,
+        entityOptions
+    );
+    if (purgeableAt > new Date()) {
+        const msg = `Conflict: ${modelNameInSentenceCase} with ID "${docId}" is retained until ${purgeableAt.toISOString()}.`;
+        return sharedResponseTypes.CONFLICT(req, res, contentType, msg);
+    }
+
+    // 🔹 Enforce the `onDelete` rules of references to this document
+    const { blocking } = await referentialIntegrity.deleteWithReferences(
+        req,
+        model,
+        { _id: docId },
+        (session) => model.deleteOne({ _id: docId }, { session })
+    );
+    if (blocking.length) {
+        const msg = `Conflict: ${modelNameInSentenceCase} with ID "${docId}" is still referenced by other documents. Delete or update them first.`;
+        return sharedResponseTypes.CONFLICT(
+            req,
+            res,
+            contentType,
+            msg,
+            referentialIntegrity.toErrors(blocking)
+        );
+    }
+    await auditTrail.record(
+        req,
+        entityOptions,
+        AUDIT_ACTIONS.PURGE,
+        trashedDoc,
+        null
+    );
+
+    const msg = `Success: ${modelNameInSentenceCase} with ID "${docId}" purged permanently.`;
+    return sharedResponseTypes.OK(req, res, contentType, msg);
+};
+
+export default purgeADocument;
@@ -0,0 +1,90 @@
+import contentTypes from 'content-types-lite';
+
+import AUDIT_ACTIONS from '../constants/auditActions.js';
+import auditTrail from '../lib/auditTrail.js';
+import schema from '../lib/schema.js';
+import referentialIntegrity from '../lib/referentialIntegrity.js';
+import softDelete from '../lib/softDelete.js';
+import sharedResponseTypes from '../utils/responseTypes.js';
+
+// Permanently removes trashed documents (optionally only `?ids=`) whose retention window has passed
+const purgeTrashedDocuments = async (
+    req,
+    res,
+    model,
+    uniqueFields,
+    modelNameInSentenceCase,
+    getPopulatedDocument,
+    referenceFields,
+    rules,
+    entityOptions
+) => {
+    const contentType = rules?.response?.contentType || contentTypes.JSON;
+    const purgeFilter = {
+        ...req.accessFilter,
+        ...softDelete.trashedFilter,
+    };
+
+    if (req.query.ids) {
+        const validationResult = schema.idsSchema.safeParse(req.query);
+        if (!validationResult.success) {
+            return sharedResponseTypes.BAD_REQUEST(
+                req,
+                res,
+                contentType,
+                `Bad Request: ${validationResult.error.errors[0].message}`
+            );
+        }
+
+        purgeFilter._id = { $in: validationResult.data.ids };
+    }
+
+    const retentionCutoff = softDelete.getRetentionCutoff(entityOptions);
+    if (retentionCutoff) {
+        purgeFilter.deletedAt = { $ne: null, $lte: retentionCutoff };
+    }
+
+    // Purged documents are only looked up when they have to be audited
+    const purgedDocs = auditTrail.isEnabled(entityOptions)
+        ? await model.find(purgeFilter)
+        : [];
+    // Enforce the `onDelete` rules of references to the purged documents
+    const { result, blocking } =
+        await referentialIntegrity.deleteWithReferences(
+            req,
+            model,
+            purgeFilter,
+            (session) => model.deleteMany(purgeFilter, { session })
+        );
+    if (blocking.length) {
+        return sharedResponseTypes.CONFLICT(
+            req,
+            res,
+            contentType,
+            `Conflict: Some trashed ${modelNameInSentenceCase} are still referenced by other documents. Nothing was purged.`,
+            referentialIntegrity.toErrors(blocking)
+        );
+    }
+    const { deletedCount } = result;
+    await auditTrail.recordMany(
+        req,
+        entityOptions,
+        AUDIT_ACTIONS.PURGE,
+        purgedDocs
+    );
+    if (!deletedCount) {
+        return sharedResponseTypes.NOT_FOUND(
+            req,
+            res,
+            contentType,
+            `Not Found: No trashed ${modelNameInSentenceCase} ${retentionCutoff ? `older than ${retentionCutoff.toISOString()} ` : ''}found to purge.`
+        );
+    }
+
+    const msg = `Success: ${deletedCount} ${modelNameInSentenceCase} purged permanently.`;
+    return sharedResponseTypes.OK(req, res, contentType, msg, {
+        purgedCount: deletedCount,
+    });
+};
+
+export default purgeTrashedDocuments;
@@ -0,0 +1,80 @@
+import { z } from 'zod';
+import contentTypes from 'content-types-lite';
+
+import AdminModel from '../models/SystemAdmin.js';
+import authentication from '../lib/authentication.js';
+import jwtService from '../lib/jwt.js';
+import sharedResponseTypes from '../utils/responseTypes.js';
+
+const refreshSchema = z
+    .object({
+        refreshToken: z
+            .string({ required_error: 'Refresh token is required' })
+            .min(1, { message: 'Refresh token is required' }),
+    })
+    .strict();
+
+const refreshAdminSession = async (req, res) => {
+    const contentType = contentTypes.JSON;
+
+    const validationResult = refreshSchema.safeParse(req.body);
+    if (!validationResult.success) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: ${validationResult.error.errors[0].message}`
+        );
+    }
+
+    // 🔹 Verify the refresh token signature and expiry
+    let payload;
+    try {
+        payload = jwtService.verifyRefreshToken(
+            validationResult.data.refreshToken
+        );
+    } catch {
+        return sharedResponseTypes.UNAUTHORIZED(
+            req,
+            res,
+            contentType,
+            'Unauthorized: Refresh token is invalid or has expired.'
+        );
+    }
+
+    // 🔹 Ensure the session behind the token is still active
+    const admin = await AdminModel.findById(payload.sub);
+    const currentSession = authentication.findActiveSession(admin, payload.sid);
+    if (!currentSession) {
+        return sharedResponseTypes.UNAUTHORIZED(
+            req,
+            res,
+            contentType,
+            'Unauthorized: Session has expired or been revoked.'
+        );
+    }
+
+    // 🔹 Rotate the session so the used refresh token cannot be replayed
+    const session = authentication.createSession(req);
+    await AdminModel.updateOne(
+        { _id: admin._id },
+        {
+            $set: {
+                sessions: [
+                    ...authentication
+                        .pruneSessions(admin.sessions)
+                        .filter(({ sessionId }) => sessionId !== payload.sid),
+                    session,
+                ],
+            },
+        }
+    );
+
+    const tokens = authentication.issueTokens(admin, session.sessionId);
+    authentication.setSessionCookie(res, tokens.accessToken);
+
+    const msg = `Success: Session refreshed for admin "${admin.email}".`;
+    return sharedResponseTypes.OK(req, res, contentType, msg, tokens);
+};
+
+export default refreshAdminSession;
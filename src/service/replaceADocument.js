@@ -0,0 +1,144 @@
+import contentTypes from 'content-types-lite';
+
+import AUDIT_ACTIONS from '../constants/auditActions.js';
+import auditTrail from '../lib/auditTrail.js';
+import etag from '../lib/etag.js';
+import referenceChecks from '../lib/referenceChecks.js';
+import softDelete from '../lib/softDelete.js';
+import sharedResponseTypes from '../utils/responseTypes.js';
+
+import convertToMongooseObjectId from '../utils/convertToMongooseObjectId.js';
+
+const replaceADocument = async (
+    req,
+    res,
+    model,
+    uniqueFields,
+    modelNameInSentenceCase,
+    getPopulatedDocument,
+    referenceFields,
+    rules,
+    entityOptions
+) => {
+    const responsePipeline = rules?.response?.pipeline || [];
+    const contentType = rules?.response?.contentType || contentTypes.JSON;
+    const docId = req.params.id;
+
+    // 🔹 Ensure the document exists before replacing it
+    const existingDoc = await model.findOne({
+        _id: docId,
+        ...softDelete.activeFilter(entityOptions),
+    });
+    if (!existingDoc) {
+        const msg = `Not Found: ${modelNameInSentenceCase} with ID "${docId}" does not exist.`;
+        return sharedResponseTypes.NOT_FOUND(req, res, contentType, msg);
+    }
+
+    // 🔹 Check uniqueness constraints against the other documents
+    for (const field of uniqueFields) {
+        if (req.body[field]) {
+            const conflictingDoc = await model.findOne({
+                [field]: req.body[field],
+                _id: { $ne: docId },
+            });
+            if (conflictingDoc) {
+                const msg = `Conflict: ${modelNameInSentenceCase} with ${field} "${req.body[field]}" already exists.`;
+                return sharedResponseTypes.CONFLICT(req, res, contentType, msg);
+            }
+        }
+    }
+
+    // 🔹 Check that the referenced documents exist
+    const [referenceErrors] = await referenceChecks.findInvalid(model, [
+        req.body,
+    ]);
+    if (referenceErrors.length) {
+        const msg = `Unprocessable Entity: ${modelNameInSentenceCase} refers to documents that do not exist.`;
+        return sharedResponseTypes.UNPROCESSABLE_ENTITY(
+            req,
+            res,
+            contentType,
+            msg,
+            referenceErrors
+        );
+    }
+
+    // 🔹 Replace every field, keeping the original `_id` and `createdAt`.
+    // Fields missing from the body fall back to their schema defaults.
+    const replaceResult = await etag.replace(
+        model,
+        { _id: docId, ...req.preconditionFilter },
+        { ...req.body, createdAt: existingDoc.createdAt },
+        { runValidators: true }
+    );
+    // Without If-Match, a miss means the document was removed in the meantime
+    if (!replaceResult.matchedCount && !req.preconditionFilter) {
+        const msg = `Not Found: ${modelNameInSentenceCase} with ID "${docId}" does not exist.`;
+        return sharedResponseTypes.NOT_FOUND(req, res, contentType, msg);
+    }
+    if (!replaceResult.matchedCount) {
+        const msg = `Precondition Failed: ${modelNameInSentenceCase} with ID "${docId}" was changed by another request. Fetch it again and retry.`;
+        return sharedResponseTypes.PRECONDITION_FAILED(
+            req,
+            res,
+            contentType,
+            msg
+        );
+    }
+
+    // 🔹 Record what changed
+    if (auditTrail.isEnabled(entityOptions)) {
+        await auditTrail.record(
+            req,
+            entityOptions,
+            AUDIT_ACTIONS.UPDATE,
+            existingDoc,
+            await model.findById(docId)
+        );
+    }
+
+    let replacedDoc;
+    if (responsePipeline.length) {
+        const pipeline = [...responsePipeline];
+
+        const matchIndex = pipeline.findIndex((stage) => stage.$match);
+        if (matchIndex !== -1) {
+            pipeline[matchIndex] = {
+                $match: {
+                    ...pipeline[matchIndex].$match,
+                    _id: convertToMongooseObjectId(docId),
+                },
+            };
+        } else {
+            pipeline.unshift({
+                $match: { _id: convertToMongooseObjectId(docId) },
+            });
+        }
+
+        const result = await model.aggregate(pipeline);
+        replacedDoc = result.length > 0 ? result[0] : null;
+    } else {
+        // Fetch the replaced document with populated references
+        replacedDoc = await getPopulatedDocument(docId);
+    }
+
+    if (!replacedDoc) {
+        const msg = `Not Found: ${modelNameInSentenceCase} with ID "${docId}" does not exist after replacement.`;
+        return sharedResponseTypes.NOT_FOUND(req, res, contentType, msg);
+    }
+
+    if (etag.isEnabled(entityOptions)) {
+        res.set(
+            'ETag',
+            etag.compute(
+                await model.findById(docId).select(etag.VERSION_KEY),
+                req
+            )
+        );
+    }
+
+    const msg = `Success: ${modelNameInSentenceCase} replaced with ID "${docId}".`;
+    return sharedResponseTypes.OK(req, res, contentType, msg, replacedDoc);
+};
+
+export default replaceADocument;
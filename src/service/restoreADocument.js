@@ -0,0 +1,61 @@
+import contentTypes from 'content-types-lite';
+
+import AUDIT_ACTIONS from '../constants/auditActions.js';
+import auditTrail from '../lib/auditTrail.js';
+import schema from '../lib/schema.js';
+import softDelete from '../lib/softDelete.js';
+import sharedResponseTypes from '../utils/responseTypes.js';
+
+const restoreADocument = async (
+    req,
+    res,
+    model,
+    uniqueFields,
+    modelNameInSentenceCase,
+    getPopulatedDocument,
+    referenceFields,
+    rules,
+    entityOptions
+) => {
+    const contentType = rules?.response?.contentType || contentTypes.JSON;
+    const docId = req.params.id;
+
+    const validationResult = schema.idSchema.safeParse(docId);
+    if (!validationResult.success) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: ${validationResult.error.errors[0].message}`
+        );
+    }
+
+    // 🔹 Only documents that are currently in the trash can be restored
+    const restoredDoc = await model.findOneAndUpdate(
+        { _id: docId, ...softDelete.trashedFilter },
+        softDelete.restoreUpdate
+    );
+    if (!restoredDoc) {
+        const msg = `Not Found: ${modelNameInSentenceCase} with ID "${docId}" is not in the trash.`;
+        return sharedResponseTypes.NOT_FOUND(req, res, contentType, msg);
+    }
+
+    await auditTrail.recordMany(
+        req,
+        entityOptions,
+        AUDIT_ACTIONS.RESTORE,
+        [restoredDoc],
+        softDelete.restoreUpdate
+    );
+
+    const msg = `Success: ${modelNameInSentenceCase} with ID "${docId}" restored successfully.`;
+    return sharedResponseTypes.OK(
+        req,
+        res,
+        contentType,
+        msg,
+        await getPopulatedDocument(docId)
+    );
+};
+
+export default restoreADocument;
@@ -0,0 +1,65 @@
+import contentTypes from 'content-types-lite';
+
+import AUDIT_ACTIONS from '../constants/auditActions.js';
+import auditTrail from '../lib/auditTrail.js';
+import schema from '../lib/schema.js';
+import softDelete from '../lib/softDelete.js';
+import sharedResponseTypes from '../utils/responseTypes.js';
+
+const restoreDocumentList = async (
+    req,
+    res,
+    model,
+    uniqueFields,
+    modelNameInSentenceCase,
+    getPopulatedDocument,
+    referenceFields,
+    rules,
+    entityOptions
+) => {
+    const contentType = rules?.response?.contentType || contentTypes.JSON;
+
+    // Validate the request using Zod.
+    const validationResult = schema.idsSchema.safeParse(req.query);
+    if (!validationResult.success) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: ${validationResult.error.errors[0].message}`
+        );
+    }
+
+    const docIds = validationResult.data.ids;
+
+    // 🔹 Every listed document must be in the trash
+    const trashedDocs = await model.find({
+        _id: { $in: docIds },
+        ...softDelete.trashedFilter,
+    });
+    const trashedDocIds = trashedDocs.map((doc) => doc._id.toString());
+    const missingIds = docIds.filter((id) => !trashedDocIds.includes(id));
+
+    if (missingIds.length > 0) {
+        return sharedResponseTypes.NOT_FOUND(
+            req,
+            res,
+            contentType,
+            `Not Found: The following ${modelNameInSentenceCase} ${missingIds.length > 1 ? 'IDs are' : 'ID is'} not in the trash: ${missingIds.join(', ')}. Restore aborted.`
+        );
+    }
+
+    await model.updateMany({ _id: { $in: docIds } }, softDelete.restoreUpdate);
+    await auditTrail.recordMany(
+        req,
+        entityOptions,
+        AUDIT_ACTIONS.RESTORE,
+        trashedDocs,
+        softDelete.restoreUpdate
+    );
+
+    const msg = `Success: ${modelNameInSentenceCase} with ${docIds.length > 1 ? 'IDs' : 'ID'}: ${docIds.join(', ')} restored successfully.`;
+    return sharedResponseTypes.OK(req, res, contentType, msg);
+};
+
+export default restoreDocumentList;
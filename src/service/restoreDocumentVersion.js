@@ -0,0 +1,121 @@
+import contentTypes from 'content-types-lite';
+
+import AuditLog from '../models/AuditLog.js';
+import AUDIT_ACTIONS from '../constants/auditActions.js';
+import schema from '../lib/schema.js';
+import auditTrail from '../lib/auditTrail.js';
+import etag from '../lib/etag.js';
+import softDelete from '../lib/softDelete.js';
+import sharedResponseTypes from '../utils/responseTypes.js';
+
+import getIntValue from '../utils/getIntValue.js';
+
+// Fields that belong to the stored document rather than to a version of it.
+// Soft delete markers are left out so that the restored document is not in the trash.
+const managedFields = [
+    '_id',
+    '__v',
+    'createdAt',
+    'updatedAt',
+    ...Object.keys(softDelete.schemaFields),
+];
+
+const restoreDocumentVersion = async (
+    req,
+    res,
+    model,
+    uniqueFields,
+    modelNameInSentenceCase,
+    getPopulatedDocument,
+    referenceFields,
+    rules,
+    entityOptions
+) => {
+    const contentType = rules?.response?.contentType || contentTypes.JSON;
+    const docId = req.params.id;
+    const version = getIntValue(req.params.version);
+
+    // 🔹 Validate the document ID and version number
+    const validationResult = schema.idSchema.safeParse(docId);
+    if (!validationResult.success) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: ${validationResult.error.errors[0].message}`
+        );
+    }
+    if (isNaN(version) || version <= 0) {
+        const msg = `Bad Request: The version must be a positive integer.`;
+        return sharedResponseTypes.BAD_REQUEST(req, res, contentType, msg);
+    }
+
+    const auditEntry = await AuditLog.findOne({
+        entity: entityOptions.entityName,
+        documentId: docId,
+        version,
+    });
+    if (!auditEntry) {
+        const msg = `Not Found: Version ${version} of ${modelNameInSentenceCase} with ID "${docId}" does not exist.`;
+        return sharedResponseTypes.NOT_FOUND(req, res, contentType, msg);
+    }
+    if (!auditEntry.snapshot) {
+        const msg = `Bad Request: Version ${version} of ${modelNameInSentenceCase} with ID "${docId}" removed the document and cannot be restored. Restore an earlier version instead.`;
+        return sharedResponseTypes.BAD_REQUEST(req, res, contentType, msg);
+    }
+
+    const values = Object.fromEntries(
+        Object.entries(auditEntry.snapshot).filter(
+            ([field]) => !managedFields.includes(field)
+        )
+    );
+
+    // 🔹 Check uniqueness constraints against the other documents
+    for (const field of uniqueFields) {
+        if (values[field] !== undefined && values[field] !== null) {
+            const conflictingDoc = await model.findOne({
+                [field]: values[field],
+                _id: { $ne: docId },
+            });
+            if (conflictingDoc) {
+                const msg = `Conflict: ${modelNameInSentenceCase} with ${field} "${values[field]}" already exists.`;
+                return sharedResponseTypes.CONFLICT(req, res, contentType, msg);
+            }
+        }
+    }
+
+    // 🔹 Replace the current state, or bring back a document that was removed.
+    // Either way the snapshot must pass the current schema validation.
+    const currentDoc = await model.findById(docId);
+    if (currentDoc) {
+        await etag.replace(
+            model,
+            { _id: docId },
+            { ...values, createdAt: currentDoc.createdAt },
+            { runValidators: true }
+        );
+    } else {
+        await model.create({ ...values, _id: docId });
+    }
+
+    const restoredDoc = await model.findById(docId);
+    await auditTrail.record(
+        req,
+        entityOptions,
+        AUDIT_ACTIONS.RESTORE,
+        currentDoc,
+        restoredDoc,
+        { restoredVersion: version }
+    );
+
+    const msg = `Success: ${modelNameInSentenceCase} with ID "${docId}" restored to version ${version}.`;
+    return sharedResponseTypes.OK(
+        req,
+        res,
+        contentType,
+        msg,
+        await restoredDoc.populate(referenceFields)
+    );
+};
+
+export default restoreDocumentVersion;
@@ -0,0 +1,236 @@
+import mongoose from 'mongoose';
+import contentTypes from 'content-types-lite';
+
+import AUTH_ACCESS from '../constants/authAccess.js';
+import HTTP_METHODS from '../constants/httpMethods.js';
+import configuration from '../configuration/configuration.js';
+import defaultRoutesRules from '../rules/defaultRoutesRules.js';
+import logger from '../lib/logger.js';
+import softDelete from '../lib/softDelete.js';
+import textSearch from '../lib/textSearch.js';
+import convertToMongooseObjectId from '../utils/convertToMongooseObjectId.js';
+import getEntityAuthRules from '../utils/getEntityAuthRules.js';
+import sharedResponseTypes from '../utils/responseTypes.js';
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+
+// The filter the user's search is limited to on an entity, following its list route's
+// auth rule; null when the user may not list the entity at all
+const getAccessFilter = ({ access, roles = [], ownerField }, user) => {
+    switch (access) {
+        case AUTH_ACCESS.PUBLIC:
+            return {};
+        case AUTH_ACCESS.AUTHENTICATED:
+            return user ? {} : null;
+        case AUTH_ACCESS.ROLES:
+            return roles.includes(user?.role) ? {} : null;
+        case AUTH_ACCESS.OWNER:
+            return user
+                ? { [ownerField]: convertToMongooseObjectId(user.id) }
+                : null;
+        default:
+            return null;
+    }
+};
+
+// Entities taking part in the search: they have searchable fields, a list route the
+// user may read and did not opt out with `globalSearch: false`
+const getSearchTargets = (user, entityNames) =>
+    Object.entries(configuration.routes).flatMap(
+        ([entityName, entityConfig]) => {
+            const model = mongoose.models[entityName];
+            if (
+                entityConfig.globalSearch === false ||
+                (entityNames && !entityNames.includes(entityName)) ||
+                !model ||
+                !textSearch.getSearchableFields(model.schema).length
+            ) {
+                return [];
+            }
+
+            const routeConfigs = entityConfig.routes?.length
+                ? entityConfig.routes
+                : defaultRoutesRules.routes;
+            const listRoute = routeConfigs.find(
+                (route) => route.handler?.name === 'getDocumentsList'
+            );
+            const accessFilter =
+                listRoute &&
+                getAccessFilter(
+                    listRoute.rules?.auth ||
+                        getEntityAuthRules(routeConfigs, HTTP_METHODS.GET),
+                    user
+                );
+            if (!accessFilter) return [];
+
+            return [
+                {
+                    entityName,
+                    model,
+                    accessFilter,
+                    activeFilter: softDelete.activeFilter({
+                        softDelete: softDelete.getOptions(
+                            entityConfig.softDelete
+                        ),
+                    }),
+                    allowedFields: listRoute.rules?.response?.allowedFields,
+                },
+            ];
+        }
+    );
+
+const searchEntity = async (
+    { entityName, model, accessFilter, activeFilter, allowedFields },
+    search,
+    limit
+) => {
+    // Only searchable fields the list route lets clients see are returned
+    const fields = search.fields.filter(
+        (field) => !allowedFields || allowedFields.includes(field)
+    );
+    const docs = await model
+        .find({ ...search.filter, ...activeFilter, ...accessFilter })
+        .select({
+            ...Object.fromEntries(fields.map((field) => [field, 1])),
+            score: { $meta: 'textScore' },
+        })
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(limit)
+        .lean();
+
+    return docs.map(({ score, ...document }) => ({
+        id: document._id,
+        score,
+        link: `/api/${entityName}/${document._id}`,
+        document,
+        ...(search.highlight && {
+            highlights: textSearch.highlight(document, { ...search, fields }),
+        }),
+    }));
+};
+
+const searchAllEntities = async (req, res) => {
+    const contentType = contentTypes.JSON;
+    const { q, limit = DEFAULT_LIMIT, entities, highlight } = req.query;
+    const parsedLimit = Number(limit);
+    const entityNames =
+        entities === undefined
+            ? null
+            : String(entities)
+                  .split(',')
+                  .map((name) => name.trim())
+                  .filter(Boolean);
+
+    // 🔹 Validate the search parameters
+    let error = null;
+    if (q === undefined || String(q).trim() === '') {
+        error = 'The "q" parameter is required.';
+    } else if (
+        !Number.isInteger(parsedLimit) ||
+        parsedLimit < 1 ||
+        parsedLimit > MAX_LIMIT
+    ) {
+        error = `"limit" must be a whole number between 1 and ${MAX_LIMIT}.`;
+    } else if (entityNames) {
+        const unknownEntities = entityNames.filter(
+            (name) => !configuration.routes[name]
+        );
+        if (unknownEntities.length) {
+            error = `Unknown entit${unknownEntities.length !== 1 ? 'ies' : 'y'}: ${unknownEntities.join(', ')}.`;
+        }
+    }
+    if (error) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: ${error}`
+        );
+    }
+
+    // 🔹 Only entities the user may list are searched, limited to what their list shows them
+    const targets = getSearchTargets(req.user, entityNames);
+    const searches = targets.map(({ model }) =>
+        textSearch.parse({ q, highlight }, model)
+    );
+    // The text is the same for every entity, so the first problem found is enough
+    const searchErrors = searches.find(({ errors }) => errors.length)?.errors;
+    if (searchErrors) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: Invalid search.`,
+            searchErrors
+        );
+    }
+
+    // 🔹 Fan out; an entity that fails (e.g. its text index is still building) is reported, never read as no match
+    const outcomes = await Promise.all(
+        targets.map(async (target, index) => {
+            try {
+                const results = await searchEntity(
+                    target,
+                    searches[index].search,
+                    parsedLimit
+                );
+                return {
+                    entity: target.entityName,
+                    topScore: results[0]?.score ?? 0,
+                    count: results.length,
+                    results,
+                };
+            } catch (searchError) {
+                logger.error(
+                    `Search of ${target.entityName} failed: ${searchError.message}`
+                );
+                return { entity: target.entityName, failed: true };
+            }
+        })
+    );
+    const failures = outcomes
+        .filter(({ failed }) => failed)
+        .map(({ entity }) => ({
+            field: entity,
+            message: `Searching ${entity} failed.`,
+        }));
+    const groups = outcomes
+        .filter(({ count }) => count)
+        // Entities with the best matches come first
+        .sort((a, b) => b.topScore - a.topScore);
+
+    const resultCount = groups.reduce((sum, { count }) => sum + count, 0);
+    // Without results, a failed entity might have held the matches
+    if (!resultCount && failures.length) {
+        return sharedResponseTypes.SERVICE_UNAVAILABLE(
+            req,
+            res,
+            contentType,
+            `Service Unavailable: Searching ${failures.map(({ field }) => field).join(', ')} failed.`,
+            failures
+        );
+    }
+    if (!resultCount) {
+        return sharedResponseTypes.NOT_FOUND(
+            req,
+            res,
+            contentType,
+            `Not Found: Nothing matches "${q}" in ${targets.map(({ entityName }) => entityName).join(', ') || 'any searchable entity'}.`
+        );
+    }
+
+    const msg = `Success: ${resultCount} result${resultCount !== 1 ? 's' : ''} for "${q}" in ${groups.length} entit${groups.length !== 1 ? 'ies' : 'y'}${failures.length ? `; searching ${failures.map(({ field }) => field).join(', ')} failed` : ''}.`;
+    return sharedResponseTypes.OK(
+        req,
+        res,
+        contentType,
+        msg,
+        groups,
+        {},
+        undefined,
+        failures.length ? failures : {}
+    );
+};
+
+export default searchAllEntities;
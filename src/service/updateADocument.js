@@ -1,5 +1,10 @@
 import contentTypes from 'content-types-lite';
 
+import AUDIT_ACTIONS from '../constants/auditActions.js';
+import auditTrail from '../lib/auditTrail.js';
+import etag from '../lib/etag.js';
+import referenceChecks from '../lib/referenceChecks.js';
+import softDelete from '../lib/softDelete.js';
 import sharedResponseTypes from '../utils/responseTypes.js';
 
 import convertToMongooseObjectId from '../utils/convertToMongooseObjectId.js';
@@ -12,14 +17,18 @@ const updateADocument = async (
     modelNameInSentenceCase,
     getPopulatedDocument,
     referenceFields,
-    rules
+    rules,
+    entityOptions
 ) => {
     const responsePipeline = rules?.response?.pipeline || [];
     const contentType = rules?.response?.contentType || contentTypes.JSON;
     const docId = req.params.id;
 
     // 🔹 Ensure the document exists before updating
-    const existingDoc = await model.findById(docId);
+    const existingDoc = await model.findOne({
+        _id: docId,
+        ...softDelete.activeFilter(entityOptions),
+    });
     if (!existingDoc) {
         const msg = `Not Found: ${modelNameInSentenceCase} with ID "${docId}" does not exist.`;
         return sharedResponseTypes.NOT_FOUND(req, res, contentType, msg);
@@ -43,8 +52,51 @@ const updateADocument = async (
         }
     }
 
-    // 🔹 Perform the update operation
-    await model.updateOne({ _id: docId }, req.body);
+    // 🔹 Check that the referenced documents exist
+    const [referenceErrors] = await referenceChecks.findInvalid(model, [
+        req.body,
+    ]);
+    if (referenceErrors.length) {
+        const msg = `Unprocessable Entity: ${modelNameInSentenceCase} refers to documents that do not exist.`;
+        return sharedResponseTypes.UNPROCESSABLE_ENTITY(
+            req,
+            res,
+            contentType,
+            msg,
+            referenceErrors
+        );
+    }
+
+    // 🔹 Perform the update operation (only if If-Match still holds, when given)
+    const updateResult = await model.updateOne(
+        { _id: docId, ...req.preconditionFilter },
+        req.body
+    );
+    // Without If-Match, a miss means the document was removed in the meantime
+    if (!updateResult.matchedCount && !req.preconditionFilter) {
+        const msg = `Not Found: ${modelNameInSentenceCase} with ID "${docId}" does not exist.`;
+        return sharedResponseTypes.NOT_FOUND(req, res, contentType, msg);
+    }
+    if (!updateResult.matchedCount) {
+        const msg = `Precondition Failed: ${modelNameInSentenceCase} with ID "${docId}" was changed by another request. Fetch it again and retry.`;
+        return sharedResponseTypes.PRECONDITION_FAILED(
+            req,
+            res,
+            contentType,
+            msg
+        );
+    }
+
+    // 🔹 Record what changed
+    if (auditTrail.isEnabled(entityOptions)) {
+        await auditTrail.record(
+            req,
+            entityOptions,
+            AUDIT_ACTIONS.UPDATE,
+            existingDoc,
+            await model.findById(docId)
+        );
+    }
 
     let updatedDoc;
     if (responsePipeline) {
@@ -74,6 +126,16 @@ const updateADocument = async (
         return sharedResponseTypes.NOT_FOUND(req, res, contentType, msg);
     }
 
+    if (etag.isEnabled(entityOptions)) {
+        res.set(
+            'ETag',
+            etag.compute(
+                await model.findById(docId).select(etag.VERSION_KEY),
+                req
+            )
+        );
+    }
+
     const msg = `Success: ${modelNameInSentenceCase} updated with ID "${docId}".`;
     return sharedResponseTypes.OK(req, res, contentType, msg, updatedDoc);
 };
@@ -0,0 +1,203 @@
+import contentTypes from 'content-types-lite';
+
+import AUDIT_ACTIONS from '../constants/auditActions.js';
+import BULK_ITEM_STATUS from '../constants/bulkItemStatus.js';
+import auditTrail from '../lib/auditTrail.js';
+import bulkOperations from '../lib/bulkOperations.js';
+import softDelete from '../lib/softDelete.js';
+import sharedResponseTypes from '../utils/responseTypes.js';
+
+// Applies a batch of partial updates, each item being `{ id, ...fields }`
+const updateDocuments = async (
+    req,
+    res,
+    model,
+    uniqueFields,
+    modelNameInSentenceCase,
+    getPopulatedDocument,
+    referenceFields,
+    rules,
+    entityOptions
+) => {
+    const contentType = rules?.response?.contentType || contentTypes.JSON;
+    const bulkOptions = bulkOperations.getOptions(req, rules);
+    const items = req.body;
+
+    const payloadError = bulkOperations.checkPayload(items, bulkOptions);
+    if (payloadError) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: ${payloadError}`
+        );
+    }
+
+    const results = bulkOperations.createResults(items);
+
+    // 🔹 Validate every item against the entity's update schema
+    const firstIndexById = new Map();
+    const entries = items.map((item, index) => {
+        const result = results[index];
+        const validationResult = req.itemSchema.safeParse(item);
+        if (!validationResult.success) {
+            bulkOperations.fail(
+                result,
+                bulkOperations.formatZodErrors(validationResult.error)
+            );
+            return { result, values: {} };
+        }
+
+        const { id, ...values } = validationResult.data;
+        if (firstIndexById.has(id)) {
+            bulkOperations.fail(result, [
+                {
+                    field: 'id',
+                    message: `ID "${id}" is already updated by item ${firstIndexById.get(id)} of this batch.`,
+                },
+            ]);
+        } else {
+            firstIndexById.set(id, index);
+        }
+
+        return { result, id, values };
+    });
+
+    // 🔹 Ensure the documents exist (and are visible to the caller)
+    const existingDocs = await model.find({
+        _id: { $in: [...firstIndexById.keys()] },
+        ...softDelete.activeFilter(entityOptions),
+        ...req.accessFilter,
+    });
+    const existingDocsById = new Map(
+        existingDocs.map((doc) => [doc._id.toString(), doc])
+    );
+    entries
+        .filter(({ result }) => bulkOperations.isPending(result))
+        .forEach(({ result, id }) => {
+            if (!existingDocsById.has(id)) {
+                bulkOperations.fail(result, [
+                    {
+                        field: 'id',
+                        message: `${modelNameInSentenceCase} with ID "${id}" does not exist.`,
+                    },
+                ]);
+            }
+        });
+
+    // 🔹 Check uniqueness constraints within the batch and against the database
+    await bulkOperations.checkUniqueFields(model, entries, uniqueFields);
+
+    // 🔹 Check that the referenced documents exist
+    await bulkOperations.checkReferences(model, entries);
+
+    // 🔹 Run the Mongoose validators and the entity's `schemaRules` on the updated documents
+    const pendingEntries = [];
+    entries
+        .filter(({ result }) => bulkOperations.isPending(result))
+        .forEach(({ result, id, values }) => {
+            const doc = existingDocsById.get(id);
+            const before = doc.toObject({ depopulate: true });
+            const validationError = doc.set(values).validateSync();
+            const rulesResult = req.mergedItemSchema?.safeParse(
+                doc.toObject({ depopulate: true })
+            );
+            if (validationError) {
+                bulkOperations.fail(
+                    result,
+                    bulkOperations.formatMongooseErrors(validationError)
+                );
+            } else if (rulesResult && !rulesResult.success) {
+                bulkOperations.fail(
+                    result,
+                    bulkOperations.formatZodErrors(rulesResult.error)
+                );
+            } else {
+                pendingEntries.push({ result, id, values, before });
+            }
+        });
+
+    const { failed } = bulkOperations.summarize(results);
+    if (failed && (bulkOptions.atomic || !pendingEntries.length)) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: ${failed} of ${items.length} ${modelNameInSentenceCase} item${items.length !== 1 ? 's' : ''} failed validation. Nothing was updated.`,
+            results
+        );
+    }
+
+    // 🔹 Apply the updates. In atomic mode a write error aborts the transaction, so none are kept.
+    const operations = pendingEntries.map(({ id, values }) => ({
+        updateOne: { filter: { _id: id }, update: { $set: values } },
+    }));
+    try {
+        if (bulkOptions.atomic) {
+            await bulkOperations.inTransaction((session) =>
+                model.bulkWrite(operations, { ordered: true, session })
+            );
+        } else {
+            await model.bulkWrite(operations, { ordered: false });
+        }
+    } catch (error) {
+        if (!error.writeErrors || bulkOptions.atomic) throw error;
+
+        []
+            .concat(error.writeErrors)
+            .forEach((writeError) =>
+                bulkOperations.fail(pendingEntries[writeError.index].result, [
+                    { field: 'unknown', message: writeError.errmsg },
+                ])
+            );
+    }
+
+    const updatedEntries = pendingEntries.filter(({ result }) =>
+        bulkOperations.isPending(result)
+    );
+    updatedEntries.forEach(({ result, id }) => {
+        result.status = BULK_ITEM_STATUS.UPDATED;
+        result.id = id;
+    });
+
+    // 🔹 Record what changed
+    if (auditTrail.isEnabled(entityOptions) && updatedEntries.length) {
+        const updatedDocs = await model.find({
+            _id: { $in: updatedEntries.map(({ id }) => id) },
+        });
+        const updatedDocsById = new Map(
+            updatedDocs.map((doc) => [doc._id.toString(), doc])
+        );
+
+        await Promise.all(
+            updatedEntries.map(({ id, before }) =>
+                auditTrail.record(
+                    req,
+                    entityOptions,
+                    AUDIT_ACTIONS.UPDATE,
+                    before,
+                    updatedDocsById.get(id)
+                )
+            )
+        );
+    }
+
+    const summary = bulkOperations.summarize(results);
+    if (!summary.succeeded) {
+        return sharedResponseTypes.BAD_REQUEST(
+            req,
+            res,
+            contentType,
+            `Bad Request: None of the ${items.length} ${modelNameInSentenceCase} items could be updated.`,
+            results
+        );
+    }
+
+    const msg = `Success: ${summary.succeeded} of ${items.length} ${modelNameInSentenceCase} item${items.length !== 1 ? 's' : ''} updated${summary.failed ? `, ${summary.failed} failed` : ''}.`;
+    return sharedResponseTypes.OK(req, res, contentType, msg, {
+        ...summary,
+        results,
+    });
+};
+
+export default updateDocuments;
@@ -0,0 +1,76 @@
+// Form fields always arrive as strings; convert them to the types declared
+// in the model schema so Zod validation behaves the same as for JSON bodies.
+const coerceValue = (value, schemaPath) => {
+    if (typeof value !== 'string') return value;
+
+    switch (schemaPath?.instance) {
+        case 'Number': {
+            const number = Number(value);
+            return value.trim() !== '' && !isNaN(number) ? number : value;
+        }
+        case 'Boolean':
+            if (['true', 'false'].includes(value.toLowerCase())) {
+                return value.toLowerCase() === 'true';
+            }
+            return value;
+        case 'Date': {
+            const date = new Date(value);
+            return value.trim() !== '' && !isNaN(date.getTime()) ? date : value;
+        }
+        default:
+            return value;
+    }
+};
+
+// Parsers may build objects without a prototype (e.g. multer)
+const isPlainObject = (value) =>
+    value !== null &&
+    typeof value === 'object' &&
+    [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// `address.city=Dhaka` becomes `{ address: { city: 'Dhaka' } }`, like `address[city]=Dhaka`
+const expandDottedKeys = (values) =>
+    Object.entries(values).reduce((acc, [key, value]) => {
+        const [head, ...rest] = key.split('.');
+        if (key.split('.').some((segment) => UNSAFE_KEYS.includes(segment))) {
+            return acc;
+        }
+        if (!rest.length) {
+            acc[key] = value;
+        } else {
+            acc[head] = expandDottedKeys({
+                ...(isPlainObject(acc[head]) ? acc[head] : {}),
+                [rest.join('.')]: value,
+            });
+        }
+        return acc;
+    }, {});
+
+// Nested objects and arrays are walked with the full schema path (e.g. `address.city`)
+const coerceNested = (values, model, prefix) =>
+    Object.fromEntries(
+        Object.entries(values).map(([key, value]) => {
+            const path = `${prefix}${key}`;
+            const schemaPath = model.schema.path(path);
+
+            if (Array.isArray(value)) {
+                return [
+                    key,
+                    value.map((item) =>
+                        coerceValue(item, schemaPath?.caster ?? schemaPath)
+                    ),
+                ];
+            }
+            if (isPlainObject(value)) {
+                return [key, coerceNested(value, model, `${path}.`)];
+            }
+            return [key, coerceValue(value, schemaPath)];
+        })
+    );
+
+const coerceFormValues = (values = {}, model) =>
+    coerceNested(expandDottedKeys(values), model, '');
+
+export default coerceFormValues;
@@ -0,0 +1,20 @@
+// Read a single cookie from the raw `Cookie` header without requiring cookie-parser
+const getCookieValue = (req, name) => {
+    const cookieHeader = req?.headers?.cookie;
+    if (!cookieHeader || !name) return undefined;
+
+    const cookie = cookieHeader
+        .split(';')
+        .map((part) => part.trim())
+        .find((part) => part.startsWith(`${name}=`));
+    if (!cookie) return undefined;
+
+    // A malformed value (e.g. a stray `%`) is treated as a missing cookie
+    try {
+        return decodeURIComponent(cookie.slice(name.length + 1));
+    } catch {
+        return undefined;
+    }
+};
+
+export default getCookieValue;
@@ -0,0 +1,13 @@
+import AUTH_ACCESS from '../constants/authAccess.js';
+import defaultRoutesRules from '../rules/defaultRoutesRules.js';
+
+// Auth rule of the entity's first route with the given method that declares one,
+// falling back to the default rule for that method, then to authenticated access
+const getEntityAuthRules = (routeConfigs = [], method) =>
+    routeConfigs.find((route) => route.method === method && route.rules?.auth)
+        ?.rules.auth ||
+    defaultRoutesRules.routes.find(
+        (defaultRoute) => defaultRoute.method === method
+    )?.rules?.auth || { access: AUTH_ACCESS.AUTHENTICATED };
+
+export default getEntityAuthRules;
@@ -15,7 +15,16 @@ const CREATED = (req, res, contentType = {}, message, data = {}) =>
         {}
     );
 
-const OK = (req, res, contentType = {}, message, data = {}, pagination = {}) =>
+const OK = (
+    req,
+    res,
+    contentType = {},
+    message,
+    data = {},
+    pagination = {},
+    facets = undefined,
+    errors = {}
+) =>
     sendResponse(
         req,
         res,
@@ -25,6 +34,33 @@ const OK = (req, res, contentType = {}, message, data = {}, pagination = {}) =>
         message,
         data,
         pagination,
+        errors,
+        facets
+    );
+
+const UNAUTHORIZED = (req, res, contentType = {}, message) =>
+    sendResponse(
+        req,
+        res,
+        contentType,
+        httpStatus.UNAUTHORIZED,
+        false,
+        message,
+        {},
+        {},
+        {}
+    );
+
+const FORBIDDEN = (req, res, contentType = {}, message) =>
+    sendResponse(
+        req,
+        res,
+        contentType,
+        httpStatus.FORBIDDEN,
+        false,
+        message,
+        {},
+        {},
         {}
     );
 
@@ -41,7 +77,7 @@ const NOT_FOUND = (req, res, contentType = {}, message) =>
         {}
     );
 
-const CONFLICT = (req, res, contentType = {}, message) =>
+const CONFLICT = (req, res, contentType = {}, message, errors = {}) =>
     sendResponse(
         req,
         res,
@@ -51,10 +87,23 @@ const CONFLICT = (req, res, contentType = {}, message) =>
         message,
         {},
         {},
+        errors
+    );
+
+const PRECONDITION_FAILED = (req, res, contentType = {}, message) =>
+    sendResponse(
+        req,
+        res,
+        contentType,
+        httpStatus.PRECONDITION_FAILED,
+        false,
+        message,
+        {},
+        {},
         {}
     );
 
-const BAD_REQUEST = (req, res, contentType = {}, message) =>
+const BAD_REQUEST = (req, res, contentType = {}, message, errors = {}) =>
     sendResponse(
         req,
         res,
@@ -64,7 +113,26 @@ const BAD_REQUEST = (req, res, contentType = {}, message) =>
         message,
         {},
         {},
-        {}
+        errors
+    );
+
+const UNPROCESSABLE_ENTITY = (
+    req,
+    res,
+    contentType = {},
+    message,
+    errors = {}
+) =>
+    sendResponse(
+        req,
+        res,
+        contentType,
+        httpStatus.UNPROCESSABLE_ENTITY,
+        false,
+        message,
+        {},
+        {},
+        errors
     );
 
 const INTERNAL_SERVER_ERROR = (req, res, contentType = {}, message) =>
@@ -80,6 +148,25 @@ const INTERNAL_SERVER_ERROR = (req, res, contentType = {}, message) =>
         {}
     );
 
+const SERVICE_UNAVAILABLE = (
+    req,
+    res,
+    contentType = {},
+    message,
+    errors = {}
+) =>
+    sendResponse(
+        req,
+        res,
+        contentType,
+        httpStatus.SERVICE_UNAVAILABLE,
+        false,
+        message,
+        {},
+        {},
+        errors
+    );
+
 const UNSUPPORTED_MEDIA_TYPE = (req, res, contentType = {}, message) =>
     sendResponse(
         req,
@@ -109,10 +196,15 @@ const TOO_MANY_REQUESTS = (req, res, contentType = {}, message) =>
 const responseTypes = {
     CREATED,
     OK,
+    UNAUTHORIZED,
+    FORBIDDEN,
     NOT_FOUND,
     CONFLICT,
+    PRECONDITION_FAILED,
     BAD_REQUEST,
+    UNPROCESSABLE_ENTITY,
     INTERNAL_SERVER_ERROR,
+    SERVICE_UNAVAILABLE,
     UNSUPPORTED_MEDIA_TYPE,
     TOO_MANY_REQUESTS,
 };
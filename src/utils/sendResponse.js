@@ -1,6 +1,9 @@
 import zlib from 'zlib';
+import contentTypes from 'content-types-lite';
+import httpStatus from 'http-status-lite';
 
 import logger from '../lib/logger.js';
+import serializers from '../lib/serializers.js';
 
 const sendResponse = (
     req,
@@ -11,7 +14,8 @@ const sendResponse = (
     message,
     data,
     pagination,
-    errors
+    errors,
+    facets
 ) => {
     const route = req.url;
     const responsePayload = {
@@ -29,16 +33,38 @@ const sendResponse = (
         ...(data && { data }),
         ...(errors && { errors }),
         ...(pagination && { pagination }),
+        ...(facets && { facets }),
     };
-    // Convert response to JSON string
-    const jsonResponse = JSON.stringify(responsePayload);
-    const originalSize = Buffer.byteLength(jsonResponse, 'utf8');
+    // Pick the representation from the Accept header, preferring the route's content type
+    const responseContentType = serializers.negotiate(
+        req,
+        contentType,
+        responsePayload,
+        success
+    );
+    if (!responseContentType) {
+        return sendResponse(
+            req,
+            res,
+            contentTypes.JSON,
+            httpStatus.NOT_ACCEPTABLE,
+            false,
+            `Not Acceptable: This response is available as ${serializers.getAvailableTypes(responsePayload, contentType).join(', ')}.`,
+            {},
+            {},
+            {}
+        );
+    }
+
+    const body = serializers.serialize(responseContentType, responsePayload);
+    const originalSize = Buffer.byteLength(body, 'utf8');
+    res.setHeader('Vary', 'Accept');
 
     // Check if client supports compression
     // Safe check for `req.headers`
     const acceptEncoding = req?.headers?.['accept-encoding'] || '';
     if (acceptEncoding.includes('gzip')) {
-        zlib.gzip(jsonResponse, (err, compressed) => {
+        zlib.gzip(body, (err, compressed) => {
             if (err) {
                 logger.error('Compression Error:', err);
             }
@@ -52,12 +78,12 @@ const sendResponse = (
 
             res.setHeader('Content-Encoding', 'gzip');
             res.setHeader('Content-Length', compressedSize);
-            res.setHeader('Content-Type', contentType);
+            res.setHeader('Content-Type', responseContentType);
             res.status(status).end(compressed);
         });
     } else {
         // Send uncompressed response
-        res.status(status).json(responsePayload);
+        res.status(status).type(responseContentType).send(body);
     }
 
     logger.info(responsePayload?.status?.message);
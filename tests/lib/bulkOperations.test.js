@@ -0,0 +1,224 @@
+import { afterEach, describe, expect, jest, test } from '@jest/globals';
+import mongoose from 'mongoose';
+import { z } from 'zod';
+
+import BULK_ITEM_STATUS from '../../src/constants/bulkItemStatus.js';
+import bulkOperations from '../../src/lib/bulkOperations.js';
+import referenceChecks from '../../src/lib/referenceChecks.js';
+
+const Account = mongoose.model(
+    'BulkOperationsAccount',
+    new mongoose.Schema({ email: String, handle: String })
+);
+
+const entriesFor = (items) =>
+    bulkOperations
+        .createResults(items)
+        .map((result, index) => ({ result, values: items[index] }));
+
+// `Model.find(...).select(...)` resolving to `docs`
+const stubFind = (docs) => {
+    const find = jest.fn(() => ({ select: async () => docs }));
+    jest.spyOn(Account, 'find').mockImplementation(find);
+    return find;
+};
+
+const fakeSession = () => ({
+    withTransaction: jest.fn(async (write) => write()),
+    endSession: jest.fn(async () => {}),
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('bulkOperations.getOptions', () => {
+    test('defaults to 1000 non-atomic items', () => {
+        expect(bulkOperations.getOptions({ query: {} })).toEqual({
+            maxItems: 1000,
+            atomic: false,
+        });
+    });
+
+    test('lets the atomic parameter override the route rule', () => {
+        const rules = { request: { bulk: { maxItems: 50, atomic: true } } };
+
+        expect(bulkOperations.getOptions({ query: {} }, rules)).toEqual({
+            maxItems: 50,
+            atomic: true,
+        });
+        expect(
+            bulkOperations.getOptions({ query: { atomic: 'false' } }, rules)
+                .atomic
+        ).toBe(false);
+    });
+});
+
+describe('bulkOperations.checkPayload', () => {
+    const options = { maxItems: 2 };
+
+    test('requires a non-empty array within the item limit', () => {
+        expect(bulkOperations.checkPayload([{}], options)).toBeNull();
+        expect(bulkOperations.checkPayload({}, options)).toBe(
+            'The request body must be a non-empty array of items.'
+        );
+        expect(bulkOperations.checkPayload([], options)).toBe(
+            'The request body must be a non-empty array of items.'
+        );
+        expect(bulkOperations.checkPayload([{}, {}, {}], options)).toBe(
+            'At most 2 items can be sent at once, received 3.'
+        );
+    });
+});
+
+describe('bulkOperations results', () => {
+    test('track failures per item and summarize them', () => {
+        const results = bulkOperations.createResults(['a', 'b', 'c']);
+        bulkOperations.fail(results[1], [{ field: 'x', message: 'bad' }]);
+        results[0].status = BULK_ITEM_STATUS.CREATED;
+
+        expect(results[1]).toEqual({
+            index: 1,
+            status: BULK_ITEM_STATUS.FAILED,
+            errors: [{ field: 'x', message: 'bad' }],
+        });
+        expect(results.map(bulkOperations.isPending)).toEqual([
+            true,
+            false,
+            true,
+        ]);
+        expect(bulkOperations.summarize(results)).toEqual({
+            succeeded: 2,
+            failed: 1,
+        });
+    });
+
+    test('format Zod and Mongoose validation errors by path', () => {
+        const zodError = z
+            .object({ address: z.object({ city: z.string() }) })
+            .safeParse({ address: {} }).error;
+        const mongooseError = new Account({ email: {} }).validateSync();
+
+        expect(bulkOperations.formatZodErrors(zodError)).toEqual([
+            { field: 'address.city', message: 'Required' },
+        ]);
+        expect(bulkOperations.formatMongooseErrors(mongooseError)).toEqual([
+            {
+                field: 'email',
+                message: expect.stringContaining('Cast to string failed'),
+            },
+        ]);
+    });
+});
+
+describe('bulkOperations.checkUniqueFields', () => {
+    test('fails items repeating a value of an earlier item of the batch', async () => {
+        stubFind([]);
+        const entries = entriesFor([
+            { email: 'a@x.io' },
+            { email: 'b@x.io' },
+            { email: 'a@x.io' },
+        ]);
+
+        await bulkOperations.checkUniqueFields(Account, entries, ['email']);
+
+        expect(entries.map(({ result }) => result.errors)).toEqual([
+            [],
+            [],
+            [
+                {
+                    field: 'email',
+                    message:
+                        'email "a@x.io" is already used by item 0 of this batch.',
+                },
+            ],
+        ]);
+    });
+
+    test('fails items whose value belongs to another document', async () => {
+        const ownId = new mongoose.Types.ObjectId();
+        const find = stubFind([
+            { _id: new mongoose.Types.ObjectId(), email: 'taken@x.io' },
+            { _id: ownId, email: 'mine@x.io' },
+        ]);
+        const entries = entriesFor([
+            { email: 'taken@x.io' },
+            { email: 'mine@x.io' },
+            {},
+        ]);
+        entries[1].id = ownId;
+
+        await bulkOperations.checkUniqueFields(Account, entries, ['email']);
+
+        expect(find).toHaveBeenCalledWith({
+            email: { $in: ['taken@x.io', 'mine@x.io'] },
+        });
+        expect(entries.map(({ result }) => result.status)).toEqual([
+            BULK_ITEM_STATUS.FAILED,
+            null,
+            null,
+        ]);
+        expect(entries[0].result.errors[0].message).toBe(
+            'email "taken@x.io" already exists.'
+        );
+    });
+
+    test('skips the lookup when no item sets the field', async () => {
+        const find = stubFind([]);
+
+        await bulkOperations.checkUniqueFields(Account, entriesFor([{}]), [
+            'handle',
+        ]);
+
+        expect(find).not.toHaveBeenCalled();
+    });
+});
+
+describe('bulkOperations.checkReferences', () => {
+    test('only checks pending items and fails those with broken references', async () => {
+        const findInvalid = jest
+            .spyOn(referenceChecks, 'findInvalid')
+            .mockResolvedValue([
+                [],
+                [{ field: 'owner', message: 'does not exist' }],
+            ]);
+        const entries = entriesFor([{ n: 1 }, { n: 2 }, { n: 3 }]);
+        bulkOperations.fail(entries[0].result, []);
+
+        await bulkOperations.checkReferences(Account, entries);
+
+        expect(findInvalid).toHaveBeenCalledWith(Account, [{ n: 2 }, { n: 3 }]);
+        expect(entries[1].result.status).toBeNull();
+        expect(entries[2].result.errors).toEqual([
+            { field: 'owner', message: 'does not exist' },
+        ]);
+    });
+});
+
+describe('bulkOperations.inTransaction', () => {
+    test('passes the session to the write and returns its result', async () => {
+        const session = fakeSession();
+        bulkOperations.initialize({ startSession: async () => session });
+
+        await expect(
+            bulkOperations.inTransaction(async (writeSession) => {
+                expect(writeSession).toBe(session);
+                return 'written';
+            })
+        ).resolves.toBe('written');
+        expect(session.withTransaction).toHaveBeenCalledTimes(1);
+        expect(session.endSession).toHaveBeenCalledTimes(1);
+    });
+
+    test('rethrows a failed write and still ends the session', async () => {
+        const session = fakeSession();
+        bulkOperations.initialize({ startSession: async () => session });
+
+        await expect(
+            bulkOperations.inTransaction(async () => {
+                throw new Error('duplicate key');
+            })
+        ).rejects.toThrow('duplicate key');
+        expect(session.endSession).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,210 @@
+import { describe, expect, test } from '@jest/globals';
+import mongoose from 'mongoose';
+
+import paginationModes from '../../src/constants/paginationModes.js';
+import cursorPagination from '../../src/lib/cursorPagination.js';
+
+const { NEXT, PREV } = cursorPagination;
+
+const docs = [
+    { _id: 1, price: 5, name: 'a' },
+    { _id: 2, price: 5, name: 'b' },
+    { _id: 3, price: 7, name: 'c' },
+];
+
+describe('cursorPagination.parseSort', () => {
+    test('adds _id as a tie-breaker in the direction of the first field', () => {
+        expect(cursorPagination.parseSort('-price, name')).toEqual({
+            price: -1,
+            name: 1,
+            _id: -1,
+        });
+        expect(cursorPagination.parseSort()).toEqual({ _id: 1 });
+        expect(cursorPagination.parseSort('name,-_id')).toEqual({
+            name: 1,
+            _id: -1,
+        });
+    });
+
+    test('is undone by reverseSort', () => {
+        expect(cursorPagination.reverseSort({ price: -1, _id: 1 })).toEqual({
+            price: 1,
+            _id: -1,
+        });
+    });
+});
+
+describe('cursorPagination.getOptions', () => {
+    test('uses offset mode with totals by default', () => {
+        expect(cursorPagination.getOptions({})).toEqual({
+            mode: paginationModes.OFFSET,
+            includeTotal: true,
+        });
+    });
+
+    test('switches to cursor mode without totals on a cursor parameter or route rule', () => {
+        const cursorRules = {
+            response: { pagination: { mode: paginationModes.CURSOR } },
+        };
+
+        expect(cursorPagination.getOptions({ cursor: '' })).toEqual({
+            mode: paginationModes.CURSOR,
+            includeTotal: false,
+        });
+        expect(cursorPagination.getOptions({}, cursorRules)).toEqual({
+            mode: paginationModes.CURSOR,
+            includeTotal: false,
+        });
+    });
+
+    test('lets the total parameter override the route default', () => {
+        const rules = { response: { pagination: { includeTotal: false } } };
+
+        expect(cursorPagination.getOptions({}, rules).includeTotal).toBe(false);
+        expect(
+            cursorPagination.getOptions({ total: 'true' }, rules).includeTotal
+        ).toBe(true);
+        expect(
+            cursorPagination.getOptions({ cursor: '', total: 'true' })
+                .includeTotal
+        ).toBe(true);
+    });
+});
+
+describe('cursorPagination.paginate and decode', () => {
+    const sortObj = { price: 1, _id: 1 };
+
+    test('returns a next cursor only when more documents were fetched', () => {
+        const page = cursorPagination.paginate(docs, 2, sortObj, null);
+
+        expect(page.docs).toEqual(docs.slice(0, 2));
+        expect(page.hasMore).toBe(true);
+        expect(page.prevCursor).toBeNull();
+        expect(cursorPagination.decode(page.nextCursor, sortObj)).toEqual({
+            direction: NEXT,
+            values: [5, 2],
+        });
+
+        const lastPage = cursorPagination.paginate(docs, 5, sortObj, null);
+        expect(lastPage.nextCursor).toBeNull();
+    });
+
+    test('restores the requested order of documents fetched backwards', () => {
+        const cursor = { direction: PREV, values: [7, 3] };
+        const page = cursorPagination.paginate(
+            [docs[1], docs[0]],
+            2,
+            sortObj,
+            cursor
+        );
+
+        expect(page.docs).toEqual([docs[0], docs[1]]);
+        expect(page.prevCursor).toBeNull();
+        expect(cursorPagination.decode(page.nextCursor, sortObj)).toEqual({
+            direction: NEXT,
+            values: [5, 2],
+        });
+    });
+
+    test('keeps dates and ObjectIds through the cursor', () => {
+        const id = new mongoose.Types.ObjectId();
+        const createdAt = new Date('2024-05-01T10:00:00Z');
+        const { nextCursor } = cursorPagination.paginate(
+            [{ _id: id, createdAt }, {}],
+            1,
+            { createdAt: 1, _id: 1 },
+            null
+        );
+
+        const { values } = cursorPagination.decode(nextCursor, {
+            createdAt: 1,
+            _id: 1,
+        });
+        expect(values[0]).toEqual(createdAt);
+        expect(values[1].toString()).toBe(id.toString());
+    });
+
+    test('rejects cursors issued for another sort, malformed or tampered with', () => {
+        const { nextCursor } = cursorPagination.paginate(
+            docs,
+            1,
+            sortObj,
+            null
+        );
+        const tampered = Buffer.from(
+            JSON.stringify({ s: 'price,_id', d: 'sideways', v: [5, 1] })
+        ).toString('base64url');
+
+        expect(cursorPagination.decode(nextCursor, { _id: 1 })).toBeNull();
+        expect(cursorPagination.decode('not a cursor', sortObj)).toBeNull();
+        expect(cursorPagination.decode(tampered, sortObj)).toBeNull();
+        expect(cursorPagination.decode(undefined, sortObj)).toBeNull();
+    });
+});
+
+describe('cursorPagination.buildFilter', () => {
+    test('selects documents after the cursor position, field by field', () => {
+        expect(
+            cursorPagination.buildFilter(
+                { price: 1, _id: -1 },
+                { direction: NEXT, values: [5, 2] }
+            )
+        ).toEqual({
+            $or: [
+                { $and: [{ price: { $gt: 5 } }] },
+                {
+                    $and: [
+                        { price: 5 },
+                        { $or: [{ _id: { $lt: 2 } }, { _id: null }] },
+                    ],
+                },
+            ],
+        });
+    });
+
+    test('flips the comparisons when going backwards', () => {
+        expect(
+            cursorPagination.buildFilter(
+                { price: 1, _id: 1 },
+                { direction: PREV, values: [5, 2] }
+            ).$or[0]
+        ).toEqual({
+            $and: [{ $or: [{ price: { $lt: 5 } }, { price: null }] }],
+        });
+    });
+
+    test('handles null positions, which MongoDB sorts first', () => {
+        expect(
+            cursorPagination.buildFilter(
+                { name: 1, _id: 1 },
+                { direction: NEXT, values: [null, 2] }
+            )
+        ).toEqual({
+            $or: [
+                { $and: [{ name: { $ne: null } }] },
+                { $and: [{ name: null }, { _id: { $gt: 2 } }] },
+            ],
+        });
+        expect(
+            cursorPagination.buildFilter(
+                { name: -1 },
+                { direction: NEXT, values: [null] }
+            )
+        ).toEqual({ _id: { $exists: false } });
+    });
+});
+
+describe('cursorPagination.withSortFields', () => {
+    test('includes sort fields in inclusion projections and keeps them in exclusions', () => {
+        const sortObj = { price: 1, _id: 1 };
+
+        expect(cursorPagination.withSortFields({ name: 1 }, sortObj)).toEqual({
+            name: 1,
+            price: 1,
+            _id: 1,
+        });
+        expect(
+            cursorPagination.withSortFields({ price: 0, notes: 0 }, sortObj)
+        ).toEqual({ notes: 0 });
+    });
+});
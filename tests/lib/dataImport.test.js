@@ -0,0 +1,225 @@
+import { describe, expect, test } from '@jest/globals';
+import contentTypes from 'content-types-lite';
+import mongoose from 'mongoose';
+
+import exportFormats from '../../src/constants/exportFormats.js';
+import dataImport from '../../src/lib/dataImport.js';
+
+const { CSV, NDJSON } = exportFormats;
+
+const Contact = mongoose.model(
+    'DataImportContact',
+    new mongoose.Schema(
+        {
+            name: String,
+            age: Number,
+            subscribed: Boolean,
+            birthday: Date,
+            tags: [String],
+            scores: [Number],
+            address: { city: String },
+        },
+        { timestamps: true }
+    )
+);
+
+describe('dataImport.getOptions', () => {
+    test('is off unless the entity enables import', () => {
+        expect(dataImport.getOptions(undefined)).toBeNull();
+        expect(dataImport.getOptions(false)).toBeNull();
+    });
+
+    test('fills in the defaults', () => {
+        expect(dataImport.getOptions(true)).toEqual({
+            maxRows: 10000,
+            batchSize: 500,
+            maxSize: 10 * 1024,
+            columns: {},
+            upsertBy: null,
+        });
+        expect(
+            dataImport.getOptions({ batchSize: 50, upsertBy: 'email' })
+        ).toMatchObject({ batchSize: 50, upsertBy: 'email' });
+    });
+});
+
+describe('dataImport.detectFormat', () => {
+    test('prefers the format parameter, then the extension, then the content type', () => {
+        expect(dataImport.detectFormat(NDJSON, 'people.csv')).toBe(NDJSON);
+        expect(dataImport.detectFormat(undefined, 'People.CSV')).toBe(CSV);
+        expect(dataImport.detectFormat(undefined, 'people.jsonl')).toBe(NDJSON);
+        expect(
+            dataImport.detectFormat(
+                undefined,
+                undefined,
+                `${contentTypes.CSV}; charset=utf-8`
+            )
+        ).toBe(CSV);
+    });
+
+    test('returns null for formats that cannot be imported', () => {
+        expect(dataImport.detectFormat(exportFormats.JSON)).toBeNull();
+        expect(dataImport.detectFormat(undefined, 'people.xlsx')).toBeNull();
+        expect(dataImport.detectFormat()).toBeNull();
+    });
+});
+
+describe('dataImport.parse (CSV)', () => {
+    test('reads quoted cells with commas, quotes and line breaks', () => {
+        const { columns, rows } = dataImport.parse(
+            '\uFEFFname , note\r\n"Doe, Jane","said ""hi""\nthen left"\r\nBob,\r\n',
+            CSV
+        );
+
+        expect(columns).toEqual(['name', 'note']);
+        expect(rows).toEqual([
+            {
+                line: 2,
+                values: { name: 'Doe, Jane', note: 'said "hi"\nthen left' },
+                errors: [],
+            },
+            { line: 4, values: { name: 'Bob', note: '' }, errors: [] },
+        ]);
+    });
+
+    test('skips blank lines but keeps counting them', () => {
+        const { rows } = dataImport.parse('name\n\nAnn\n\n\nBen', CSV);
+
+        expect(rows.map(({ line, values }) => [line, values.name])).toEqual([
+            [3, 'Ann'],
+            [6, 'Ben'],
+        ]);
+    });
+
+    test('flags rows with the wrong number of cells', () => {
+        const { rows } = dataImport.parse('name,age\nAnn\nBen,3,extra', CSV);
+
+        expect(rows.map(({ errors }) => errors)).toEqual([
+            [{ field: 'row', message: 'Expected 2 cells, found 1.' }],
+            [{ field: 'row', message: 'Expected 2 cells, found 3.' }],
+        ]);
+        expect(rows[0].values).toEqual({ name: 'Ann', age: '' });
+    });
+
+    test('rejects empty files and files ending inside quotes', () => {
+        expect(dataImport.parse('', CSV)).toEqual({
+            error: 'The CSV file has no header row.',
+        });
+        expect(dataImport.parse('name\n"Ann', CSV)).toEqual({
+            error: 'The CSV file ends inside a quoted cell.',
+        });
+    });
+});
+
+describe('dataImport.parse (NDJSON)', () => {
+    test('reads one object per line and collects the columns', () => {
+        const { columns, rows } = dataImport.parse(
+            '{"name":"Ann"}\r\n\n{"age":3,"name":"Ben"}\n',
+            NDJSON
+        );
+
+        expect(columns).toEqual(['name', 'age']);
+        expect(rows).toEqual([
+            { line: 1, values: { name: 'Ann' }, errors: [] },
+            { line: 3, values: { age: 3, name: 'Ben' }, errors: [] },
+        ]);
+    });
+
+    test('reports lines that are not JSON objects, row by row', () => {
+        const { rows } = dataImport.parse(
+            '[1,2]\nnull\n{"name":\n{"name":"Ann"}',
+            NDJSON
+        );
+
+        expect(rows.map(({ line, errors }) => [line, errors.length])).toEqual([
+            [1, 1],
+            [2, 1],
+            [3, 1],
+            [4, 0],
+        ]);
+        expect(rows[0].errors[0].message).toBe(
+            'Each line must be a JSON object.'
+        );
+    });
+
+    test('treats missing input as an empty file', () => {
+        expect(dataImport.parse(undefined, NDJSON)).toEqual({
+            columns: [],
+            rows: [],
+        });
+    });
+});
+
+describe('dataImport.mapColumns and toRecord', () => {
+    test('maps columns explicitly, exactly or case-insensitively', () => {
+        expect(
+            dataImport.mapColumns(
+                ['Full Name', 'AGE', 'address.city', '_id', 'createdAt', 'x'],
+                Contact,
+                { 'Full Name': 'name' }
+            )
+        ).toEqual({
+            fieldByColumn: {
+                'Full Name': 'name',
+                AGE: 'age',
+                'address.city': 'address.city',
+            },
+            ignoredColumns: ['_id', 'createdAt', 'x'],
+        });
+    });
+
+    test('ignores mappings to fields outside the schema', () => {
+        expect(
+            dataImport.mapColumns(['a'], Contact, { a: '__proto__.polluted' })
+        ).toEqual({ fieldByColumn: {}, ignoredColumns: ['a'] });
+    });
+
+    test('builds typed documents from cells, leaving out empty ones', () => {
+        const fieldByColumn = {
+            name: 'name',
+            age: 'age',
+            subscribed: 'subscribed',
+            birthday: 'birthday',
+            tags: 'tags',
+            scores: 'scores',
+            city: 'address.city',
+        };
+
+        expect(
+            dataImport.toRecord(
+                {
+                    name: 'Ann',
+                    age: '42',
+                    subscribed: 'Yes',
+                    birthday: '1990-02-01',
+                    tags: 'a; b;;',
+                    scores: '1;2.5',
+                    city: '',
+                },
+                fieldByColumn,
+                Contact
+            )
+        ).toEqual({
+            name: 'Ann',
+            age: 42,
+            subscribed: true,
+            birthday: new Date('1990-02-01'),
+            tags: ['a', 'b'],
+            scores: [1, 2.5],
+        });
+    });
+
+    test('keeps values that cannot be converted for validation to report', () => {
+        expect(
+            dataImport.toRecord(
+                { age: 'old', subscribed: 'maybe', city: 'Oslo' },
+                { age: 'age', subscribed: 'subscribed', city: 'address.city' },
+                Contact
+            )
+        ).toEqual({
+            age: 'old',
+            subscribed: 'maybe',
+            address: { city: 'Oslo' },
+        });
+    });
+});
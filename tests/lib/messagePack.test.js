@@ -0,0 +1,112 @@
+import { describe, expect, test } from '@jest/globals';
+
+import messagePack from '../../src/lib/messagePack.js';
+
+const nest = (depth) =>
+    Array.from({ length: depth }).reduce((value) => [value], null);
+
+describe('messagePack.encode', () => {
+    test('returns a Buffer that decodes back to the value', () => {
+        const value = {
+            name: 'Zoë',
+            count: 3,
+            negative: -200,
+            large: 2 ** 40,
+            ratio: 0.25,
+            active: false,
+            missing: null,
+            tags: ['a', 'b'],
+            nested: { deep: { list: [1, { x: 'y' }] } },
+        };
+
+        const encoded = messagePack.encode(value);
+
+        expect(Buffer.isBuffer(encoded)).toBe(true);
+        expect(messagePack.decode(encoded)).toEqual(value);
+    });
+
+    test('uses the compact formats of the spec', () => {
+        expect(messagePack.encode(null)).toEqual(Buffer.from([0xc0]));
+        expect(messagePack.encode(5)).toEqual(Buffer.from([0x05]));
+        expect(messagePack.encode('ab')).toEqual(
+            Buffer.from([0xa2, 0x61, 0x62])
+        );
+        expect(messagePack.encode({ a: [] })).toEqual(
+            Buffer.from([0x81, 0xa1, 0x61, 0x90])
+        );
+    });
+
+    test('leaves out map entries whose value is undefined', () => {
+        expect(
+            messagePack.decode(messagePack.encode({ a: 1, b: undefined }))
+        ).toEqual({ a: 1 });
+    });
+
+    test('encodes strings and collections beyond the 16-bit length formats', () => {
+        const value = {
+            text: 'x'.repeat(70000),
+            list: nest(1).concat(nest(2)),
+        };
+
+        expect(messagePack.decode(messagePack.encode(value))).toEqual(value);
+    });
+
+    test('refuses values nested deeper than 100 levels', () => {
+        expect(() => messagePack.encode(nest(99))).not.toThrow();
+        expect(() => messagePack.encode(nest(150))).toThrow();
+    });
+});
+
+describe('messagePack.decode', () => {
+    test('throws on truncated input', () => {
+        const encoded = messagePack.encode({ name: 'truncated', list: [1] });
+
+        for (let length = 0; length < encoded.length; length += 1) {
+            expect(() =>
+                messagePack.decode(encoded.subarray(0, length))
+            ).toThrow(RangeError);
+        }
+    });
+
+    test('throws on reserved bytes and trailing data', () => {
+        expect(() => messagePack.decode(Buffer.from([0xc1]))).toThrow();
+        expect(() => messagePack.decode(Buffer.from([0x01, 0x02]))).toThrow();
+    });
+
+    test('does not trust declared lengths beyond the input', () => {
+        // array 32 claiming 2^32 - 1 items, and str 32 claiming 4 GB
+        expect(() =>
+            messagePack.decode(Buffer.from([0xdd, 0xff, 0xff, 0xff, 0xff]))
+        ).toThrow();
+        expect(() =>
+            messagePack.decode(
+                Buffer.from([0xdb, 0xff, 0xff, 0xff, 0xff, 0x61])
+            )
+        ).toThrow();
+    });
+
+    test('reads deeply nested input without overflowing the stack', () => {
+        const bytes = Buffer.concat([
+            Buffer.alloc(100000, 0x91),
+            Buffer.from([0xc0]),
+        ]);
+
+        expect(() => messagePack.decode(bytes)).not.toThrow();
+    });
+
+    test('rejects __proto__ keys', () => {
+        // { "__proto__": { "polluted": true } }
+        const bytes = Buffer.concat([
+            Buffer.from([0x81, 0xa9]),
+            Buffer.from('__proto__'),
+            Buffer.from([0x81, 0xa8]),
+            Buffer.from('polluted'),
+            Buffer.from([0xc3]),
+        ]);
+
+        expect(() => messagePack.decode(bytes)).toThrow(
+            'The key __proto__ is not allowed'
+        );
+        expect({}.polluted).toBeUndefined();
+    });
+});
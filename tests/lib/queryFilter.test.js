@@ -0,0 +1,156 @@
+import { describe, expect, test } from '@jest/globals';
+import mongoose from 'mongoose';
+
+import queryFilter from '../../src/lib/queryFilter.js';
+
+const Item = mongoose.model(
+    'QueryFilterItem',
+    new mongoose.Schema({
+        name: String,
+        price: Number,
+        active: Boolean,
+        releasedAt: Date,
+        owner: mongoose.Schema.Types.ObjectId,
+        tags: [String],
+        secret: { type: String, select: false },
+    })
+);
+
+const parse = (filters, rules) => queryFilter.parse(filters, Item, rules);
+
+describe('queryFilter.parse', () => {
+    test('turns plain values into equality matches of the schema type', () => {
+        expect(parse({ name: 'Lamp', price: '12.5', active: 'false' })).toEqual(
+            {
+                filter: { name: 'Lamp', price: 12.5, active: false },
+                errors: [],
+            }
+        );
+    });
+
+    test('builds range, list and existence conditions', () => {
+        const { filter, errors } = parse({
+            price: { gte: '10', lt: '20' },
+            name: { in: 'a,b' },
+            releasedAt: { between: '2024-01-01,2024-12-31' },
+            tags: { exists: 'true' },
+        });
+
+        expect(errors).toEqual([]);
+        expect(filter).toEqual({
+            price: { $gte: 10, $lt: 20 },
+            name: { $in: ['a', 'b'] },
+            releasedAt: {
+                $gte: new Date('2024-01-01'),
+                $lte: new Date('2024-12-31'),
+            },
+            tags: { $exists: true },
+        });
+    });
+
+    test('treats repeated keys as a list and skips empty values', () => {
+        expect(parse({ name: ['a', 'b'], price: '' })).toEqual({
+            filter: { name: { $in: ['a', 'b'] } },
+            errors: [],
+        });
+    });
+
+    test('converts ObjectIds and rejects malformed ones', () => {
+        const id = new mongoose.Types.ObjectId().toString();
+
+        expect(parse({ owner: id }).filter.owner.toString()).toBe(id);
+        expect(parse({ owner: 'nope' }).errors).toEqual([
+            {
+                field: 'owner',
+                message:
+                    'Invalid value for "owner[eq]": "nope" is not a valid MongoDB ObjectId.',
+            },
+        ]);
+    });
+
+    test('reports operators that do not apply to the field type', () => {
+        const { filter, errors } = parse({
+            active: { gt: 'true' },
+            name: { $where: 'sleep(1000)' },
+        });
+
+        expect(filter).toEqual({});
+        expect(errors.map(({ message }) => message)).toEqual([
+            'Operator "gt" is not allowed on Boolean field "active". Allowed operators: eq, ne, exists.',
+            'Operator "$where" is not allowed on String field "name". Allowed operators: eq, ne, in, nin, regex, exists.',
+        ]);
+    });
+
+    test('reports values that cannot be coerced', () => {
+        const { errors } = parse({
+            price: 'cheap',
+            releasedAt: { gte: 'someday' },
+            active: 'yes',
+            tags: { exists: 'maybe' },
+        });
+
+        expect(errors.map(({ message }) => message)).toEqual([
+            'Invalid value for "price[eq]": "cheap" is not a number.',
+            'Invalid value for "releasedAt[gte]": "someday" is not a valid date.',
+            'Invalid value for "active[eq]": "yes" is not a boolean (use true or false).',
+            'Invalid value for "tags[exists]": "maybe" is not a boolean (use true or false).',
+        ]);
+    });
+
+    test('requires exactly two bounds for between', () => {
+        expect(parse({ price: { between: '1,2,3' } }).errors).toEqual([
+            {
+                field: 'price',
+                message:
+                    'Invalid value for "price[between]": expected two comma-separated bounds.',
+            },
+        ]);
+    });
+
+    test('rejects invalid and overlong regular expressions', () => {
+        const { errors } = parse({ name: { regex: '(' } });
+        const { errors: overlong } = parse({
+            name: { regex: 'a'.repeat(101) },
+        });
+
+        expect(errors[0].message).toBe(
+            'Invalid value for "name[regex]": "(" is not a valid regular expression.'
+        );
+        expect(overlong[0].message).toBe(
+            'Invalid value for "name[regex]": expected a pattern of at most 100 characters.'
+        );
+    });
+
+    test('reports unknown and hidden fields alike', () => {
+        expect(parse({ color: 'red', secret: 'x' }).errors).toEqual([
+            { field: 'color', message: 'Unknown filter field "color".' },
+            { field: 'secret', message: 'Unknown filter field "secret".' },
+        ]);
+    });
+
+    test('only filters on the fields a route exposes', () => {
+        const rules = { response: { allowedFields: ['name'] } };
+        const id = new mongoose.Types.ObjectId().toString();
+
+        expect(parse({ price: '1', _id: id, name: 'a' }, rules)).toEqual({
+            filter: { _id: new mongoose.Types.ObjectId(id), name: 'a' },
+            errors: [
+                {
+                    field: 'price',
+                    message: 'Field "price" cannot be filtered on this route.',
+                },
+            ],
+        });
+    });
+});
+
+describe('queryFilter.getFilterableFields', () => {
+    test('lists exposed fields, leaving out hidden ones', () => {
+        expect(queryFilter.getFilterableFields(Item)).not.toContain('secret');
+        expect(
+            queryFilter.getFilterableFields(Item, {
+                response: { allowedFields: ['name', 'secret'] },
+            })
+        ).toEqual(['name', '_id']);
+    });
+});
@@ -0,0 +1,118 @@
+import { describe, expect, test } from '@jest/globals';
+import mongoose from 'mongoose';
+
+import querySchema from '../../src/lib/querySchema.js';
+
+const productSchema = new mongoose.Schema({
+    name: String,
+    price: Number,
+    sku: { type: String, index: true },
+    cost: { type: Number, select: false },
+});
+const Product = mongoose.model('QuerySchemaProduct', productSchema);
+
+const messagesOf = (result) =>
+    result.success ? [] : result.error.issues.map(({ message }) => message);
+
+describe('querySchema.createExportSchema', () => {
+    const exportSchema = querySchema.createExportSchema(Product);
+
+    test('accepts the list parameters, format and columns', () => {
+        const result = exportSchema.safeParse({
+            format: 'csv',
+            columns: 'name,price',
+            sort: '-price',
+            limit: '10',
+            price: { gte: '5' },
+            fields: ['name', 'price'],
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.data).toMatchObject({
+            format: 'csv',
+            columns: 'name,price',
+            limit: 10,
+        });
+    });
+
+    test('rejects unknown formats and parameters', () => {
+        expect(messagesOf(exportSchema.safeParse({ format: 'xlsx' }))).toEqual([
+            '"format" must be one of: csv, ndjson, json.',
+        ]);
+        expect(
+            exportSchema.safeParse({ formt: 'csv' }).error.issues[0].code
+        ).toBe('unrecognized_keys');
+    });
+
+    test('leaves out text search', () => {
+        expect(exportSchema.safeParse({ q: 'lamp' }).success).toBe(false);
+        expect(exportSchema.safeParse({ highlight: 'true' }).success).toBe(
+            false
+        );
+    });
+
+    test('checks filters and sort fields like the list route', () => {
+        expect(
+            messagesOf(
+                exportSchema.safeParse({
+                    price: { gte: 'cheap' },
+                    sort: 'colour',
+                })
+            )
+        ).toEqual([
+            expect.stringMatching(
+                /^Cannot sort on "colour"\. Sortable fields: /
+            ),
+            'Invalid value for "price[gte]": "cheap" is not a number.',
+        ]);
+        expect(messagesOf(exportSchema.safeParse({ cost: '1' }))).toEqual([
+            expect.stringContaining('Unrecognized key'),
+        ]);
+    });
+
+    test('follows the route rules of the list', () => {
+        const schema = querySchema.createExportSchema(Product, {
+            response: {
+                allowedFields: ['name'],
+                allowedSort: 'indexed',
+                pagination: { maxLimit: 5 },
+            },
+        });
+
+        expect(messagesOf(schema.safeParse({ limit: '6' }))).toEqual([
+            '"limit" must be a whole number between 1 and 5.',
+        ]);
+        expect(messagesOf(schema.safeParse({ sort: 'name' }))).toEqual([
+            'Cannot sort on "name". Sortable fields: _id, sku.',
+        ]);
+        expect(schema.safeParse({ price: '1' }).success).toBe(false);
+        expect(schema.safeParse({ name: 'lamp', sort: 'sku' }).success).toBe(
+            true
+        );
+    });
+});
+
+describe('querySchema.createListSchema', () => {
+    test('turns page and limit into numbers within bounds', () => {
+        const listSchema = querySchema.createListSchema(Product);
+
+        expect(listSchema.parse({ page: '2', limit: '100' })).toEqual({
+            page: 2,
+            limit: 100,
+        });
+        expect(
+            messagesOf(listSchema.safeParse({ page: '0', limit: '1.5' }))
+        ).toEqual([
+            '"page" must be a whole number of at least 1.',
+            '"limit" must be a whole number between 1 and 100.',
+        ]);
+    });
+
+    test('keeps text search on lists', () => {
+        expect(
+            querySchema
+                .createListSchema(Product)
+                .safeParse({ q: 'lamp', typeahead: 'true' }).success
+        ).toBe(true);
+    });
+});
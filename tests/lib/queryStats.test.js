@@ -0,0 +1,211 @@
+import { describe, expect, test } from '@jest/globals';
+import mongoose from 'mongoose';
+
+import queryStats from '../../src/lib/queryStats.js';
+
+const Order = mongoose.model(
+    'QueryStatsOrder',
+    new mongoose.Schema(
+        {
+            status: String,
+            region: String,
+            channel: String,
+            paid: Boolean,
+            total: Number,
+            quantity: Number,
+            tags: [String],
+            shippedAt: Date,
+            customer: { tier: String },
+        },
+        { timestamps: true }
+    )
+);
+
+const rules = {
+    response: {
+        allowedGroupBy: [
+            'status',
+            'region',
+            'channel',
+            'paid',
+            'tags',
+            'customer.tier',
+        ],
+        maxGroups: 50,
+    },
+};
+
+const parse = (query, routeRules = rules, timezone = 'UTC') =>
+    queryStats.parse(query, Order, routeRules, timezone);
+
+const messagesOf = ({ errors }) => errors.map(({ message }) => message);
+
+describe('queryStats.getOptions', () => {
+    test('is off unless the entity enables stats, with defaults otherwise', () => {
+        expect(queryStats.getOptions(undefined)).toBeNull();
+        expect(queryStats.getOptions(true)).toEqual({
+            groupBy: [],
+            maxGroups: 1000,
+        });
+        expect(queryStats.getOptions({ maxGroups: 10 }).maxGroups).toBe(10);
+    });
+});
+
+describe('queryStats.parse', () => {
+    test('counts all documents when nothing is grouped', () => {
+        expect(parse({})).toMatchObject({
+            stages: [
+                { $group: { _id: null, count: { $sum: 1 } } },
+                { $sort: { count: -1 } },
+                { $limit: 51 },
+            ],
+            limit: 50,
+            errors: [],
+        });
+    });
+
+    test('groups on allowed fields with positional keys and unwinds arrays', () => {
+        const { stages, errors } = parse({
+            groupBy: 'status,tags',
+            metrics: 'sum:total,avg:total,max:quantity,count',
+        });
+
+        expect(errors).toEqual([]);
+        expect(stages).toEqual([
+            { $unwind: '$tags' },
+            {
+                $group: {
+                    _id: { k0: '$status', k1: '$tags' },
+                    count: { $sum: 1 },
+                    m0: { $sum: '$total' },
+                    m1: { $avg: '$total' },
+                    m2: { $max: '$quantity' },
+                },
+            },
+            { $sort: { '_id.k0': 1, '_id.k1': 1 } },
+            { $limit: 51 },
+        ]);
+    });
+
+    test('accepts repeated parameters and ignores duplicates', () => {
+        const { stages, errors } = parse({
+            groupBy: ['region', 'region,paid'],
+        });
+
+        expect(errors).toEqual([]);
+        expect(stages[0].$group._id).toEqual({ k0: '$region', k1: '$paid' });
+    });
+
+    test('buckets dates into intervals, weeks starting on Monday', () => {
+        const { stages, errors } = parse(
+            { interval: 'week', dateField: 'shippedAt', groupBy: 'region' },
+            rules,
+            'Europe/Oslo'
+        );
+
+        expect(errors).toEqual([]);
+        expect(stages[0].$group._id).toEqual({
+            k0: {
+                $dateTrunc: {
+                    date: '$shippedAt',
+                    unit: 'week',
+                    timezone: 'Europe/Oslo',
+                    startOfWeek: 'monday',
+                },
+            },
+            k1: '$region',
+        });
+        expect(
+            parse({ interval: 'day' }).stages[0].$group._id.k0.$dateTrunc
+        ).toEqual({ date: '$createdAt', unit: 'day', timezone: 'UTC' });
+    });
+
+    test('sorts by count or by keys, with the other keys breaking ties', () => {
+        expect(
+            parse({ groupBy: 'status,region', sort: '-count,region' }).stages[1]
+        ).toEqual({ $sort: { count: -1, '_id.k1': 1, '_id.k0': 1 } });
+        expect(messagesOf(parse({ groupBy: 'status', sort: 'total' }))).toEqual(
+            ['Groups can only be sorted by count or their keys: count, status.']
+        );
+    });
+
+    test('limits groups to the route maximum', () => {
+        expect(parse({ limit: '10' }).limit).toBe(10);
+        expect(messagesOf(parse({ limit: '51' }))).toEqual([
+            '"limit" must be a whole number between 1 and 50.',
+        ]);
+        expect(messagesOf(parse({ limit: '2.5' }))).toHaveLength(1);
+        expect(messagesOf(parse({ limit: '0' }))).toHaveLength(1);
+    });
+
+    test('reports fields that cannot be grouped on', () => {
+        expect(messagesOf(parse({ groupBy: 'color,shippedAt,total' }))).toEqual(
+            [
+                'Unknown field "color".',
+                '"shippedAt" is a date. Group it into time buckets with "interval" and "dateField" instead.',
+                '"total" cannot be grouped on this route. Groupable fields: status, region, channel, paid, tags, customer.tier.',
+            ]
+        );
+        expect(messagesOf(parse({ groupBy: 'status' }, {}))).toEqual([
+            '"status" cannot be grouped on this route. Groupable fields: none.',
+        ]);
+    });
+
+    test('groups on at most three fields', () => {
+        expect(
+            messagesOf(parse({ groupBy: 'status,region,channel,paid' }))
+        ).toEqual(['At most 3 fields can be grouped on at once.']);
+    });
+
+    test('reports unknown metrics and metrics on non-numeric fields', () => {
+        expect(
+            messagesOf(parse({ metrics: 'median:total,sum:status,avg' }))
+        ).toEqual([
+            'Unknown metric "median". Expected one of: count, sum, avg, min, max.',
+            '"sum:status" must name a Number field, as in "sum:<field>".',
+            '"avg" must name a Number field, as in "avg:<field>".',
+        ]);
+    });
+
+    test('reports invalid intervals and date fields', () => {
+        expect(
+            messagesOf(parse({ interval: 'year', dateField: 'status' }))
+        ).toEqual([
+            'Unknown interval "year". Expected one of: hour, day, week, month.',
+            '"status" is not a Date field.',
+        ]);
+        expect(messagesOf(parse({ dateField: 'shippedAt' }))).toEqual([
+            '"dateField" needs an "interval" to bucket by.',
+        ]);
+    });
+
+    test('turns aggregation results into named groups and metrics', () => {
+        const { toGroup } = parse({
+            groupBy: 'customer.tier',
+            interval: 'month',
+            metrics: 'sum:total,min:total,avg:quantity',
+        });
+        const month = new Date('2024-03-01T00:00:00Z');
+
+        expect(
+            toGroup({
+                _id: { k0: month, k1: 'gold' },
+                count: 4,
+                m0: 100,
+                m1: 5,
+                m2: 1.5,
+            })
+        ).toEqual({
+            group: { createdAt: month, 'customer.tier': 'gold' },
+            count: 4,
+            metrics: {
+                total: { sum: 100, min: 5 },
+                quantity: { avg: 1.5 },
+            },
+        });
+        expect(toGroup({ _id: { k0: month }, count: 1 }).group).toEqual({
+            createdAt: month,
+            'customer.tier': null,
+        });
+    });
+});
@@ -0,0 +1,377 @@
+import {
+    afterEach,
+    beforeEach,
+    describe,
+    expect,
+    jest,
+    test,
+} from '@jest/globals';
+import mongoose from 'mongoose';
+
+import AUDIT_ACTIONS from '../../src/constants/auditActions.js';
+import auditTrail from '../../src/lib/auditTrail.js';
+import { CriticalError } from '../../src/lib/customErrors.js';
+import referentialIntegrity from '../../src/lib/referentialIntegrity.js';
+
+const { ObjectId } = mongoose.Schema.Types;
+
+const ref = (target, onDelete, required = false) => ({
+    type: ObjectId,
+    ref: target,
+    onDelete,
+    required,
+});
+
+const define = (name, fields) =>
+    mongoose.model(name, new mongoose.Schema(fields));
+
+const models = {
+    Authors: define('Authors', {
+        name: String,
+        mentor: ref('Authors', 'setNull'),
+    }),
+    Notes: define('Notes', { author: ref('Authors', 'cascade') }),
+    Attachments: define('Attachments', { note: ref('Notes', 'cascade') }),
+    Posts: define('Posts', {
+        author: ref('Authors', 'cascade'),
+        deletedAt: Date,
+    }),
+    Comments: define('Comments', { post: ref('Posts', 'cascade') }),
+    Books: define('Books', {
+        authors: [{ type: ObjectId, ref: 'Authors', onDelete: 'pull' }],
+    }),
+    Contracts: define('Contracts', { author: ref('Authors', 'restrict') }),
+    Categories: define('Categories', { parent: ref('Categories', 'cascade') }),
+};
+
+const entities = {
+    Authors: {},
+    Notes: { audit: true, entityName: 'Notes' },
+    Attachments: {},
+    Posts: { softDelete: true },
+    Comments: {},
+    Books: {},
+    Contracts: {},
+    Categories: {},
+};
+
+const id = () => new mongoose.Types.ObjectId();
+const [a1, a2, n1, n2, at1, p1, p2, c1, k1, k2] = Array.from(
+    { length: 10 },
+    id
+);
+
+// In-memory collections queried through a stubbed `Model.find`
+let store;
+const seed = () => ({
+    Authors: [
+        { _id: a1, name: 'Ann' },
+        { _id: a2, name: 'Ben', mentor: a1 },
+    ],
+    Notes: [
+        { _id: n1, author: a1 },
+        { _id: n2, author: a2 },
+    ],
+    Attachments: [{ _id: at1, note: n1 }],
+    Posts: [
+        { _id: p1, author: a1, deletedAt: null },
+        { _id: p2, author: a1, deletedAt: new Date() },
+    ],
+    Comments: [{ _id: c1, post: p1 }],
+    Books: [{ _id: id(), authors: [a1, a2] }],
+    Contracts: [],
+    Categories: [
+        { _id: k1, parent: k2 },
+        { _id: k2, parent: k1 },
+    ],
+});
+
+const matches = (doc, filter) =>
+    Object.entries(filter).every(([path, condition]) => {
+        if (condition === null)
+            return doc[path] === null || doc[path] === undefined;
+        if (condition?.$in) {
+            const ids = condition.$in.map(String);
+            return []
+                .concat(doc[path] ?? [])
+                .some((value) => ids.includes(String(value)));
+        }
+        return String(doc[path]) === String(condition);
+    });
+
+const fakeQuery = (docs) => {
+    let result = docs;
+    const query = {
+        select: () => query,
+        session: () => query,
+        limit: (limit) => {
+            result = result.slice(0, limit);
+            return query;
+        },
+        then: (resolve, reject) =>
+            Promise.resolve(result).then(resolve, reject),
+    };
+    return query;
+};
+
+const session = {
+    withTransaction: jest.fn(async (write) => write()),
+    endSession: jest.fn(async () => {}),
+};
+const startSession = jest.fn(async () => session);
+
+const newPlan = (entity, ids) => ({
+    deletes: [],
+    trashes: [],
+    updates: [],
+    blocking: [],
+    seen: new Set(ids.map((docId) => `${entity}:${docId}`)),
+});
+
+const plan = (entity, ids) =>
+    referentialIntegrity.planDeletion(entity, ids, null, newPlan(entity, ids));
+
+const idsOf = (docs) => docs.map(({ _id }) => String(_id));
+
+beforeEach(() => {
+    store = seed();
+    Object.entries(models).forEach(([name, model]) => {
+        jest.spyOn(model, 'find').mockImplementation((filter) =>
+            fakeQuery(store[name].filter((doc) => matches(doc, filter)))
+        );
+        jest.spyOn(model, 'deleteMany').mockResolvedValue({});
+        jest.spyOn(model, 'updateMany').mockResolvedValue({});
+    });
+    jest.spyOn(auditTrail, 'recordMany').mockResolvedValue();
+
+    referentialIntegrity.initialize({ entities, startSession });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+});
+
+describe('referentialIntegrity.planDeletion', () => {
+    test('cascades through hard-deleted dependants and their own dependants', async () => {
+        const { deletes } = await plan('Authors', [a1]);
+
+        expect(
+            deletes.map(({ model, ids }) => [model.modelName, ids.map(String)])
+        ).toEqual([
+            ['Notes', [String(n1)]],
+            ['Attachments', [String(at1)]],
+        ]);
+    });
+
+    test('moves active dependants of soft-deleted entities to the trash without following them', async () => {
+        const { trashes, deletes } = await plan('Authors', [a1]);
+
+        expect(trashes).toHaveLength(1);
+        expect(trashes[0].model).toBe(models.Posts);
+        expect(trashes[0].entityOptions).toBe(entities.Posts);
+        expect(idsOf(trashes[0].docs)).toEqual([String(p1)]);
+        expect(deletes.map(({ model }) => model.modelName)).not.toContain(
+            'Comments'
+        );
+    });
+
+    test('plans setNull and pull updates of the references', async () => {
+        const { updates } = await plan('Authors', [a1]);
+
+        expect(
+            updates.map(({ model, reference, ids }) => [
+                model.modelName,
+                reference.path,
+                reference.action,
+                ids,
+            ])
+        ).toEqual([
+            ['Authors', 'mentor', 'setNull', [a1]],
+            ['Books', 'authors', 'pull', [a1]],
+        ]);
+    });
+
+    test('lists the documents of restrict references as blocking', async () => {
+        const contract = { _id: id(), author: a2 };
+        store.Contracts.push(contract);
+
+        const { blocking } = await plan('Authors', [a1, a2]);
+
+        expect(blocking).toEqual([
+            {
+                entity: 'Contracts',
+                field: 'author',
+                id: String(contract._id),
+            },
+        ]);
+    });
+
+    test('lists at most 20 blocking documents per reference', async () => {
+        store.Contracts = Array.from({ length: 25 }, () => ({
+            _id: id(),
+            author: a1,
+        }));
+
+        const { blocking } = await plan('Authors', [a1]);
+
+        expect(blocking).toHaveLength(20);
+    });
+
+    test('deletes each document once, even along reference cycles', async () => {
+        const { deletes } = await plan('Categories', [k1]);
+
+        expect(deletes).toHaveLength(1);
+        expect(idsOf(deletes[0].docs)).toEqual([String(k2)]);
+    });
+
+    test('plans nothing for entities nothing depends on', async () => {
+        expect(await plan('Comments', [c1])).toMatchObject({
+            deletes: [],
+            trashes: [],
+            updates: [],
+            blocking: [],
+        });
+    });
+});
+
+describe('referentialIntegrity.deleteWithReferences', () => {
+    const req = { user: { id: 'admin' } };
+
+    test('skips the transaction for entities nothing depends on', async () => {
+        const remove = jest.fn(async () => 'removed');
+
+        await expect(
+            referentialIntegrity.deleteWithReferences(
+                req,
+                models.Comments,
+                { _id: c1 },
+                remove
+            )
+        ).resolves.toEqual({ result: 'removed', blocking: [] });
+        expect(remove).toHaveBeenCalledWith();
+        expect(startSession).not.toHaveBeenCalled();
+    });
+
+    test('deletes nothing while restrict references block', async () => {
+        store.Contracts.push({ _id: id(), author: a1 });
+        const remove = jest.fn();
+
+        const outcome = await referentialIntegrity.deleteWithReferences(
+            req,
+            models.Authors,
+            { _id: a1 },
+            remove
+        );
+
+        expect(outcome.result).toBeNull();
+        expect(outcome.blocking).toHaveLength(1);
+        expect(remove).not.toHaveBeenCalled();
+        expect(models.Notes.deleteMany).not.toHaveBeenCalled();
+        expect(auditTrail.recordMany).not.toHaveBeenCalled();
+        expect(session.endSession).toHaveBeenCalled();
+    });
+
+    test('applies the plan in the transaction and audits the cascades', async () => {
+        const remove = jest.fn(async () => 'removed');
+
+        const outcome = await referentialIntegrity.deleteWithReferences(
+            req,
+            models.Authors,
+            { _id: a1 },
+            remove
+        );
+
+        expect(outcome).toEqual({ result: 'removed', blocking: [] });
+        expect(remove).toHaveBeenCalledWith(session);
+        expect(models.Notes.deleteMany).toHaveBeenCalledWith(
+            { _id: { $in: [n1] } },
+            { session }
+        );
+        expect(models.Posts.updateMany).toHaveBeenCalledWith(
+            { _id: { $in: [p1] } },
+            { deletedAt: expect.any(Date), deletedBy: 'admin' },
+            { session }
+        );
+        expect(models.Books.updateMany).toHaveBeenCalledWith(
+            { authors: { $in: [a1] } },
+            { $pull: { authors: { $in: [a1] } } },
+            { session, runValidators: true }
+        );
+        expect(models.Authors.updateMany).toHaveBeenCalledWith(
+            { mentor: { $in: [a1] } },
+            { $set: { mentor: null } },
+            { session, runValidators: true }
+        );
+        expect(auditTrail.recordMany).toHaveBeenCalledWith(
+            req,
+            entities.Notes,
+            AUDIT_ACTIONS.DELETE,
+            store.Notes.filter(({ _id }) => _id === n1)
+        );
+        expect(session.endSession).toHaveBeenCalled();
+    });
+});
+
+describe('referentialIntegrity.initialize', () => {
+    const initializeWith = (name, fields) => {
+        define(name, fields);
+        return () =>
+            referentialIntegrity.initialize({
+                entities: { ...entities, [name]: {} },
+                startSession,
+            });
+    };
+
+    afterEach(() => {
+        referentialIntegrity.initialize({ entities, startSession });
+    });
+
+    test('rejects unknown onDelete actions', () => {
+        expect(
+            initializeWith('Drafts', { author: ref('Authors', 'orphan') })
+        ).toThrow(CriticalError);
+    });
+
+    test('rejects references to entities outside the routes configuration', () => {
+        expect(
+            initializeWith('Reviews', { reviewer: ref('Reviewers', 'cascade') })
+        ).toThrow('which is not an entity in the routes configuration');
+    });
+
+    test('rejects pull on single references', () => {
+        expect(
+            initializeWith('Quotes', { author: ref('Authors', 'pull') })
+        ).toThrow('needs an array of references');
+    });
+
+    test('rejects setNull on required and array references', () => {
+        expect(
+            initializeWith('Invoices', {
+                author: ref('Authors', 'setNull', true),
+            })
+        ).toThrow('needs a single, optional reference');
+        expect(
+            initializeWith('Anthologies', {
+                authors: [
+                    { type: ObjectId, ref: 'Authors', onDelete: 'setNull' },
+                ],
+            })
+        ).toThrow('needs a single, optional reference');
+    });
+});
+
+describe('referentialIntegrity.toErrors', () => {
+    test('describes each blocking document', () => {
+        expect(
+            referentialIntegrity.toErrors([
+                { entity: 'Contracts', field: 'author', id: 'c1' },
+            ])
+        ).toEqual([
+            {
+                field: 'Contracts.author',
+                message: 'Contracts "c1" still refers to it through "author".',
+            },
+        ]);
+    });
+});
@@ -0,0 +1,139 @@
+import { describe, expect, test } from '@jest/globals';
+
+import fileTypes from '../../src/lib/fileTypes.js';
+import uploadValidation from '../../src/lib/uploadValidation.js';
+
+const { KB } = uploadValidation;
+
+const PNG = Buffer.from([
+    0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00,
+]);
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+const WEBP = Buffer.from('RIFF\x00\x00\x00\x00WEBPVP8 ', 'latin1');
+const HTML = Buffer.from('<html><script>alert(1)</script></html>');
+
+const file = (buffer, overrides = {}) => ({
+    originalname: 'upload.png',
+    mimetype: 'image/png',
+    buffer,
+    size: buffer.length,
+    ...overrides,
+});
+
+const rule = (overrides = {}) => ({
+    minSize: 0,
+    maxSize: 1,
+    maxFiles: 1,
+    allowedTypes: ['image/png', 'image/jpeg'],
+    ...overrides,
+});
+
+describe('fileTypes.detect', () => {
+    test('recognizes files by their leading bytes', () => {
+        expect(fileTypes.detect(PNG)).toBe('image/png');
+        expect(fileTypes.detect(JPEG)).toBe('image/jpeg');
+        expect(fileTypes.detect(Buffer.from('GIF89a...'))).toBe('image/gif');
+        expect(fileTypes.detect(Buffer.from('%PDF-1.7'))).toBe(
+            'application/pdf'
+        );
+    });
+
+    test('requires every signature of a multi-part format', () => {
+        expect(fileTypes.detect(WEBP)).toBe('image/webp');
+        expect(
+            fileTypes.detect(Buffer.from('RIFF\x00\x00\x00\x00WAVE', 'latin1'))
+        ).toBeNull();
+    });
+
+    test('returns null for unknown, truncated or missing content', () => {
+        expect(fileTypes.detect(HTML)).toBeNull();
+        expect(fileTypes.detect(PNG.subarray(0, 4))).toBeNull();
+        expect(fileTypes.detect(Buffer.alloc(0))).toBeNull();
+        expect(fileTypes.detect(undefined)).toBeNull();
+        expect(fileTypes.detect('\x89PNG\r\n\x1a\n')).toBeNull();
+    });
+});
+
+describe('fileTypes.getExtension', () => {
+    test('maps verified types to their extension and anything else to none', () => {
+        expect(fileTypes.getExtension('image/jpeg')).toBe('.jpg');
+        expect(fileTypes.getExtension('application/pdf')).toBe('.pdf');
+        expect(fileTypes.getExtension('text/html')).toBe('');
+        expect(fileTypes.getExtension(fileTypes.UNKNOWN_TYPE)).toBe('');
+        expect(fileTypes.getExtension('toString')).toBe('');
+    });
+});
+
+describe('uploadValidation.validateFiles', () => {
+    test('accepts files within the limits of their field', () => {
+        const files = { avatar: [file(PNG)] };
+
+        expect(
+            uploadValidation.validateFiles(files, { avatar: rule() })
+        ).toEqual([]);
+    });
+
+    test('judges the type by content, not by the client mimetype or name', () => {
+        const files = {
+            avatar: [
+                file(HTML, { originalname: 'evil.png', mimetype: 'image/png' }),
+            ],
+        };
+
+        expect(
+            uploadValidation.validateFiles(files, { avatar: rule() })
+        ).toEqual([
+            {
+                field: 'avatar',
+                message:
+                    'evil.png must be one of the following types: image/png, image/jpeg',
+            },
+        ]);
+    });
+
+    test('accepts any content when the field allows every type', () => {
+        const files = { attachment: [file(HTML)] };
+
+        expect(
+            uploadValidation.validateFiles(files, {
+                attachment: rule({ allowedTypes: [] }),
+            })
+        ).toEqual([]);
+    });
+
+    test('reports size and count violations', () => {
+        const large = file(PNG, { size: 2 * KB });
+        const small = file(PNG, { size: 10 });
+        const errors = uploadValidation.validateFiles(
+            { avatar: [large, small] },
+            { avatar: rule({ minSize: 1 }) }
+        );
+
+        expect(errors).toEqual([
+            { field: 'avatar', message: 'avatar accepts at most 1 file(s)' },
+            { field: 'avatar', message: 'upload.png must not exceed 1 KB' },
+            { field: 'avatar', message: 'upload.png must be at least 1 KB' },
+        ]);
+    });
+
+    test('ignores fields without uploaded files', () => {
+        expect(uploadValidation.validateFiles({}, { avatar: rule() })).toEqual(
+            []
+        );
+    });
+});
+
+describe('uploadValidation.applyDetectedTypes', () => {
+    test('replaces the client mimetype with the detected one', () => {
+        const image = file(JPEG, { mimetype: 'image/png' });
+        const other = file(HTML, { mimetype: 'image/png' });
+
+        uploadValidation.applyDetectedTypes({
+            avatar: [image],
+            attachment: [other],
+        });
+
+        expect(image.mimetype).toBe('image/jpeg');
+        expect(other.mimetype).toBe(fileTypes.UNKNOWN_TYPE);
+    });
+});
@@ -0,0 +1,160 @@
+import { describe, expect, test } from '@jest/globals';
+
+import xmlParser from '../../src/lib/xmlParser.js';
+
+const { parse } = xmlParser;
+
+describe('xmlParser.parse', () => {
+    test('maps the document element onto an object of strings', () => {
+        expect(
+            parse(
+                '<?xml version="1.0" encoding="UTF-8"?>\n<user id="7"><name> Ann </name><age>42</age><address><city>Oslo</city></address><note/></user>\n'
+            )
+        ).toEqual({
+            id: '7',
+            name: 'Ann',
+            age: '42',
+            address: { city: 'Oslo' },
+            note: '',
+        });
+    });
+
+    test('turns repeated elements and <item> children into arrays', () => {
+        expect(
+            parse(
+                '<request><tag>a</tag><tag>b</tag><list><item>1</item><item>2</item></list></request>'
+            )
+        ).toEqual({ tag: ['a', 'b'], list: ['1', '2'] });
+        expect(
+            parse(
+                '<response><item><name>a</name></item><item><name>b</name></item></response>'
+            )
+        ).toEqual([{ name: 'a' }, { name: 'b' }]);
+    });
+
+    test('keeps the text of elements with attributes under value', () => {
+        expect(parse('<r><price currency="EUR">9.5</price></r>')).toEqual({
+            price: { currency: 'EUR', value: '9.5' },
+        });
+    });
+
+    test('decodes entities and reads CDATA sections verbatim', () => {
+        expect(
+            parse(
+                '<r a="x &amp; y"><t>&lt;b&gt; &quot;&apos; &#65;&#x42;</t><c><![CDATA[<b>&amp;</b>]]></c></r>'
+            )
+        ).toEqual({ a: 'x & y', t: '<b> "\' AB', c: '<b>&amp;</b>' });
+    });
+
+    test('uses local names for namespaced elements', () => {
+        expect(
+            parse(
+                '<soap:Envelope xmlns:soap="urn:s"><soap:Body><m:name xmlns:m="urn:m">x</m:name></soap:Body></soap:Envelope>'
+            )
+        ).toEqual({ Body: { name: 'x' } });
+    });
+
+    test('ignores comments and processing instructions around the root', () => {
+        expect(parse('<!-- a --><r><!-- b -->1</r><!-- c --><?pi x?>')).toBe(
+            '1'
+        );
+    });
+
+    describe('malformed documents', () => {
+        test.each([
+            ['an empty body', ''],
+            ['plain text', 'hello'],
+            ['an unclosed root', '<r><a>1</a>'],
+            ['mismatched tags', '<r><a>1</b></r>'],
+            ['a stray closing tag', '<r></r></a>'],
+            ['an unterminated tag', '<r><a'],
+            ['an unquoted attribute', '<r a=1></r>'],
+            ['a duplicate attribute', '<r a="1" a="2"></r>'],
+        ])('rejects %s', (description, xml) => {
+            expect(() => parse(xml)).toThrow(Error);
+        });
+
+        test('rejects every truncation of a valid document', () => {
+            const xml = '<r><a x="1">text</a><b><![CDATA[c]]></b></r>';
+
+            for (let length = 1; length < xml.length; length += 1) {
+                expect(() => parse(xml.slice(0, length))).toThrow(Error);
+            }
+        });
+
+        test.each([
+            ['several root elements', '<a/><b/>'],
+            ['text after the root', '<a/>junk'],
+            ['text hidden before a trailing comment', '<a/>junk<!-- c -->'],
+        ])('rejects %s', (description, xml) => {
+            expect(() => parse(xml)).toThrow(
+                'The document must have exactly one root element.'
+            );
+        });
+
+        test('reports where the problem is', () => {
+            expect(() => parse('<r>\n<a></b>\n</r>')).toThrow(
+                /closing tag 'b'.*\(line 2, column \d+\)/
+            );
+        });
+    });
+
+    describe('adversarial documents', () => {
+        test('rejects entity expansion ("billion laughs")', () => {
+            const xml = `<?xml version="1.0"?>
+<!DOCTYPE lolz [
+ <!ENTITY lol "lol">
+ <!ENTITY lol1 "&lol;&lol;&lol;&lol;&lol;&lol;&lol;&lol;&lol;&lol;">
+ <!ENTITY lol2 "&lol1;&lol1;&lol1;&lol1;&lol1;&lol1;&lol1;&lol1;&lol1;&lol1;">
+]>
+<lolz>&lol2;</lolz>`;
+
+            expect(() => parse(xml)).toThrow(
+                'DOCTYPE declarations are not allowed.'
+            );
+        });
+
+        test('rejects external entities (XXE)', () => {
+            expect(() =>
+                parse(
+                    '<!doctype r [<!ENTITY xxe SYSTEM "file:///etc/passwd">]><r>&xxe;</r>'
+                )
+            ).toThrow('DOCTYPE declarations are not allowed.');
+        });
+
+        test('leaves undeclared entities as text', () => {
+            expect(parse('<r>&xxe;</r>')).toBe('&xxe;');
+        });
+
+        test('accepts DOCTYPE text inside CDATA and comments', () => {
+            expect(
+                parse('<!-- <!DOCTYPE r> --><r><![CDATA[<!DOCTYPE r>]]></r>')
+            ).toBe('<!DOCTYPE r>');
+        });
+
+        test('rejects documents nested deeper than 100 elements', () => {
+            const nested = (depth) =>
+                `${'<a>'.repeat(depth)}x${'</a>'.repeat(depth)}`;
+
+            expect(() => parse(nested(50))).not.toThrow();
+            expect(() => parse(nested(150))).toThrow(
+                'Maximum nested tags exceeded'
+            );
+            expect(() => parse(nested(100000))).toThrow(
+                'Maximum nested tags exceeded'
+            );
+        });
+
+        test('never lets element names reach a prototype', () => {
+            expect(() =>
+                parse('<r><__proto__><polluted>1</polluted></__proto__></r>')
+            ).toThrow();
+            expect(() =>
+                parse(
+                    '<r><constructor><prototype>1</prototype></constructor></r>'
+                )
+            ).toThrow();
+            expect({}.polluted).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,170 @@
+import { afterEach, describe, expect, jest, test } from '@jest/globals';
+import mongoose from 'mongoose';
+
+const listRoute = (auth) => ({
+    method: 'GET',
+    handler: { name: 'getDocumentsList' },
+    ...(auth && { rules: { auth } }),
+});
+const routes = {
+    // Without an auth rule, the list follows the entity's GET rule
+    Articles: { routes: [listRoute()] },
+    Notes: { routes: [listRoute({ access: 'owner', ownerField: 'owner' })] },
+    Secrets: { routes: [listRoute({ access: 'roles', roles: ['admin'] })] },
+    Archive: { routes: [listRoute()], globalSearch: false },
+};
+const logger = { error: jest.fn(), info: jest.fn(), warn: jest.fn() };
+
+// The configuration reads the environment and routes.config.mjs, and the logger writes
+// files, so both are replaced before the service is loaded
+jest.unstable_mockModule('../../src/configuration/configuration.js', () => ({
+    default: { routes },
+}));
+jest.unstable_mockModule('../../src/lib/logger.js', () => ({
+    default: logger,
+}));
+
+const { default: searchAllEntities } = await import(
+    '../../src/service/searchAllEntities.js'
+);
+const { default: responseTypes } = await import(
+    '../../src/utils/responseTypes.js'
+);
+
+const searchableSchema = () =>
+    new mongoose.Schema({
+        title: { type: String, searchable: true },
+        owner: mongoose.Schema.Types.ObjectId,
+    });
+const models = Object.fromEntries(
+    Object.keys(routes).map((name) => [
+        name,
+        mongoose.model(name, searchableSchema()),
+    ])
+);
+
+// `Model.find(...).select().sort().limit().lean()` settling with `outcome`
+const stubSearch = (name, outcome) => {
+    const find = jest.fn(() => {
+        const query = {
+            select: () => query,
+            sort: () => query,
+            limit: () => query,
+            lean: () =>
+                outcome instanceof Error
+                    ? Promise.reject(outcome)
+                    : Promise.resolve(outcome),
+        };
+        return query;
+    });
+    jest.spyOn(models[name], 'find').mockImplementation(find);
+    return find;
+};
+
+const doc = (title, score) => ({
+    _id: new mongoose.Types.ObjectId(),
+    title,
+    score,
+});
+
+const search = (query, user) =>
+    searchAllEntities({ query, user, headers: {} }, {});
+
+const spyOnResponses = () =>
+    Object.fromEntries(
+        ['OK', 'BAD_REQUEST', 'NOT_FOUND', 'SERVICE_UNAVAILABLE'].map(
+            (type) => [
+                type,
+                jest.spyOn(responseTypes, type).mockReturnValue(undefined),
+            ]
+        )
+    );
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    logger.error.mockClear();
+});
+
+describe('searchAllEntities', () => {
+    test('validates the search parameters', async () => {
+        const { BAD_REQUEST } = spyOnResponses();
+
+        await search({});
+        await search({ q: 'x', limit: '21' });
+        await search({ q: 'x', entities: 'Articles,Nope' });
+
+        expect(
+            BAD_REQUEST.mock.calls.map(([, , , message]) => message)
+        ).toEqual([
+            'Bad Request: The "q" parameter is required.',
+            'Bad Request: "limit" must be a whole number between 1 and 20.',
+            'Bad Request: Unknown entity: Nope.',
+        ]);
+    });
+
+    test('searches the entities the user may list, best matches first', async () => {
+        const { OK } = spyOnResponses();
+        const userId = new mongoose.Types.ObjectId().toString();
+        stubSearch('Articles', [doc('lamp', 1)]);
+        const notesFind = stubSearch('Notes', [doc('lamp post', 3)]);
+        const secretsFind = stubSearch('Secrets', []);
+        const archiveFind = stubSearch('Archive', []);
+
+        await search({ q: 'lamp' }, { id: userId, role: 'user' });
+
+        const [, , , message, groups, , , errors] = OK.mock.calls[0];
+        expect(message).toBe('Success: 2 results for "lamp" in 2 entities.');
+        expect(groups.map(({ entity }) => entity)).toEqual([
+            'Notes',
+            'Articles',
+        ]);
+        expect(errors).toEqual({});
+        expect(notesFind.mock.calls[0][0].owner.toString()).toBe(userId);
+        expect(secretsFind).not.toHaveBeenCalled();
+        expect(archiveFind).not.toHaveBeenCalled();
+    });
+
+    test('answers 404 only when every search ran and nothing matched', async () => {
+        const { NOT_FOUND } = spyOnResponses();
+        stubSearch('Articles', []);
+
+        await search({ q: 'lamp' });
+
+        expect(NOT_FOUND.mock.calls[0][3]).toBe(
+            'Not Found: Nothing matches "lamp" in Articles.'
+        );
+    });
+
+    test('answers 503 when searches failed and nothing matched', async () => {
+        const { SERVICE_UNAVAILABLE, NOT_FOUND } = spyOnResponses();
+        stubSearch('Articles', new Error('text index required'));
+
+        await search({ q: 'lamp' });
+
+        expect(NOT_FOUND).not.toHaveBeenCalled();
+        expect(SERVICE_UNAVAILABLE.mock.calls[0].slice(3)).toEqual([
+            'Service Unavailable: Searching Articles failed.',
+            [{ field: 'Articles', message: 'Searching Articles failed.' }],
+        ]);
+        expect(logger.error).toHaveBeenCalledWith(
+            'Search of Articles failed: text index required'
+        );
+    });
+
+    test('lists the failed entities next to partial results', async () => {
+        const { OK } = spyOnResponses();
+        stubSearch('Articles', [doc('lamp', 1)]);
+        stubSearch('Notes', new Error('interrupted'));
+
+        await search({ q: 'lamp' }, { id: new mongoose.Types.ObjectId() });
+
+        const [, , , message, groups, , , errors] = OK.mock.calls[0];
+        expect(message).toBe(
+            'Success: 1 result for "lamp" in 1 entity; searching Notes failed.'
+        );
+        expect(groups).toHaveLength(1);
+        expect(errors).toEqual([
+            { field: 'Notes', message: 'Searching Notes failed.' },
+        ]);
+    });
+});